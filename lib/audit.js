@@ -0,0 +1,115 @@
+import supabase from "../database.js";
+import { csvCell } from "./export.js";
+
+// Audit log of administrative and financial actions (who approved a
+// teacher, voided an invoice, changed a grade...). Entries are written
+// after the action succeeds and are never changed — the table rejects
+// updates and deletes (see migrations/017_audit_log.sql).
+
+const CSV_COLUMNS = [
+  "created_at", "actor_id", "actor_email", "actor_role", "action",
+  "target_type", "target_id", "ip", "before", "after",
+];
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ["updated_at", "updatedAt"];
+
+// The client's address; on Vercel the first x-forwarded-for entry
+function clientIp(req) {
+  const forwarded = req.headers?.["x-forwarded-for"];
+  if (forwarded) return String(forwarded).split(",")[0].trim();
+  return req.socket?.remoteAddress || null;
+}
+
+// When both sides are given, keep only the fields the action changed
+function changes(before, after) {
+  if (!before || !after) return { before, after };
+  const keys = Object.keys(after).filter(
+    (key) => !IGNORED_FIELDS.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+  return {
+    before: Object.fromEntries(keys.map((key) => [key, before[key] ?? null])),
+    after: Object.fromEntries(keys.map((key) => [key, after[key]])),
+  };
+}
+
+/**
+ * Record an action in the audit log. Failures are logged, not thrown: the
+ * action has already happened by the time it's recorded.
+ * @param {Object} req - Express request (actor from req.user; null for public actions)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. "invoice.void"
+ * @param {string} entry.targetType - e.g. "invoice"
+ * @param {string} [entry.targetId]
+ * @param {Object} [entry.before] - Values before the action (null when creating)
+ * @param {Object} [entry.after] - Values after the action (null when deleting)
+ * @param {Object} [entry.actor] - Who acted, when it isn't req.user (e.g. someone accepting an invitation)
+ */
+async function recordAudit(req, { action, targetType, targetId = null, before = null, after = null, actor = req.user }) {
+  const diff = changes(before, after);
+  try {
+    const { error } = await supabase.from("audit_log").insert({
+      actor_id: actor?.id || null,
+      actor_email: actor?.email || null,
+      actor_role: actor?.role || null,
+      action,
+      target_type: targetType,
+      target_id: targetId === null ? null : String(targetId),
+      before: diff.before,
+      after: diff.after,
+      ip: clientIp(req),
+    });
+    if (error) throw error;
+  } catch (err) {
+    console.error("Audit log error:", action, targetId, err.message);
+  }
+}
+
+/**
+ * Audit entries, newest first.
+ * @param {Object} filters
+ * @param {string} [filters.actor] - Actor id or email
+ * @param {string} [filters.action] - An action, or a prefix ending in "." (e.g. "invoice.")
+ * @param {string} [filters.target_type]
+ * @param {string} [filters.target_id]
+ * @param {string} [filters.from] - YYYY-MM-DD, inclusive
+ * @param {string} [filters.to] - YYYY-MM-DD, exclusive (the caller adds a day)
+ * @param {number} [filters.offset]
+ * @param {number} [filters.limit]
+ */
+async function listAudit({ actor, action, target_type, target_id, from, to, offset = 0, limit = 100 }) {
+  let query = supabase
+    .from("audit_log")
+    .select("*")
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false });
+
+  if (actor) query = actor.includes("@") ? query.ilike("actor_email", actor.replace(/[%_\\]/g, "\\$&")) : query.eq("actor_id", actor);
+  if (action) query = action.endsWith(".") ? query.like("action", `${action}%`) : query.eq("action", action);
+  if (target_type) query = query.eq("target_type", target_type);
+  if (target_id) query = query.eq("target_id", target_id);
+  if (from) query = query.gte("created_at", from);
+  if (to) query = query.lt("created_at", to);
+
+  const { data, error } = await query.range(offset, offset + limit - 1);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * CSV export of audit entries; before/after are written as JSON.
+ * @param {Array<Object>} entries - audit_log rows
+ * @returns {string}
+ */
+function auditToCsv(entries) {
+  const rows = [CSV_COLUMNS.join(",")];
+  entries.forEach((entry) => {
+    rows.push(CSV_COLUMNS.map((col) => {
+      const value = entry[col];
+      return csvCell(value !== null && typeof value === "object" ? JSON.stringify(value) : value);
+    }).join(","));
+  });
+  return rows.join("\r\n") + "\r\n";
+}
+
+export { recordAudit, listAudit, auditToCsv };
@@ -7,6 +7,7 @@ const ROLES = {
   ADMIN: "admin",
   TEACHER: "teacher",
   STUDENT: "student",
+  PARENT: "parent",
 };
 
 export { ROLES };
@@ -15,6 +16,9 @@ export const auth = betterAuth({
   baseURL: process.env.BETTER_AUTH_URL || "http://localhost:5432",
   basePath: "/api/auth",
 
+  // Users are deactivated, never deleted (DELETE /api/admin/users/:id)
+  disabledPaths: ["/admin/remove-user"],
+
   database: new pg.Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: { rejectUnauthorized: false },
@@ -76,12 +80,13 @@ export const auth = betterAuth({
     user: {
       create: {
         before: async (user) => {
-          const allowedSelfRegisterRoles = [ROLES.STUDENT, ROLES.TEACHER];
+          const allowedSelfRegisterRoles = [ROLES.STUDENT, ROLES.TEACHER, ROLES.PARENT];
           const role = allowedSelfRegisterRoles.includes(user.role)
             ? user.role
             : ROLES.STUDENT;
 
-          const isApproved = role === ROLES.STUDENT;
+          // Parents see nothing until a student or admin confirms a link
+          const isApproved = role === ROLES.STUDENT || role === ROLES.PARENT;
 
           // If name is provided but first/last are not, split the name
           let firstName = user.firstName || "";
@@ -114,6 +119,8 @@ export const auth = betterAuth({
   plugins: [
     admin({
       defaultRole: ROLES.STUDENT,
+      // Deactivated accounts are banned
+      bannedUserMessage: "This account has been deactivated. Please contact the school if you think this is a mistake.",
     }),
   ],
 });
@@ -0,0 +1,140 @@
+import supabase from "../database.js";
+import { childEmails } from "./parents.js";
+import { invalidRequest } from "./errors.js";
+
+// Billing contacts: a payer (usually a parent) linked to several students.
+// An invoice for a payer is addressed to them — customer_email is the
+// payer's — and each line item names the child it's for. When a payer logs
+// in they see their own invoices and every invoice of their linked students.
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function displayName(user) {
+  return [user.firstName, user.lastName].filter(Boolean).join(" ") || user.name || user.email;
+}
+
+/**
+ * Linked students for some contacts, with names from their accounts.
+ * @param {Array<string>} contactIds
+ * @returns {Promise<Object<string, Array<{email: string, name: string}>>>} By contact id
+ */
+async function studentsByContact(contactIds) {
+  const byContact = Object.fromEntries(contactIds.map((id) => [id, []]));
+  if (contactIds.length === 0) return byContact;
+
+  const { data: links, error } = await supabase
+    .from("billing_contact_students")
+    .select("billing_contact_id, student_email")
+    .in("billing_contact_id", contactIds)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+
+  const emails = [...new Set((links || []).map((link) => link.student_email))];
+  const names = {};
+  if (emails.length) {
+    const { data: users } = await supabase
+      .from("user")
+      .select("email, name, firstName, lastName")
+      .in("email", emails);
+    (users || []).forEach((u) => { names[u.email] = displayName(u); });
+  }
+
+  (links || []).forEach((link) => {
+    byContact[link.billing_contact_id].push({
+      email: link.student_email,
+      name: names[link.student_email] || link.student_email,
+    });
+  });
+  return byContact;
+}
+
+/**
+ * A billing contact with its linked students, or null.
+ * @param {string} id
+ */
+async function getBillingContact(id) {
+  const { data: contact } = await supabase
+    .from("billing_contacts")
+    .select("*")
+    .eq("id", id)
+    .single();
+  if (!contact) return null;
+
+  contact.students = (await studentsByContact([contact.id]))[contact.id];
+  return contact;
+}
+
+/**
+ * Emails of the students an active payer is linked to.
+ * @param {string} payerEmail
+ */
+async function linkedStudentEmails(payerEmail) {
+  const { data: contact } = await supabase
+    .from("billing_contacts")
+    .select("id, active")
+    .eq("email", normalizeEmail(payerEmail))
+    .single();
+  if (!contact || !contact.active) return [];
+
+  const { data: links } = await supabase
+    .from("billing_contact_students")
+    .select("student_email")
+    .eq("billing_contact_id", contact.id);
+  return (links || []).map((link) => link.student_email);
+}
+
+/**
+ * customer_email values whose invoices a user may see: their own, plus
+ * their linked students' if they're a payer, plus their confirmed
+ * children's if they're a parent.
+ * @param {Object} user - req.user
+ */
+async function visibleInvoiceEmails(user) {
+  const children = user.role === "parent" ? await childEmails(user.id) : [];
+  return [...new Set([user.email, ...(await linkedStudentEmails(user.email)), ...children])];
+}
+
+/**
+ * Address an invoice request to its billing contact, if it has one: the
+ * payer becomes the customer, and each line's student_email must be one of
+ * their linked students (blank = not for a particular child).
+ * @param {Object} body - Invoice request body
+ * @returns {Promise<Object>} A copy of the body with `billing_contact_id` set
+ *   and, for a payer, the customer and line item students filled in
+ */
+async function resolveBillingContact(body) {
+  if (!body.billing_contact_id) return { ...body, billing_contact_id: null };
+
+  const contact = await getBillingContact(body.billing_contact_id);
+  if (!contact || !contact.active) throw invalidRequest("That billing contact is no longer available");
+
+  const names = Object.fromEntries(contact.students.map((s) => [s.email, s.name]));
+  const items = Array.isArray(body.items)
+    ? body.items.map((item) => {
+        if (!item.student_email) return { ...item, student_email: null, student_name: null };
+        if (!names[item.student_email]) {
+          throw invalidRequest(`${item.student_email} isn't linked to ${contact.name || contact.email}`);
+        }
+        return { ...item, student_name: names[item.student_email] };
+      })
+    : body.items;
+
+  return {
+    ...body,
+    billing_contact_id: contact.id,
+    customer_email: contact.email,
+    customer_name: contact.name,
+    items,
+  };
+}
+
+export {
+  normalizeEmail,
+  studentsByContact,
+  getBillingContact,
+  linkedStudentEmails,
+  visibleInvoiceEmails,
+  resolveBillingContact,
+};
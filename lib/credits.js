@@ -0,0 +1,357 @@
+import supabase from "../database.js";
+import { invalidRequest } from "./errors.js";
+
+// Prepaid lesson credit, in hours. Every change is a credit_ledger row and a
+// student's balance is the sum of their rows — nothing is ever updated.
+
+const ENTRY_TYPES = ["purchase", "usage", "release", "adjustment", "expiry", "transfer_in", "transfer_out"];
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Ledger rows for a student, oldest first.
+ * @param {string} email - Student email (invoices.customer_email)
+ */
+async function getLedger(email) {
+  const { data, error } = await supabase
+    .from("credit_ledger")
+    .select("*")
+    .eq("student_email", email)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Current balance in hours.
+ * @param {string} email - Student email
+ */
+async function getCreditBalance(email) {
+  const ledger = await getLedger(email);
+  return roundHours(ledger.reduce((sum, row) => sum + parseFloat(row.hours), 0));
+}
+
+/**
+ * Append a ledger row.
+ * @param {Object} entry
+ * @param {string} entry.email - Student email
+ * @param {number} entry.hours - Positive credits, negative debits
+ * @param {string} entry.entryType - One of ENTRY_TYPES
+ * @returns {Promise<Object>} The new row
+ */
+async function addLedgerEntry({
+  email, hours, entryType, invoiceId, invoiceItemId, packageId, relatedEmail, expiresAt, memo, createdBy,
+}) {
+  const { data, error } = await supabase
+    .from("credit_ledger")
+    .insert({
+      student_email: email,
+      hours: roundHours(hours),
+      entry_type: entryType,
+      invoice_id: invoiceId || null,
+      invoice_item_id: invoiceItemId || null,
+      package_id: packageId || null,
+      related_email: relatedEmail || null,
+      expires_at: expiresAt || null,
+      memo: memo || "",
+      created_by: createdBy || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Fill in package line items (request format, dollars) from the catalog so
+ * the price and hours always match the package being sold.
+ * @param {Object} body - Invoice request body
+ * @returns {Promise<Object>} A copy of the body with package lines resolved
+ */
+async function resolvePackageItems(body) {
+  if (!Array.isArray(body.items)) return body;
+  const ids = [...new Set(body.items.filter((item) => item.package_id).map((item) => item.package_id))];
+  if (ids.length === 0) return body;
+
+  const { data: packages, error } = await supabase
+    .from("lesson_packages")
+    .select("*")
+    .in("id", ids);
+  if (error) throw error;
+
+  const byId = Object.fromEntries((packages || []).map((pkg) => [pkg.id, pkg]));
+  const items = body.items.map((item) => {
+    if (!item.package_id) return item;
+    const pkg = byId[item.package_id];
+    if (!pkg || !pkg.active) throw invalidRequest("That lesson package is no longer available");
+    return {
+      ...item,
+      description: item.description || `${pkg.name} (${parseFloat(pkg.hours)} hours)`,
+      unit_price: pkg.price / 100,
+      kind: "package",
+      package_hours: pkg.hours,
+    };
+  });
+
+  return { ...body, items };
+}
+
+/**
+ * Cover lesson lines with prepaid hours. Each covered lesson gets a
+ * negative "credit" line right after it, so the invoice still shows the
+ * full lesson and what the credit took off.
+ * @param {Array} items - Parsed line items (cents)
+ * @param {Object<string, number>} balances - Hours available, by student email
+ * @param {function(Object): string} studentOf - Email whose balance a line draws on
+ * @returns {{items: Array, hours: number, by_student: Object<string, number>}}
+ *   Items with credit lines, hours used in all and per student
+ */
+function coverLessons(items, balances, studentOf) {
+  const remaining = { ...balances };
+  const byStudent = {};
+  let used = 0;
+  const result = [];
+
+  items.forEach((item) => {
+    result.push(item);
+    const email = studentOf(item);
+    if (item.kind !== "lesson" || !(remaining[email] > 0)) return;
+
+    const covered = roundHours(Math.min(remaining[email], item.quantity));
+    const amount = -Math.round(covered * item.unit_price);
+    remaining[email] = roundHours(remaining[email] - covered);
+    byStudent[email] = roundHours((byStudent[email] || 0) + covered);
+    used = roundHours(used + covered);
+
+    result.push({
+      description: `Prepaid credit: ${covered} hr${covered === 1 ? "" : "s"} of ${item.description}`,
+      quantity: 1,
+      unit_price: amount,
+      amount,
+      taxable: item.taxable,
+      kind: "credit",
+      package_id: null,
+      package_hours: null,
+      student_email: item.student_email || null,
+      student_name: item.student_name || null,
+    });
+  });
+
+  return { items: result, hours: used, by_student: byStudent };
+}
+
+/**
+ * Cover an invoice's lesson lines with prepaid hours. Lines for a child on
+ * a payer's invoice draw on that child's balance; other lines on the
+ * invoice customer's.
+ * @param {Array} items - Parsed line items (cents)
+ * @param {string} customerEmail - invoices.customer_email
+ * @param {Object} [opts]
+ * @param {string} [opts.invoiceId] - Invoice being re-priced; the hours it
+ *   holds count as available, since they're released when the edit is saved
+ * @returns {Promise<{items: Array, hours: number, balance: number, by_student: Object<string, number>}>}
+ */
+async function applyInvoiceCredit(items, customerEmail, { invoiceId } = {}) {
+  const studentOf = (item) => item.student_email || customerEmail;
+  const held = invoiceId ? await invoiceCreditHeld(invoiceId) : {};
+  const balances = {};
+  for (const email of new Set(items.filter((item) => item.kind === "lesson").map(studentOf))) {
+    balances[email] = roundHours((await getCreditBalance(email)) + Math.max(0, held[email] || 0));
+  }
+  const balance = roundHours(Object.values(balances).reduce((sum, hours) => sum + hours, 0));
+  return { ...coverLessons(items, balances, studentOf), balance };
+}
+
+/**
+ * Draw down the hours applied to an invoice, one usage row per student.
+ * @param {Object} invoice - Invoice row
+ * @param {Object<string, number>} byStudent - Hours by student email, from applyInvoiceCredit()
+ * @param {string} [createdBy]
+ */
+async function recordCreditUsage(invoice, byStudent, createdBy) {
+  for (const [email, hours] of Object.entries(byStudent)) {
+    if (hours <= 0) continue;
+    await addLedgerEntry({
+      email,
+      hours: -hours,
+      entryType: "usage",
+      invoiceId: invoice.id,
+      memo: "Applied to invoice",
+      createdBy,
+    });
+  }
+}
+
+// Hours an invoice currently holds, by the student they came from
+async function invoiceCreditHeld(invoiceId) {
+  const { data, error } = await supabase
+    .from("credit_ledger")
+    .select("student_email, hours, entry_type")
+    .eq("invoice_id", invoiceId)
+    .in("entry_type", ["usage", "release"]);
+  if (error) throw error;
+
+  const held = {};
+  (data || []).forEach((row) => {
+    held[row.student_email] = roundHours((held[row.student_email] || 0) - parseFloat(row.hours));
+  });
+  return held;
+}
+
+/**
+ * Give back the hours an unpaid invoice drew down (on void or re-pricing).
+ * @param {Object} invoice - Invoice row
+ * @param {Object} [opts]
+ * @param {string} [opts.memo]
+ * @param {string} [opts.createdBy]
+ * @param {boolean} [opts.keepCreditHours] - Leave invoices.credit_hours alone,
+ *   when the row already carries its replacement's figure
+ * @returns {Promise<number>} Hours released
+ */
+async function releaseInvoiceCredit(invoice, { memo, createdBy, keepCreditHours = false } = {}) {
+  const held = await invoiceCreditHeld(invoice.id);
+  let released = 0;
+
+  for (const [email, hours] of Object.entries(held)) {
+    if (hours <= 0) continue;
+    await addLedgerEntry({
+      email,
+      hours,
+      entryType: "release",
+      invoiceId: invoice.id,
+      memo: memo || "Credit returned from invoice",
+      createdBy,
+    });
+    released = roundHours(released + hours);
+  }
+
+  if (released > 0 && !keepCreditHours) {
+    const { error } = await supabase.from("invoices").update({ credit_hours: 0 }).eq("id", invoice.id);
+    if (error) throw error;
+  }
+  return released;
+}
+
+/**
+ * Credit the hours from every package line on a paid invoice. Safe to call
+ * more than once — each line can only be credited once.
+ * @param {Object} invoice - Paid invoice row
+ * @returns {Promise<number>} Hours credited by this call
+ */
+async function creditPackagesForInvoice(invoice) {
+  const { data: items, error } = await supabase
+    .from("invoice_items")
+    .select("id, quantity, package_id, package_hours, description, student_email")
+    .eq("invoice_id", invoice.id)
+    .eq("kind", "package");
+  if (error) throw error;
+
+  let credited = 0;
+  for (const item of items || []) {
+    const hours = roundHours(parseFloat(item.quantity) * parseFloat(item.package_hours || 0));
+    if (hours <= 0) continue;
+
+    let expiresAt = null;
+    if (item.package_id) {
+      const { data: pkg } = await supabase
+        .from("lesson_packages")
+        .select("expires_after_days")
+        .eq("id", item.package_id)
+        .single();
+      if (pkg && pkg.expires_after_days) {
+        const paidAt = new Date(invoice.paid_at || Date.now());
+        expiresAt = new Date(paidAt.getTime() + pkg.expires_after_days * 86400000).toISOString();
+      }
+    }
+
+    // A package on a payer's invoice is credited to the child it's for
+    const { error: insertError } = await supabase.from("credit_ledger").insert({
+      student_email: item.student_email || invoice.customer_email,
+      hours,
+      entry_type: "purchase",
+      invoice_id: invoice.id,
+      invoice_item_id: item.id,
+      package_id: item.package_id,
+      expires_at: expiresAt,
+      memo: item.description,
+    });
+
+    if (insertError) {
+      if (insertError.code === "23505") continue; // already credited
+      throw insertError;
+    }
+    credited = roundHours(credited + hours);
+  }
+
+  return credited;
+}
+
+/**
+ * Hours that have passed their expiry and weren't used. Later debits are
+ * assumed to have come out of expiring credit first, which favors the student.
+ * @param {Array} ledger - Rows from getLedger()
+ * @param {Date} [asOf]
+ */
+function expiredHours(ledger, asOf = new Date()) {
+  const balance = ledger.reduce((sum, row) => sum + parseFloat(row.hours), 0);
+  const unexpiredCredits = ledger
+    .filter((row) => parseFloat(row.hours) > 0 && (!row.expires_at || new Date(row.expires_at) > asOf))
+    .reduce((sum, row) => sum + parseFloat(row.hours), 0);
+  return roundHours(Math.max(0, Math.min(balance, balance - unexpiredCredits)));
+}
+
+/**
+ * Expire credit — a given number of hours, or everything past its expiry date.
+ * @returns {Promise<Object|null>} The expiry row, or null if nothing expired
+ */
+async function expireCredit(email, { hours, memo, createdBy } = {}) {
+  const ledger = await getLedger(email);
+  const balance = roundHours(ledger.reduce((sum, row) => sum + parseFloat(row.hours), 0));
+  const amount = hours ? roundHours(Math.min(hours, balance)) : expiredHours(ledger);
+  if (amount <= 0) return null;
+
+  return addLedgerEntry({
+    email,
+    hours: -amount,
+    entryType: "expiry",
+    memo: memo || (hours ? "Credit expired by admin" : "Package credit expired"),
+    createdBy,
+  });
+}
+
+/**
+ * Move hours from one student to another (e.g. between siblings).
+ * @returns {Promise<{from: Object, to: Object}>} Both ledger rows
+ */
+async function transferCredit(fromEmail, toEmail, hours, { memo, createdBy } = {}) {
+  const balance = await getCreditBalance(fromEmail);
+  if (hours > balance) throw new Error(`Only ${balance} hours available to transfer`);
+
+  const from = await addLedgerEntry({
+    email: fromEmail, hours: -hours, entryType: "transfer_out", relatedEmail: toEmail, memo, createdBy,
+  });
+  const to = await addLedgerEntry({
+    email: toEmail, hours, entryType: "transfer_in", relatedEmail: fromEmail, memo, createdBy,
+  });
+  return { from, to };
+}
+
+export {
+  ENTRY_TYPES,
+  roundHours,
+  getLedger,
+  getCreditBalance,
+  addLedgerEntry,
+  resolvePackageItems,
+  applyInvoiceCredit,
+  recordCreditUsage,
+  releaseInvoiceCredit,
+  creditPackagesForInvoice,
+  expiredHours,
+  expireCredit,
+  transferCredit,
+};
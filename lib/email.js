@@ -10,14 +10,16 @@ const OWNER_EMAIL = process.env.NOTIFICATION_EMAIL || "classroom@geniustestboost
  * @param {string} opts.to - Recipient email
  * @param {string} opts.subject - Email subject
  * @param {string} opts.html - HTML body
+ * @param {Array<{filename: string, content: Buffer}>} [opts.attachments]
  */
-async function sendEmail({ to, subject, html }) {
+async function sendEmail({ to, subject, html, attachments }) {
   try {
     const { data, error } = await resend.emails.send({
       from: FROM_EMAIL,
       to,
       subject,
       html,
+      attachments,
     });
     if (error) {
       console.error("Resend error:", error);
@@ -32,11 +34,11 @@ async function sendEmail({ to, subject, html }) {
 
 // --- Invoice Emails ---
 
-async function sendInvoiceCreatedToStudent({ email, name, invoiceUrl, amount, description, dueDate }) {
+async function sendInvoiceCreatedToStudent({ invoiceNumber, email, name, invoiceUrl, amount, description, dueDate }) {
   const dueDateStr = dueDate ? new Date(dueDate).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" }) : "30 days";
   return sendEmail({
     to: email,
-    subject: `New Invoice from GeniusTestBoost - $${(amount / 100).toFixed(2)}`,
+    subject: `New Invoice${invoiceNumber ? ` ${invoiceNumber}` : ""} from GeniusTestBoost - $${(amount / 100).toFixed(2)}`,
     html: `
       <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px">
         <div style="text-align:center;margin-bottom:32px">
@@ -50,7 +52,7 @@ async function sendInvoiceCreatedToStudent({ email, name, invoiceUrl, amount, de
           <p style="margin:0 0 8px;color:#888;font-size:13px;text-transform:uppercase;letter-spacing:1px">Amount Due</p>
           <p style="margin:0;font-size:32px;font-weight:800;color:#1a1a2e">$${(amount / 100).toFixed(2)}</p>
           <p style="margin:8px 0 0;color:#666;font-size:14px">${description || "Tutoring Services"}</p>
-          <p style="margin:4px 0 0;color:#888;font-size:13px">Due by ${dueDateStr}</p>
+          <p style="margin:4px 0 0;color:#888;font-size:13px">${invoiceNumber ? `Invoice ${invoiceNumber} · ` : ""}Due by ${dueDateStr}</p>
         </div>
         ${invoiceUrl ? `<div style="text-align:center;margin:32px 0"><a href="${invoiceUrl}" style="display:inline-block;padding:14px 36px;background:#C9A84C;color:#fff;text-decoration:none;border-radius:8px;font-weight:700;font-size:15px">Pay Invoice</a></div>` : ""}
         <p style="color:#999;font-size:12px;text-align:center;margin-top:40px">
@@ -61,10 +63,51 @@ async function sendInvoiceCreatedToStudent({ email, name, invoiceUrl, amount, de
   });
 }
 
-async function sendInvoicePaidToOwner({ studentName, studentEmail, amount, description }) {
+/**
+ * Payment reminder for an unpaid invoice.
+ * @param {number} daysFromDue - Negative before the due date, positive once overdue
+ */
+async function sendPaymentReminderToStudent({ invoiceNumber, email, name, invoiceUrl, amount, description, dueDate, daysFromDue }) {
+  const dueDateStr = new Date(dueDate).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+  const days = Math.abs(daysFromDue);
+  const when =
+    daysFromDue < 0 ? `is due in ${days} day${days === 1 ? "" : "s"}`
+    : daysFromDue === 0 ? "is due today"
+    : `is ${days} day${days === 1 ? "" : "s"} past due`;
+  return sendEmail({
+    to: email,
+    subject: daysFromDue > 0
+      ? `Payment Overdue${invoiceNumber ? ` - Invoice ${invoiceNumber}` : ""} - $${(amount / 100).toFixed(2)}`
+      : `Payment Reminder${invoiceNumber ? ` - Invoice ${invoiceNumber}` : ""} - $${(amount / 100).toFixed(2)}`,
+    html: `
+      <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px">
+        <div style="text-align:center;margin-bottom:32px">
+          <h1 style="font-size:24px;color:#1a1a2e;margin:0">Genius<span style="color:#C9A84C">TestBoost</span></h1>
+        </div>
+        <h2 style="color:#1a1a2e;font-size:20px">Hi ${name || "there"},</h2>
+        <p style="color:#555;font-size:15px;line-height:1.6">
+          This is a friendly reminder that your invoice ${when}. If you've already paid, please ignore this email.
+        </p>
+        <div style="background:#f8f9fa;border-radius:12px;padding:24px;margin:24px 0">
+          <p style="margin:0 0 8px;color:#888;font-size:13px;text-transform:uppercase;letter-spacing:1px">Amount Due</p>
+          <p style="margin:0;font-size:32px;font-weight:800;color:${daysFromDue > 0 ? "#dc2626" : "#1a1a2e"}">$${(amount / 100).toFixed(2)}</p>
+          <p style="margin:8px 0 0;color:#666;font-size:14px">${description || "Tutoring Services"}</p>
+          <p style="margin:4px 0 0;color:#888;font-size:13px">${invoiceNumber ? `Invoice ${invoiceNumber} · ` : ""}Due ${dueDateStr}</p>
+        </div>
+        ${invoiceUrl ? `<div style="text-align:center;margin:32px 0"><a href="${invoiceUrl}" style="display:inline-block;padding:14px 36px;background:#C9A84C;color:#fff;text-decoration:none;border-radius:8px;font-weight:700;font-size:15px">Pay Invoice</a></div>` : ""}
+        <p style="color:#999;font-size:12px;text-align:center;margin-top:40px">
+          GeniusTestBoost | classroom@geniustestboost.com | 240.346.8306
+        </p>
+      </div>
+    `,
+  });
+}
+
+async function sendInvoicePaidToOwner({ invoiceNumber, studentName, studentEmail, amount, writtenOff = 0, description, attachments }) {
   return sendEmail({
     to: OWNER_EMAIL,
-    subject: `Payment Received - $${(amount / 100).toFixed(2)} from ${studentName || studentEmail}`,
+    attachments,
+    subject: `Payment Received - $${(amount / 100).toFixed(2)} from ${studentName || studentEmail}${invoiceNumber ? ` (${invoiceNumber})` : ""}`,
     html: `
       <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px">
         <h1 style="font-size:24px;color:#1a1a2e;margin:0 0 24px">Genius<span style="color:#C9A84C">TestBoost</span></h1>
@@ -73,6 +116,7 @@ async function sendInvoicePaidToOwner({ studentName, studentEmail, amount, descr
           <p style="margin:0;font-size:28px;font-weight:800;color:#27ae60">$${(amount / 100).toFixed(2)}</p>
           <p style="margin:8px 0 0;color:#333"><strong>${studentName || "Student"}</strong> (${studentEmail})</p>
           <p style="margin:4px 0 0;color:#666">${description || "Tutoring Services"}</p>
+          ${writtenOff > 0 ? `<p style="margin:4px 0 0;color:#666">$${(writtenOff / 100).toFixed(2)} written off</p>` : ""}
         </div>
         <p style="color:#555;font-size:14px">This payment has been processed through Stripe Connect.</p>
       </div>
@@ -80,10 +124,56 @@ async function sendInvoicePaidToOwner({ studentName, studentEmail, amount, descr
   });
 }
 
-async function sendInvoiceCreatedToOwner({ studentName, studentEmail, amount, description }) {
+async function sendRefundToStudent({ invoiceNumber, email, name, amount, description, fullRefund }) {
+  return sendEmail({
+    to: email,
+    subject: `Refund Issued - $${(amount / 100).toFixed(2)}`,
+    html: `
+      <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px">
+        <div style="text-align:center;margin-bottom:32px">
+          <h1 style="font-size:24px;color:#1a1a2e;margin:0">Genius<span style="color:#C9A84C">TestBoost</span></h1>
+        </div>
+        <h2 style="color:#1a1a2e;font-size:20px">Hi ${name || "there"},</h2>
+        <p style="color:#555;font-size:15px;line-height:1.6">
+          We've issued a ${fullRefund ? "full" : "partial"} refund for your invoice${invoiceNumber ? ` ${invoiceNumber}` : ""}. It should appear on your statement within 5–10 business days.
+        </p>
+        <div style="background:#f8f9fa;border-radius:12px;padding:24px;margin:24px 0">
+          <p style="margin:0 0 8px;color:#888;font-size:13px;text-transform:uppercase;letter-spacing:1px">Refund Amount</p>
+          <p style="margin:0;font-size:32px;font-weight:800;color:#1a1a2e">$${(amount / 100).toFixed(2)}</p>
+          <p style="margin:8px 0 0;color:#666;font-size:14px">${description || "Tutoring Services"}</p>
+        </div>
+        <p style="color:#999;font-size:12px;text-align:center;margin-top:40px">
+          GeniusTestBoost | classroom@geniustestboost.com | 240.346.8306
+        </p>
+      </div>
+    `,
+  });
+}
+
+async function sendRefundToOwner({ invoiceNumber, studentName, studentEmail, amount, description, reason }) {
   return sendEmail({
     to: OWNER_EMAIL,
-    subject: `Invoice Created - $${(amount / 100).toFixed(2)} for ${studentName || studentEmail}`,
+    subject: `Refund Issued - $${(amount / 100).toFixed(2)} to ${studentName || studentEmail}${invoiceNumber ? ` (${invoiceNumber})` : ""}`,
+    html: `
+      <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px">
+        <h1 style="font-size:24px;color:#1a1a2e;margin:0 0 24px">Genius<span style="color:#C9A84C">TestBoost</span></h1>
+        <h2 style="color:#c0392b;font-size:20px">Refund Issued</h2>
+        <div style="background:#fdf0ef;border-radius:12px;padding:24px;margin:20px 0">
+          <p style="margin:0;font-size:28px;font-weight:800;color:#c0392b">$${(amount / 100).toFixed(2)}</p>
+          <p style="margin:8px 0 0;color:#333"><strong>${studentName || "Student"}</strong> (${studentEmail})</p>
+          <p style="margin:4px 0 0;color:#666">${description || "Tutoring Services"}</p>
+          ${reason ? `<p style="margin:4px 0 0;color:#888;font-size:13px">Reason: ${reason}</p>` : ""}
+        </div>
+        <p style="color:#555;font-size:14px">This refund was issued through Stripe Connect.</p>
+      </div>
+    `,
+  });
+}
+
+async function sendInvoiceCreatedToOwner({ invoiceNumber, studentName, studentEmail, amount, description }) {
+  return sendEmail({
+    to: OWNER_EMAIL,
+    subject: `Invoice${invoiceNumber ? ` ${invoiceNumber}` : ""} Created - $${(amount / 100).toFixed(2)} for ${studentName || studentEmail}`,
     html: `
       <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px">
         <h1 style="font-size:24px;color:#1a1a2e;margin:0 0 24px">Genius<span style="color:#C9A84C">TestBoost</span></h1>
@@ -141,11 +231,55 @@ async function sendTeacherApprovedEmail({ email, name }) {
   });
 }
 
+// --- Account Emails ---
+
+const ROLE_LABELS = {
+  owner: "an owner",
+  admin: "an admin",
+  teacher: "a teacher",
+  student: "a student",
+  parent: "a parent",
+};
+
+async function sendInvitationEmail({ email, name, role, inviterName, courseNames, url, expiresAt }) {
+  const expiresStr = new Date(expiresAt).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+  return sendEmail({
+    to: email,
+    subject: "You're Invited to GeniusTestBoost",
+    html: `
+      <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px">
+        <div style="text-align:center;margin-bottom:32px">
+          <h1 style="font-size:24px;color:#1a1a2e;margin:0">Genius<span style="color:#C9A84C">TestBoost</span></h1>
+        </div>
+        <h2 style="color:#1a1a2e;font-size:20px">Hi ${name || "there"},</h2>
+        <p style="color:#555;font-size:15px;line-height:1.6">
+          ${inviterName || "GeniusTestBoost"} has invited you to join GeniusTestBoost as ${ROLE_LABELS[role] || role}.
+        </p>
+        ${courseNames && courseNames.length ? `<div style="background:#f8f9fa;border-radius:12px;padding:24px;margin:24px 0">
+          <p style="margin:0 0 8px;color:#888;font-size:13px;text-transform:uppercase;letter-spacing:1px">You'll be enrolled in</p>
+          ${courseNames.map((c) => `<p style="margin:4px 0 0;color:#1a1a2e;font-size:15px;font-weight:600">${c}</p>`).join("")}
+        </div>` : ""}
+        <div style="text-align:center;margin:32px 0">
+          <a href="${url}" style="display:inline-block;padding:14px 36px;background:#C9A84C;color:#fff;text-decoration:none;border-radius:8px;font-weight:700;font-size:15px">Accept Invitation</a>
+        </div>
+        <p style="color:#888;font-size:13px;text-align:center">This invitation expires on ${expiresStr}.</p>
+        <p style="color:#999;font-size:12px;text-align:center;margin-top:40px">
+          GeniusTestBoost | classroom@geniustestboost.com | 240.346.8306
+        </p>
+      </div>
+    `,
+  });
+}
+
 export {
   sendEmail,
   sendInvoiceCreatedToStudent,
   sendInvoiceCreatedToOwner,
   sendInvoicePaidToOwner,
+  sendPaymentReminderToStudent,
+  sendRefundToStudent,
+  sendRefundToOwner,
   sendNewStudentToOwner,
   sendTeacherApprovedEmail,
+  sendInvitationEmail,
 };
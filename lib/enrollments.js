@@ -0,0 +1,324 @@
+import supabase from "../database.js";
+import { provider } from "./payment-provider.js";
+import { createInvoice, sendInvoice } from "./invoices.js";
+import { today, nextCycleDate } from "./recurring.js";
+
+// Paid course enrollment. Enrolling in a course with a price makes a
+// pending enrollment and an invoice for the price — or the first payment of
+// a monthly plan — billed like any other invoice for that class, so it goes
+// on the teacher's connected account. The invoice.paid webhook activates
+// the enrollment and, for a plan, schedules the remaining payments. Pending
+// enrollments that aren't paid within ENROLLMENT_HOLD_HOURS expire and their
+// invoice is voided.
+
+const HOLD_HOURS = parseInt(process.env.ENROLLMENT_HOLD_HOURS, 10) || 48;
+
+/**
+ * What each payment of a course costs, in cents. The first payment takes
+ * any remainder so the plan adds up to the price exactly.
+ * @param {Object} course - courses row with a price
+ * @returns {number[]}
+ */
+function installmentAmounts(course) {
+  const count = course.installments || 1;
+  const each = Math.floor(course.price / count);
+  return [course.price - each * (count - 1), ...Array(count - 1).fill(each)];
+}
+
+function installmentLabel(course, n) {
+  const count = course.installments || 1;
+  return count > 1 ? `${course.name} enrollment (payment ${n} of ${count})` : `${course.name} enrollment`;
+}
+
+function studentName(student) {
+  return [student.firstName, student.lastName].filter(Boolean).join(" ") || student.name || "";
+}
+
+async function invoiceFor(enrollment) {
+  if (!enrollment.invoice_id) return null;
+  const { data } = await supabase
+    .from("invoices")
+    .select("id, status, stripe_hosted_url, stripe_invoice_id, stripe_account_id, paid_at")
+    .eq("id", enrollment.invoice_id)
+    .single();
+  return data || null;
+}
+
+// Take the student's enrollment row for a course: a new pending row, or an
+// expired one brought back. Returns null if someone else holds it.
+async function claimEnrollment(course, student, expiresAt) {
+  const { data: inserted, error } = await supabase
+    .from("enrollments")
+    .insert({ student_id: student.id, course_id: course.id, status: "pending", expires_at: expiresAt })
+    .select()
+    .single();
+  if (!error) return { enrollment: inserted, isNew: true };
+  if (error.code !== "23505") throw error;
+
+  const { data: revived } = await supabase
+    .from("enrollments")
+    .update({ status: "pending", expires_at: expiresAt, invoice_id: null })
+    .eq("student_id", student.id)
+    .eq("course_id", course.id)
+    .eq("status", "expired")
+    .select()
+    .single();
+  return revived ? { enrollment: revived, isNew: false } : null;
+}
+
+/**
+ * Enroll a student in a paid course: hold a pending enrollment and send the
+ * invoice for the first payment.
+ * @param {Object} course - courses row with a price
+ * @param {Object} student - User row (req.user)
+ * @returns {Promise<{error: string}|{enrollment: Object, pay_url: ?string}>}
+ */
+async function startPaidEnrollment(course, student) {
+  const expiresAt = new Date(Date.now() + HOLD_HOURS * 60 * 60 * 1000).toISOString();
+  const claim = await claimEnrollment(course, student, expiresAt);
+
+  if (!claim) {
+    const { data: existing } = await supabase
+      .from("enrollments")
+      .select("*")
+      .eq("student_id", student.id)
+      .eq("course_id", course.id)
+      .single();
+    if (!existing || existing.status === "active") return { error: "Already enrolled in this course" };
+
+    // Still waiting on payment: hand back the same invoice
+    const invoice = await invoiceFor(existing);
+    return { enrollment: existing, pay_url: invoice?.stripe_hosted_url || null };
+  }
+
+  let invoice;
+  try {
+    invoice = await createInvoice(
+      {
+        customer_email: student.email,
+        customer_name: studentName(student),
+        class_name: course.name,
+        items: [{
+          description: installmentLabel(course, 1),
+          quantity: 1,
+          unit_price: installmentAmounts(course)[0] / 100,
+        }],
+        apply_credit: false,
+        due_date: expiresAt.split("T")[0],
+      },
+      // Self-service: no admin created it
+      { createdBy: null }
+    );
+    await sendInvoice(invoice);
+  } catch (err) {
+    if (claim.isNew) {
+      await supabase.from("enrollments").delete().eq("id", claim.enrollment.id);
+    } else {
+      await supabase.from("enrollments").update({ status: "expired" }).eq("id", claim.enrollment.id);
+    }
+    throw err;
+  }
+
+  const { data: enrollment, error } = await supabase
+    .from("enrollments")
+    .update({ invoice_id: invoice.id })
+    .eq("id", claim.enrollment.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  return { enrollment, pay_url: invoice.stripe_hosted_url };
+}
+
+// Monthly schedule billing the rest of a payment plan, starting a month out
+function paymentPlanSchedule(course, student, enrollment) {
+  const count = course.installments;
+  const start = nextCycleDate(today(), "monthly", today());
+  let end = start;
+  for (let n = 3; n <= count; n++) end = nextCycleDate(end, "monthly", start);
+
+  return {
+    student_id: student.id,
+    customer_email: student.email,
+    customer_name: studentName(student),
+    class_name: course.name,
+    description: `${course.name} payment plan`,
+    items: [{
+      description: `${course.name} enrollment (monthly payment)`,
+      quantity: 1,
+      unit_price: installmentAmounts(course)[1] / 100,
+    }],
+    frequency: "monthly",
+    start_date: start,
+    end_date: end,
+    next_run_date: start,
+    due_days: 7,
+    auto_send: true,
+    status: "active",
+    created_by: null,
+  };
+}
+
+/**
+ * Activate the enrollment an invoice pays for. Called from the invoice.paid
+ * webhook; other invoices are ignored.
+ * @param {Object} invoice - Invoice row
+ * @returns {Promise<Object|null>} The activated enrollment
+ */
+async function activateEnrollment(invoice) {
+  // A payment that lands just as the hold runs out still counts
+  const { data: enrollment, error: enrollError } = await supabase
+    .from("enrollments")
+    .update({ status: "active", expires_at: null, enrolled_at: new Date().toISOString() })
+    .eq("invoice_id", invoice.id)
+    .in("status", ["pending", "expired"])
+    .select()
+    .maybeSingle();
+  if (enrollError) throw enrollError;
+  if (!enrollment) return null;
+
+  const { data: course, error: courseError } = await supabase
+    .from("courses")
+    .select("*")
+    .eq("id", enrollment.course_id)
+    .single();
+  if (courseError) throw courseError;
+
+  if (course?.price && course.installments > 1) {
+    const { data: student, error: studentError } = await supabase
+      .from("user")
+      .select("id, email, name, firstName, lastName")
+      .eq("id", enrollment.student_id)
+      .single();
+    if (studentError) throw studentError;
+
+    const { data: schedule, error } = await supabase
+      .from("recurring_invoices")
+      .insert(paymentPlanSchedule(course, student, enrollment))
+      .select()
+      .single();
+    if (error) throw error;
+
+    const { error: linkError } = await supabase
+      .from("enrollments")
+      .update({ recurring_invoice_id: schedule.id })
+      .eq("id", enrollment.id);
+    if (linkError) throw linkError;
+    enrollment.recurring_invoice_id = schedule.id;
+  }
+
+  return enrollment;
+}
+
+/**
+ * Void the invoice behind an enrollment that's being dropped, unless it's
+ * been paid. Failures are logged, not thrown.
+ * @param {Object} enrollment - enrollments row
+ */
+async function voidEnrollmentInvoice(enrollment) {
+  const invoice = await invoiceFor(enrollment);
+  if (!invoice || invoice.paid_at || !["draft", "sent", "overdue"].includes(invoice.status)) return;
+
+  try {
+    if (invoice.status !== "draft") {
+      await provider.voidInvoice(invoice.stripe_invoice_id, invoice.stripe_account_id);
+    }
+    await supabase
+      .from("invoices")
+      .update({ status: "void", updated_at: new Date().toISOString() })
+      .eq("id", invoice.id)
+      .is("paid_at", null);
+  } catch (err) {
+    console.error("Void enrollment invoice error:", invoice.id, err.message);
+  }
+}
+
+/**
+ * Stop billing the payment plan of an enrollment that's being dropped.
+ * Invoices it already generated are left alone.
+ * @param {Object} enrollment - enrollments row
+ */
+async function endPaymentPlan(enrollment) {
+  if (!enrollment.recurring_invoice_id) return;
+  const { error } = await supabase
+    .from("recurring_invoices")
+    .update({ status: "ended", next_run_date: null, updated_at: new Date().toISOString() })
+    .eq("id", enrollment.recurring_invoice_id)
+    .neq("status", "ended");
+  if (error) throw error;
+}
+
+/**
+ * Enroll a student on an admin's say-so, without payment. An enrollment
+ * still waiting on payment is activated and its invoice voided.
+ * @param {string} studentId
+ * @param {string} courseId
+ * @returns {Promise<Object>} The active enrollment
+ */
+async function grantEnrollment(studentId, courseId) {
+  const { data: inserted, error } = await supabase
+    .from("enrollments")
+    .insert({ student_id: studentId, course_id: courseId })
+    .select()
+    .single();
+  if (!error) return inserted;
+  if (error.code !== "23505") throw error;
+
+  const { data: existing } = await supabase
+    .from("enrollments")
+    .select("*")
+    .eq("student_id", studentId)
+    .eq("course_id", courseId)
+    .single();
+  if (existing.status === "active") return existing;
+
+  const { data: activated, error: updateError } = await supabase
+    .from("enrollments")
+    .update({ status: "active", expires_at: null, enrolled_at: new Date().toISOString() })
+    .eq("id", existing.id)
+    .select()
+    .single();
+  if (updateError) throw updateError;
+
+  await voidEnrollmentInvoice(existing);
+  return activated;
+}
+
+/**
+ * Expire pending enrollments past their hold and void their unpaid invoices.
+ * @returns {Promise<Array<{enrollment_id: string, invoice_id: ?string}>>} The ones expired
+ */
+async function expirePendingEnrollments() {
+  const { data: stale, error } = await supabase
+    .from("enrollments")
+    .select("*")
+    .eq("status", "pending")
+    .lt("expires_at", new Date().toISOString());
+  if (error) throw error;
+
+  const expired = [];
+  for (const enrollment of stale || []) {
+    // Claim it first so overlapping runs each void an invoice only once
+    const { data: claimed } = await supabase
+      .from("enrollments")
+      .update({ status: "expired" })
+      .eq("id", enrollment.id)
+      .eq("status", "pending")
+      .select()
+      .single();
+    if (!claimed) continue;
+
+    await voidEnrollmentInvoice(enrollment);
+    expired.push({ enrollment_id: enrollment.id, invoice_id: enrollment.invoice_id });
+  }
+  return expired;
+}
+
+export {
+  startPaidEnrollment,
+  activateEnrollment,
+  grantEnrollment,
+  voidEnrollmentInvoice,
+  endPaymentPlan,
+  expirePendingEnrollments,
+};
@@ -0,0 +1,12 @@
+// Errors lib modules share with the routes that call them.
+
+/**
+ * A request problem rather than a failure; routes answer it with a 400.
+ * @param {string} message - Shown to the user
+ * @returns {Error} An error with `invalid: true`
+ */
+function invalidRequest(message) {
+  return Object.assign(new Error(message), { invalid: true });
+}
+
+export { invalidRequest };
@@ -0,0 +1,232 @@
+import { STRIPE_PROCESSING_RATE, STRIPE_PROCESSING_FIXED } from "./pricing.js";
+
+// Accounting exports (CSV and QuickBooks IIF). One row per line item;
+// invoice-level figures go on the invoice's first row only so columns
+// can be summed without double counting. Money is exported in dollars.
+
+const IIF_ACCOUNTS = {
+  receivable: "Accounts Receivable",
+  income: "Tutoring Income",
+  discounts: "Discounts Given",
+  salesTax: "Sales Tax Payable",
+  feeIncome: "Processing Fee Income",
+  processingFees: "Merchant Processing Fees",
+  platformFees: "Platform Fees",
+  refunds: "Refunds Given",
+  clearing: "Stripe Clearing",
+};
+
+const CSV_COLUMNS = [
+  "invoice_number", "invoice_id", "created_date", "due_date", "paid_date", "status",
+  "customer_name", "customer_email", "class_name",
+  "item_student", "item_description", "quantity", "unit_price", "line_amount", "taxable", "line_tax",
+  "subtotal", "discount", "tax_name", "tax_rate", "tax_inclusive", "tax_amount", "processing_fee_charged", "total",
+  "stripe_processing_fee", "application_fee", "net_payout", "refunded",
+];
+
+function dollars(cents) {
+  return ((cents || 0) / 100).toFixed(2);
+}
+
+function dateOnly(value) {
+  return value ? String(value).split("T")[0] : "";
+}
+
+/**
+ * What an invoice collected through Stripe: the amount paid less offline
+ * payments. Unpaid invoices haven't collected anything yet.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} [settlement]
+ * @param {number} [settlement.offline] - Cents paid offline
+ */
+function stripeCollected(invoice, { offline = 0 } = {}) {
+  if (!invoice.paid_at) return 0;
+  return Math.max(0, (invoice.amount_paid ?? invoice.total) - offline);
+}
+
+/**
+ * What Stripe keeps for processing an invoice. When the fee was passed
+ * to the student and Stripe collected the whole invoice that's
+ * merchant_fee; otherwise it's estimated at the standard card rate on
+ * what Stripe collected. Stripe keeps it when a payment is refunded.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} [settlement] - See stripeCollected()
+ */
+function processingCost(invoice, settlement) {
+  const collected = stripeCollected(invoice, settlement);
+  if (collected <= 0) return 0;
+  if (invoice.merchant_fee > 0 && collected === invoice.total) return invoice.merchant_fee;
+  return Math.round(collected * STRIPE_PROCESSING_RATE + STRIPE_PROCESSING_FIXED);
+}
+
+// Refunds that went back through Stripe rather than in cash or by check
+function stripeRefunded(invoice, { refundedOutOfBand = 0 } = {}) {
+  return Math.max(0, (invoice.refunded_amount || 0) - refundedOutOfBand);
+}
+
+/**
+ * What Stripe pays out for an invoice: what it collected, less refunds
+ * made through it, processing and the platform fee.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} [settlement]
+ * @param {number} [settlement.offline] - Cents paid offline
+ * @param {number} [settlement.refundedOutOfBand] - Cents refunded outside Stripe
+ */
+function netPayout(invoice, settlement) {
+  const collected = stripeCollected(invoice, settlement);
+  if (collected <= 0) return 0;
+  return collected - stripeRefunded(invoice, settlement) - processingCost(invoice, settlement) - (invoice.application_fee || 0);
+}
+
+// Line items for an invoice, with a synthesized line for older invoices
+function exportLines(invoice, items) {
+  if (items && items.length) return items;
+  const lines = [{
+    description: invoice.description || "Tutoring Session",
+    quantity: parseFloat(invoice.hours) || 1,
+    unit_price: invoice.rate_per_hour ? Math.round(parseFloat(invoice.rate_per_hour) * 100) : invoice.subtotal,
+    amount: invoice.subtotal - (invoice.extra_fee || 0),
+    taxable: true,
+  }];
+  if (invoice.extra_fee > 0) {
+    lines.push({
+      description: invoice.extra_fee_label || "Additional Fee",
+      quantity: 1,
+      unit_price: invoice.extra_fee,
+      amount: invoice.extra_fee,
+      taxable: true,
+    });
+  }
+  return lines;
+}
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * CSV export, one row per line item.
+ * @param {Array} invoices - Invoice rows
+ * @param {Object<string, Array>} itemsByInvoice - Line items keyed by invoice id
+ * @param {Object<string, Object>} [settlements] - { offline, refundedOutOfBand } keyed by invoice id
+ * @returns {string}
+ */
+function invoicesToCsv(invoices, itemsByInvoice, settlements = {}) {
+  const rows = [CSV_COLUMNS.join(",")];
+
+  invoices.forEach((invoice) => {
+    const settlement = settlements[invoice.id];
+    exportLines(invoice, itemsByInvoice[invoice.id]).forEach((item, i) => {
+      const first = i === 0;
+      const row = {
+        invoice_number: invoice.invoice_number,
+        invoice_id: invoice.id,
+        created_date: dateOnly(invoice.created_at),
+        due_date: dateOnly(invoice.due_date),
+        paid_date: dateOnly(invoice.paid_at),
+        status: invoice.status,
+        customer_name: invoice.customer_name,
+        customer_email: invoice.customer_email,
+        class_name: invoice.class_name,
+        item_student: item.student_name || "",
+        item_description: item.description,
+        quantity: parseFloat(item.quantity),
+        unit_price: dollars(item.unit_price),
+        line_amount: dollars(item.amount),
+        taxable: item.taxable === false ? "N" : "Y",
+        line_tax: dollars(item.tax_amount),
+        subtotal: first ? dollars(invoice.subtotal) : "",
+        discount: first ? dollars(invoice.discount) : "",
+        tax_name: first ? invoice.tax_name || "Sales Tax" : "",
+        tax_rate: first ? parseFloat(invoice.tax_rate || 0) : "",
+        tax_inclusive: first ? (invoice.tax_inclusive ? "Y" : "N") : "",
+        tax_amount: first ? dollars(invoice.tax_amount) : "",
+        processing_fee_charged: first ? dollars(invoice.merchant_fee) : "",
+        total: first ? dollars(invoice.total) : "",
+        stripe_processing_fee: first ? dollars(processingCost(invoice, settlement)) : "",
+        application_fee: first ? dollars(invoice.application_fee) : "",
+        net_payout: first ? dollars(netPayout(invoice, settlement)) : "",
+        refunded: first ? dollars(invoice.refunded_amount) : "",
+      };
+      rows.push(CSV_COLUMNS.map((col) => csvCell(row[col])).join(","));
+    });
+  });
+
+  return rows.join("\r\n") + "\r\n";
+}
+
+function iifDate(value) {
+  const [y, m, d] = dateOnly(value).split("-");
+  return `${m}/${d}/${y}`;
+}
+
+function iifText(value) {
+  return String(value ?? "").replace(/[\t\r\n"]/g, " ");
+}
+
+/**
+ * QuickBooks IIF export. Each invoice is an INVOICE transaction with a
+ * split per line item plus discount, tax and processing fee splits.
+ * With inclusive tax the income splits are net of each line's tax.
+ * Invoices paid through Stripe also get a GENERAL JOURNAL entry clearing
+ * what Stripe collected into its fees, platform fees, refunds and the net
+ * payout.
+ * @param {Array} invoices - Invoice rows
+ * @param {Object<string, Array>} itemsByInvoice - Line items keyed by invoice id
+ * @param {Object<string, Object>} [settlements] - { offline, refundedOutOfBand } keyed by invoice id
+ * @returns {string}
+ */
+function invoicesToIif(invoices, itemsByInvoice, settlements = {}) {
+  const lines = [
+    "!TRNS\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tDUEDATE",
+    "!SPL\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tPRICE\tQNTY\tTAXABLE",
+    "!ENDTRNS",
+  ];
+
+  invoices.forEach((invoice) => {
+    const date = iifDate(invoice.created_at);
+    const name = iifText(invoice.customer_name || invoice.customer_email);
+    const cls = iifText(invoice.class_name);
+    const doc = iifText(invoice.invoice_number);
+    const split = (account, amount, memo, extra = ["", "", ""]) =>
+      ["SPL", "INVOICE", date, account, name, cls, dollars(amount), doc, iifText(memo), ...extra].join("\t");
+
+    lines.push(
+      ["TRNS", "INVOICE", date, IIF_ACCOUNTS.receivable, name, cls, dollars(invoice.total), doc,
+        iifText(invoice.description), iifDate(invoice.due_date || invoice.created_at)].join("\t")
+    );
+    exportLines(invoice, itemsByInvoice[invoice.id]).forEach((item) => {
+      const income = invoice.tax_inclusive ? item.amount - (item.tax_amount || 0) : item.amount;
+      lines.push(split(IIF_ACCOUNTS.income, -income, item.description, [
+        dollars(item.unit_price), String(-parseFloat(item.quantity)), item.taxable === false ? "N" : "Y",
+      ]));
+    });
+    if (invoice.discount > 0) lines.push(split(IIF_ACCOUNTS.discounts, invoice.discount, invoice.discount_label || "Discount"));
+    if (invoice.tax_amount > 0) {
+      lines.push(split(IIF_ACCOUNTS.salesTax, -invoice.tax_amount, `${invoice.tax_name || "Sales Tax"} (${parseFloat(invoice.tax_rate)}%)`));
+    }
+    if (invoice.merchant_fee > 0) lines.push(split(IIF_ACCOUNTS.feeIncome, -invoice.merchant_fee, "Processing Fee"));
+    lines.push("ENDTRNS");
+
+    const settlement = settlements[invoice.id];
+    const collected = stripeCollected(invoice, settlement);
+    if (collected > 0) {
+      const paidDate = iifDate(invoice.paid_at);
+      const memo = `Stripe payout for invoice ${doc}`;
+      const entry = (type, account, amount) =>
+        [type, "GENERAL JOURNAL", paidDate, account, name, cls, dollars(amount), doc, memo].join("\t");
+      const refunded = stripeRefunded(invoice, settlement);
+      lines.push(entry("TRNS", IIF_ACCOUNTS.clearing, netPayout(invoice, settlement)));
+      lines.push(entry("SPL", IIF_ACCOUNTS.processingFees, processingCost(invoice, settlement)));
+      if (invoice.application_fee > 0) lines.push(entry("SPL", IIF_ACCOUNTS.platformFees, invoice.application_fee));
+      if (refunded > 0) lines.push(entry("SPL", IIF_ACCOUNTS.refunds, refunded));
+      lines.push(entry("SPL", IIF_ACCOUNTS.receivable, -collected));
+      lines.push("ENDTRNS");
+    }
+  });
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+export { IIF_ACCOUNTS, csvCell, stripeCollected, processingCost, netPayout, invoicesToCsv, invoicesToIif };
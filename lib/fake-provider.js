@@ -0,0 +1,230 @@
+import crypto from "crypto";
+
+// Offline payment provider for development and tests (PAYMENT_PROVIDER=fake).
+// Objects are Stripe-shaped and kept in memory, so they're gone after a
+// restart. Each invoice gets a hosted page at /pay/fake/:id; paying there
+// emits the same invoice.paid event Stripe would send. Connected accounts
+// finish onboarding as soon as a link is made for them.
+
+const BASE_URL = process.env.BETTER_AUTH_URL || "http://localhost:5432";
+
+const customers = new Map();
+const pendingItems = new Map(); // customer id -> invoice items not on an invoice yet
+const invoices = new Map();
+const accounts = new Map();
+
+function fakeId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function getInvoice(id) {
+  const invoice = invoices.get(id);
+  if (!invoice) throw new Error(`No such invoice: ${id}`);
+  return invoice;
+}
+
+function event(type, object) {
+  return { id: fakeId("evt"), type, created: now(), data: { object: structuredClone(object) } };
+}
+
+async function findOrCreateCustomer({ email, name }) {
+  const existing = [...customers.values()].find((c) => c.email === email);
+  if (existing) return existing;
+  const customer = { id: fakeId("cus"), email, name: name || null };
+  customers.set(customer.id, customer);
+  return customer;
+}
+
+async function createInvoiceItem({ customer, amount, description }) {
+  const item = { id: fakeId("ii"), customer, amount, currency: "usd", description };
+  pendingItems.set(customer, [...(pendingItems.get(customer) || []), item]);
+  return item;
+}
+
+async function createInvoice({ customer, dueTimestamp, applicationFee }, account) {
+  const lines = pendingItems.get(customer) || [];
+  pendingItems.delete(customer);
+
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  const id = fakeId("in");
+  const invoice = {
+    id,
+    customer,
+    account: account || null,
+    customer_email: customers.get(customer)?.email || null,
+    status: "draft",
+    lines: { data: lines },
+    total,
+    amount_due: total,
+    amount_paid: 0,
+    amount_remaining: total,
+    application_fee_amount: applicationFee || null,
+    due_date: dueTimestamp,
+    hosted_invoice_url: null,
+    status_transitions: { finalized_at: null, paid_at: null, voided_at: null },
+    metadata: {},
+    created: now(),
+  };
+  invoices.set(id, invoice);
+  return invoice;
+}
+
+async function finalizeInvoice(id) {
+  const invoice = getInvoice(id);
+  if (invoice.status !== "draft") throw new Error("Invoice is already finalized");
+  invoice.status = "open";
+  invoice.hosted_invoice_url = `${BASE_URL}/pay/fake/${id}`;
+  invoice.status_transitions.finalized_at = now();
+  return invoice;
+}
+
+async function retrieveInvoice(id) {
+  return getInvoice(id);
+}
+
+async function updateInvoiceMetadata(id, metadata) {
+  const invoice = getInvoice(id);
+  invoice.metadata = { ...invoice.metadata, ...metadata };
+  return invoice;
+}
+
+async function sendInvoice(id) {
+  const invoice = getInvoice(id);
+  if (invoice.status !== "open") throw new Error("Only open invoices can be sent");
+  return invoice;
+}
+
+async function voidInvoice(id) {
+  const invoice = getInvoice(id);
+  if (invoice.status !== "open") throw new Error("Only open invoices can be voided");
+  invoice.status = "void";
+  invoice.status_transitions.voided_at = now();
+  return invoice;
+}
+
+async function deleteInvoice(id) {
+  const invoice = getInvoice(id);
+  if (invoice.status !== "draft" && invoice.status !== "open") throw new Error("Invoice can't be deleted");
+  invoices.delete(id);
+  return { id, deleted: true };
+}
+
+// Marks the invoice paid without emitting an event, like Stripe's paid_out_of_band
+async function payInvoiceOutOfBand(id) {
+  const invoice = getInvoice(id);
+  if (invoice.status !== "open") throw new Error("Only open invoices can be paid");
+  invoice.status = "paid";
+  invoice.amount_remaining = 0;
+  invoice.status_transitions.paid_at = now();
+  return invoice;
+}
+
+// Before payment a credit note lowers what's due; after it, it's a refund
+async function createCreditNote({ invoice: invoiceId, amount, refund_amount, reason, memo, metadata }) {
+  const invoice = getInvoice(invoiceId);
+  if (invoice.status === "open") {
+    invoice.amount_due -= amount;
+    invoice.amount_remaining -= amount;
+  }
+  return {
+    id: fakeId("cn"),
+    invoice: invoiceId,
+    amount,
+    reason: reason || null,
+    memo: memo || null,
+    metadata: metadata || {},
+    refunds: refund_amount ? [{ refund: fakeId("re"), amount_refunded: refund_amount }] : [],
+  };
+}
+
+// The fake has no charges, so charge.refunded never needs resolving
+async function invoiceIdForPayment() {
+  return null;
+}
+
+async function createConnectAccount({ email }) {
+  const account = {
+    id: fakeId("acct"),
+    email,
+    charges_enabled: false,
+    payouts_enabled: false,
+    details_submitted: false,
+  };
+  accounts.set(account.id, account);
+  return account;
+}
+
+async function retrieveAccount(id) {
+  const account = accounts.get(id);
+  if (!account) throw new Error(`No such account: ${id}`);
+  return account;
+}
+
+// Skips the onboarding form and sends the teacher straight back
+async function createAccountLink(id, { returnUrl }) {
+  const account = await retrieveAccount(id);
+  account.charges_enabled = true;
+  account.payouts_enabled = true;
+  account.details_submitted = true;
+  return { url: returnUrl };
+}
+
+async function listPayouts() {
+  return [];
+}
+
+function constructWebhookEvent(rawBody) {
+  return JSON.parse(rawBody.toString());
+}
+
+/**
+ * Pay an open invoice from the hosted page.
+ * @param {string} id - Fake invoice id
+ * @returns {Object} The invoice.paid event to process
+ */
+function payInvoice(id) {
+  const invoice = getInvoice(id);
+  if (invoice.status !== "open") throw new Error("This invoice can't be paid");
+  invoice.status = "paid";
+  invoice.amount_paid = invoice.amount_remaining;
+  invoice.amount_remaining = 0;
+  invoice.status_transitions.paid_at = now();
+  return event("invoice.paid", invoice);
+}
+
+/**
+ * Simulate a declined card on the hosted page.
+ * @param {string} id - Fake invoice id
+ * @returns {Object} The invoice.payment_failed event to process
+ */
+function failInvoicePayment(id) {
+  const invoice = getInvoice(id);
+  if (invoice.status !== "open") throw new Error("This invoice can't be paid");
+  return event("invoice.payment_failed", invoice);
+}
+
+export {
+  findOrCreateCustomer,
+  createInvoiceItem,
+  createInvoice,
+  finalizeInvoice,
+  retrieveInvoice,
+  updateInvoiceMetadata,
+  sendInvoice,
+  voidInvoice,
+  deleteInvoice,
+  payInvoiceOutOfBand,
+  createCreditNote,
+  invoiceIdForPayment,
+  createConnectAccount,
+  retrieveAccount,
+  createAccountLink,
+  listPayouts,
+  constructWebhookEvent,
+  payInvoice,
+  failInvoicePayment,
+};
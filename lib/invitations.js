@@ -0,0 +1,405 @@
+import crypto from "crypto";
+import supabase from "../database.js";
+import { auth, ROLES } from "./auth.js";
+import { sendInvitationEmail } from "./email.js";
+import { grantEnrollment } from "./enrollments.js";
+
+// Invitations: /invite/:id?token=<expires>.<signature>, emailed to the
+// invitee. The signature covers the invitation id, its version and the
+// expiry; resending moves the version on, so an older email stops working.
+// Accepting creates the account (or claims one made without a password,
+// e.g. from the invoice screen) with the invited role, already approved,
+// and enrolls a student in the invited courses.
+
+const INVITE_SECRET = process.env.INVITATION_SECRET || process.env.BETTER_AUTH_SECRET;
+const INVITE_DAYS = parseInt(process.env.INVITATION_DAYS, 10) || 14;
+const BASE_URL = process.env.BETTER_AUTH_URL || "http://localhost:5432";
+
+// Roles each inviter may hand out
+const INVITABLE_ROLES = {
+  [ROLES.OWNER]: [ROLES.ADMIN, ROLES.TEACHER, ROLES.STUDENT, ROLES.PARENT],
+  [ROLES.ADMIN]: [ROLES.TEACHER, ROLES.STUDENT, ROLES.PARENT],
+};
+
+function sign(invitationId, version, expires) {
+  if (!INVITE_SECRET) throw new Error("INVITATION_SECRET or BETTER_AUTH_SECRET must be set to sign invitation links");
+  return crypto
+    .createHmac("sha256", INVITE_SECRET)
+    .update(`invitation:${invitationId}:${version}:${expires}`)
+    .digest("hex")
+    .slice(0, 32);
+}
+
+// An ilike pattern matching exactly this email, in any case. Invitations
+// store emails lowercased; accounts made elsewhere (e.g. the invoice
+// screen) keep the case they were typed in.
+function emailPattern(email) {
+  return email.replace(/[%_\\]/g, "\\$&");
+}
+
+function displayName(user) {
+  return [user.firstName, user.lastName].filter(Boolean).join(" ") || user.name || user.email;
+}
+
+/**
+ * The signed link in an invitation email. It expires with the invitation.
+ * @param {Object} invitation - invitations row
+ * @returns {{url: string, token: string}}
+ */
+function invitationLink(invitation) {
+  const expires = Math.floor(new Date(invitation.expires_at).getTime() / 1000);
+  const token = `${expires}.${sign(invitation.id, invitation.version, expires)}`;
+  return { url: `${BASE_URL}/invite/${invitation.id}?token=${token}`, token };
+}
+
+/**
+ * Whether a token opens this invitation right now.
+ * @param {Object} invitation - invitations row
+ * @param {string} token
+ */
+function verifyInvitation(invitation, token) {
+  if (invitation.status !== "pending") return false;
+
+  const [expiresPart, signature] = String(token || "").split(".");
+  const expires = parseInt(expiresPart, 10);
+  if (!expires || expires * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(sign(invitation.id, invitation.version, expires));
+  const given = Buffer.from(String(signature || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * pending, accepted or revoked as stored, or expired once a pending
+ * invitation is past its expiry.
+ * @param {Object} invitation
+ */
+function invitationStatus(invitation) {
+  if (invitation.status === "pending" && new Date(invitation.expires_at) < new Date()) return "expired";
+  return invitation.status;
+}
+
+function expiryFrom(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function parseDays(value) {
+  if (value === undefined || value === null || value === "") return INVITE_DAYS;
+  const days = parseInt(value, 10);
+  return days >= 1 && days <= 90 ? days : null;
+}
+
+/**
+ * Invitations with their course names, inviter and effective status filled in.
+ * @param {Array<Object>} invitations - invitations rows
+ */
+async function withDetails(invitations) {
+  const courseIds = [...new Set(invitations.flatMap((inv) => inv.course_ids || []))];
+  const inviterIds = [...new Set(invitations.map((inv) => inv.invited_by).filter(Boolean))];
+
+  const courses = {};
+  if (courseIds.length) {
+    const { data } = await supabase.from("courses").select("id, name").in("id", courseIds);
+    (data || []).forEach((c) => { courses[c.id] = c.name; });
+  }
+  const inviters = {};
+  if (inviterIds.length) {
+    const { data } = await supabase
+      .from("user")
+      .select("id, email, name, firstName, lastName")
+      .in("id", inviterIds);
+    (data || []).forEach((u) => { inviters[u.id] = displayName(u); });
+  }
+
+  return invitations.map((inv) => ({
+    ...inv,
+    status: invitationStatus(inv),
+    courses: (inv.course_ids || []).map((id) => ({ id, name: courses[id] || "Deleted course" })),
+    invited_by_name: inviters[inv.invited_by] || null,
+  }));
+}
+
+/**
+ * Email the invitation link and note when it went out.
+ * @param {Object} invitation - invitations row
+ * @returns {Promise<Object>} The updated row
+ */
+async function sendInvitation(invitation) {
+  const [detailed] = await withDetails([invitation]);
+  const result = await sendInvitationEmail({
+    email: invitation.email,
+    name: invitation.first_name,
+    role: invitation.role,
+    inviterName: detailed.invited_by_name,
+    courseNames: detailed.courses.map((c) => c.name),
+    url: invitationLink(invitation).url,
+    expiresAt: invitation.expires_at,
+  });
+  if (!result.success) throw new Error("Failed to send invitation email");
+
+  const { data, error } = await supabase
+    .from("invitations")
+    .update({
+      sent_at: new Date().toISOString(),
+      send_count: (invitation.send_count || 0) + 1,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", invitation.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Create an invitation. Doesn't send it.
+ * @param {Object} fields - email, role, first_name, last_name, course_ids, days
+ * @param {Object} inviter - req.user
+ * @returns {Promise<{error: string, status?: number}|{invitation: Object}>}
+ */
+async function createInvitation(fields, inviter) {
+  const email = String(fields.email || "").trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: "A valid email is required" };
+
+  const role = fields.role || ROLES.STUDENT;
+  if (!Object.values(ROLES).includes(role)) return { error: "Unknown role" };
+  if (!(INVITABLE_ROLES[inviter.role] || []).includes(role)) {
+    return { error: `You can't invite someone as ${role}`, status: 403 };
+  }
+
+  const days = parseDays(fields.days);
+  if (!days) return { error: "Invitations can last between 1 and 90 days" };
+
+  const courseIds = [...new Set(Array.isArray(fields.course_ids) ? fields.course_ids.map(String) : [])];
+  if (courseIds.length && role !== ROLES.STUDENT) return { error: "Only students can be enrolled in courses" };
+  if (courseIds.length) {
+    const { data: courses } = await supabase.from("courses").select("id").in("id", courseIds);
+    if ((courses || []).length !== courseIds.length) return { error: "One or more courses were not found" };
+  }
+
+  // Same rule as editing a user: only owners can touch admin/owner accounts
+  const { data: matches } = await supabase
+    .from("user")
+    .select("id, role, deactivatedAt")
+    .ilike("email", emailPattern(email))
+    .limit(1);
+  const existing = matches?.[0];
+  if (existing?.deactivatedAt) return { error: "That account is deactivated — an owner can restore it" };
+  if (existing && [ROLES.OWNER, ROLES.ADMIN].includes(existing.role) && inviter.role !== ROLES.OWNER) {
+    return { error: "Only owners can invite admin/owner accounts", status: 403 };
+  }
+
+  const { data: invitation, error } = await supabase
+    .from("invitations")
+    .insert({
+      email,
+      role,
+      first_name: String(fields.first_name || "").trim(),
+      last_name: String(fields.last_name || "").trim(),
+      course_ids: courseIds,
+      expires_at: expiryFrom(days),
+      invited_by: inviter.id,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === "23505") return { error: "That email already has an open invitation — resend it instead" };
+    throw error;
+  }
+  return { invitation };
+}
+
+/**
+ * Send a pending invitation again with a fresh expiry. Links in earlier
+ * emails stop working.
+ * @param {Object} invitation - invitations row
+ * @param {Object} [opts]
+ * @param {number} [opts.days]
+ * @returns {Promise<{error: string}|{invitation: Object}>}
+ */
+async function resendInvitation(invitation, { days } = {}) {
+  if (invitation.status !== "pending") return { error: `This invitation has been ${invitation.status}` };
+  const validDays = parseDays(days);
+  if (!validDays) return { error: "Invitations can last between 1 and 90 days" };
+
+  const { data: renewed, error } = await supabase
+    .from("invitations")
+    .update({
+      version: invitation.version + 1,
+      expires_at: expiryFrom(validDays),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", invitation.id)
+    .eq("status", "pending")
+    .select()
+    .single();
+  if (error) throw error;
+
+  return { invitation: await sendInvitation(renewed) };
+}
+
+/**
+ * Withdraw a pending invitation.
+ * @param {string} invitationId
+ * @returns {Promise<Object|null>} The revoked row, or null if it wasn't pending
+ */
+async function revokeInvitation(invitationId) {
+  const { data } = await supabase
+    .from("invitations")
+    .update({ status: "revoked", revoked_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("id", invitationId)
+    .eq("status", "pending")
+    .select()
+    .single();
+  return data || null;
+}
+
+// The user row for the invited email, and whether it can already sign in
+// with a password
+async function findInvitee(email) {
+  const { data: matches } = await supabase
+    .from("user")
+    .select("*")
+    .ilike("email", emailPattern(email))
+    .limit(1);
+  const user = matches?.[0];
+  if (!user) return { user: null, hasPassword: false };
+
+  const ctx = await auth.$context;
+  const accounts = await ctx.internalAdapter.findAccounts(user.id);
+  return { user, hasPassword: accounts.some((a) => a.providerId === "credential" && a.password) };
+}
+
+/**
+ * What the accept page shows: who's invited as what, and whether they need
+ * to choose a password.
+ * @param {Object} invitation - invitations row
+ */
+async function describeInvitation(invitation) {
+  const [detailed] = await withDetails([invitation]);
+  const { user, hasPassword } = await findInvitee(invitation.email);
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    first_name: invitation.first_name || user?.firstName || "",
+    last_name: invitation.last_name || user?.lastName || "",
+    courses: detailed.courses.map((c) => c.name),
+    expires_at: invitation.expires_at,
+    invited_by: detailed.invited_by_name,
+    has_password: hasPassword,
+  };
+}
+
+/**
+ * Accept an invitation: create or claim the account, approved, with the
+ * invited role, and enroll a student in the invited courses. An account
+ * that already has a password keeps it.
+ * @param {Object} invitation - invitations row, already verified
+ * @param {Object} body - password (needed unless the account has one), first_name, last_name
+ * @returns {Promise<{error: string, status: number}|{user: Object, password_set: boolean}>}
+ */
+async function acceptInvitation(invitation, body) {
+  const ctx = await auth.$context;
+  const { user: existing, hasPassword } = await findInvitee(invitation.email);
+
+  const password = String(body.password || "");
+  const { minPasswordLength, maxPasswordLength } = ctx.password.config;
+  if (!hasPassword && (password.length < minPasswordLength || password.length > maxPasswordLength)) {
+    return { error: `Password must be between ${minPasswordLength} and ${maxPasswordLength} characters`, status: 400 };
+  }
+
+  const firstName = String(body.first_name || invitation.first_name || existing?.firstName || "").trim();
+  const lastName = String(body.last_name || invitation.last_name || existing?.lastName || "").trim();
+  const profile = {
+    firstName,
+    lastName,
+    name: [firstName, lastName].filter(Boolean).join(" ") || existing?.name || invitation.email,
+    role: invitation.role,
+    isApproved: true,
+    emailVerified: true,
+  };
+
+  // Claim the invitation before touching the account, so only one of two
+  // concurrent accepts writes the user and links a password
+  const userId = existing?.id || crypto.randomUUID().replace(/-/g, "").slice(0, 32);
+  const { data: claimed, error: claimError } = await supabase
+    .from("invitations")
+    .update({
+      status: "accepted",
+      accepted_at: new Date().toISOString(),
+      accepted_user_id: userId,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", invitation.id)
+    .eq("status", "pending")
+    .select()
+    .maybeSingle();
+  if (claimError) throw claimError;
+  if (!claimed) return { error: "This invitation has already been used", status: 409 };
+
+  let user;
+  try {
+    if (existing) {
+      // An owner invited under another role stays an owner
+      if (existing.role === ROLES.OWNER) profile.role = ROLES.OWNER;
+      const { data, error } = await supabase
+        .from("user")
+        .update(profile)
+        .eq("id", existing.id)
+        .select()
+        .single();
+      if (error) throw error;
+      user = data;
+    } else {
+      const { data, error } = await supabase
+        .from("user")
+        .insert({ id: userId, email: invitation.email, ...profile })
+        .select()
+        .single();
+      if (error) throw error;
+      user = data;
+    }
+
+    if (!hasPassword) {
+      await ctx.internalAdapter.linkAccount({
+        userId: user.id,
+        providerId: "credential",
+        accountId: user.id,
+        password: await ctx.password.hash(password),
+      });
+    }
+  } catch (err) {
+    // Hand the link back so it can be tried again
+    await supabase
+      .from("invitations")
+      .update({ status: "pending", accepted_at: null, accepted_user_id: null, updated_at: new Date().toISOString() })
+      .eq("id", invitation.id);
+    // An account for the address appeared since we looked it up
+    if (err.code === "23505") return { error: "An account with this email was just created; open the link again", status: 409 };
+    throw err;
+  }
+
+  if (user.role === ROLES.STUDENT && invitation.course_ids?.length) {
+    // Courses deleted since the invitation went out are skipped
+    const { data: courses } = await supabase.from("courses").select("id").in("id", invitation.course_ids);
+    for (const course of courses || []) {
+      await grantEnrollment(user.id, course.id);
+    }
+  }
+
+  return { user, password_set: !hasPassword };
+}
+
+export {
+  invitationLink,
+  verifyInvitation,
+  invitationStatus,
+  withDetails,
+  createInvitation,
+  sendInvitation,
+  resendInvitation,
+  revokeInvitation,
+  describeInvitation,
+  acceptInvitation,
+};
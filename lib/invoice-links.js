@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import supabase from "../database.js";
+
+// Public invoice links: /invoice/:id?token=<expires>.<signature>. The
+// signature covers the invoice id, its link_version and the expiry, so a
+// link stops working when it expires, when it's regenerated (the version
+// moves on) or while the invoice's link is revoked.
+
+const LINK_SECRET = process.env.INVOICE_LINK_SECRET || process.env.BETTER_AUTH_SECRET;
+const LINK_DAYS = parseInt(process.env.INVOICE_LINK_DAYS, 10) || 60;
+const BASE_URL = process.env.BETTER_AUTH_URL || "http://localhost:5432";
+
+function sign(invoiceId, version, expires) {
+  // An empty key would let anyone forge invoice links
+  if (!LINK_SECRET) throw new Error("INVOICE_LINK_SECRET or BETTER_AUTH_SECRET must be set to sign invoice links");
+  return crypto
+    .createHmac("sha256", LINK_SECRET)
+    .update(`invoice:${invoiceId}:${version}:${expires}`)
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * A signed public link to an invoice.
+ * @param {Object} invoice - Invoice row (needs id and link_version)
+ * @param {Object} [opts]
+ * @param {number} [opts.days] - How long the link works, default INVOICE_LINK_DAYS
+ * @returns {{url: string, token: string, expires_at: string}}
+ */
+function invoiceLink(invoice, { days = LINK_DAYS } = {}) {
+  const expires = Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+  const token = `${expires}.${sign(invoice.id, invoice.link_version || 1, expires)}`;
+  return {
+    url: `${BASE_URL}/invoice/${invoice.id}?token=${token}`,
+    token,
+    expires_at: new Date(expires * 1000).toISOString(),
+  };
+}
+
+/**
+ * Whether a token opens this invoice right now.
+ * @param {Object} invoice - Invoice row
+ * @param {string} token
+ */
+function verifyInvoiceLink(invoice, token) {
+  if (invoice.link_revoked_at) return false;
+
+  const [expiresPart, signature] = String(token || "").split(".");
+  const expires = parseInt(expiresPart, 10);
+  if (!expires || expires * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(sign(invoice.id, invoice.link_version || 1, expires));
+  const given = Buffer.from(String(signature || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Invalidate every link out for an invoice and issue a new one.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} [opts]
+ * @param {number} [opts.days]
+ */
+async function regenerateInvoiceLink(invoice, opts) {
+  const { data, error } = await supabase
+    .from("invoices")
+    .update({
+      link_version: (invoice.link_version || 1) + 1,
+      link_revoked_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", invoice.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return invoiceLink(data, opts);
+}
+
+/**
+ * Turn off the invoice's public link until it's regenerated.
+ * @param {string} invoiceId
+ */
+async function revokeInvoiceLink(invoiceId) {
+  const { error } = await supabase
+    .from("invoices")
+    .update({ link_revoked_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("id", invoiceId);
+
+  if (error) throw error;
+}
+
+export { invoiceLink, verifyInvoiceLink, regenerateInvoiceLink, revokeInvoiceLink };
@@ -0,0 +1,80 @@
+import supabase from "../database.js";
+import { provider } from "./payment-provider.js";
+
+// Invoice numbers like GTB-2026-0042. The database assigns them as each
+// invoice is inserted (see migrations/013_invoice_numbers.sql); this module
+// edits the format and copies numbers onto the provider's invoices.
+
+function formatInvoiceNumber({ prefix, include_year, padding }, seq, year) {
+  return [prefix || null, include_year ? String(year) : null, String(seq).padStart(padding, "0")]
+    .filter(Boolean)
+    .join("-");
+}
+
+/**
+ * The numbering format, with the number the next invoice would get.
+ */
+async function getNumbering() {
+  const { data: numbering, error } = await supabase
+    .from("invoice_numbering")
+    .select("prefix, include_year, padding, updated_at")
+    .single();
+  if (error) throw error;
+
+  const year = new Date().getUTCFullYear();
+  const { data: counter } = await supabase
+    .from("invoice_counters")
+    .select("last_seq")
+    .eq("series", numbering.include_year ? String(year) : "all")
+    .single();
+
+  return { ...numbering, next_number: formatInvoiceNumber(numbering, (counter?.last_seq || 0) + 1, year) };
+}
+
+/**
+ * Change the numbering format. Invoices already numbered keep their numbers.
+ * @param {Object} fields - prefix, include_year and/or padding
+ * @returns {Promise<{error: string}|Object>} The new format, or a validation error
+ */
+async function updateNumbering(fields) {
+  const update = {};
+  if (fields.prefix !== undefined) {
+    update.prefix = String(fields.prefix || "").trim().toUpperCase();
+    if (!/^[A-Z0-9]{0,10}$/.test(update.prefix)) {
+      return { error: "Prefix can only use letters and digits (up to 10)" };
+    }
+  }
+  if (fields.include_year !== undefined) update.include_year = !!fields.include_year;
+  if (fields.padding !== undefined) {
+    update.padding = parseInt(fields.padding, 10);
+    if (!(update.padding >= 1 && update.padding <= 10)) return { error: "Padding must be between 1 and 10" };
+  }
+
+  const { error } = await supabase
+    .from("invoice_numbering")
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq("id", true);
+  if (error) throw error;
+
+  return getNumbering();
+}
+
+/**
+ * Put our invoice number on the provider's copy of an invoice, so it can
+ * be matched up from the Stripe dashboard. Failures are logged, not thrown.
+ * @param {Object} invoice - Invoice row
+ */
+async function tagProviderInvoice(invoice) {
+  if (!invoice.stripe_invoice_id || !invoice.invoice_number) return;
+  try {
+    await provider.updateInvoiceMetadata(
+      invoice.stripe_invoice_id,
+      { invoice_id: invoice.id, invoice_number: invoice.invoice_number },
+      invoice.stripe_account_id
+    );
+  } catch (err) {
+    console.error("Tag provider invoice error:", invoice.id, err.message);
+  }
+}
+
+export { getNumbering, updateNumbering, tagProviderInvoice };
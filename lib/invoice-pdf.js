@@ -0,0 +1,219 @@
+import PDFDocument from "pdfkit";
+import { sendInvoicePaidToOwner } from "./email.js";
+import { getLineItems } from "./invoices.js";
+
+// Branded PDF invoices and receipts. Paid invoices render as receipts.
+
+const NAVY = "#1a1a2e";
+const GOLD = "#C9A84C";
+const GREY = "#888888";
+
+function money(cents) {
+  return (cents < 0 ? "-$" : "$") + (Math.abs(cents) / 100).toFixed(2);
+}
+
+function formatDate(value) {
+  if (!value) return "-";
+  return new Date(value).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+}
+
+// Invoice numbers are formatted (GTB-2026-0042); bare counts predate that
+function invoiceLabel(invoice) {
+  const number = String(invoice.invoice_number || "");
+  return /^\d*$/.test(number) ? "#" + number.padStart(4, "0") : number;
+}
+
+function pdfFilename(invoice) {
+  const kind = invoice.paid_at ? "receipt" : "invoice";
+  return `geniustestboost-${kind}-${String(invoice.invoice_number || invoice.id).padStart(4, "0")}.pdf`;
+}
+
+// Table rows for the invoice body: line items, then adjustments
+function invoiceRows(invoice, items) {
+  const rows = items.length
+    ? items.map((item) => ({
+        description: item.student_name ? `${item.student_name}: ${item.description}` : item.description,
+        quantity: String(parseFloat(item.quantity)),
+        rate: money(item.unit_price),
+        amount: money(item.amount),
+      }))
+    : [
+        // Older invoices: single tutoring line
+        {
+          description: invoice.description || "Tutoring Session",
+          quantity: invoice.hours ? `${parseFloat(invoice.hours)} hr` : "1",
+          rate: invoice.rate_per_hour ? `$${parseFloat(invoice.rate_per_hour).toFixed(2)}/hr` : "",
+          amount: money(invoice.subtotal),
+        },
+      ];
+
+  if (invoice.extra_fee > 0) {
+    rows.push({ description: invoice.extra_fee_label || "Additional Fee", amount: money(invoice.extra_fee) });
+  }
+  return rows;
+}
+
+function totalLines(invoice) {
+  const lines = [["Subtotal", money(invoice.subtotal)]];
+  if (invoice.extra_fee > 0) lines.push([invoice.extra_fee_label || "Extra Fee", money(invoice.extra_fee)]);
+  if (invoice.discount > 0) lines.push([invoice.discount_label || "Discount", money(-invoice.discount)]);
+  if (invoice.tax_amount > 0) {
+    const label = `${invoice.tax_name || "Sales Tax"} (${parseFloat(invoice.tax_rate)}%)`;
+    // Inclusive tax is already in the prices above, so it's shown but not added
+    if (invoice.tax_inclusive) lines.push([`Includes ${label}`, money(invoice.tax_amount)]);
+    else lines.push([label, money(invoice.tax_amount)]);
+  }
+  if (invoice.merchant_fee > 0) lines.push(["Processing Fee", money(invoice.merchant_fee)]);
+  if (invoice.written_off_amount > 0) lines.push(["Written Off", money(-invoice.written_off_amount)]);
+  return lines;
+}
+
+// What a receipt shows as paid: less than the total when the rest was written off
+function amountPaid(invoice) {
+  return invoice.written_off_amount > 0 ? invoice.amount_paid || 0 : invoice.total;
+}
+
+/**
+ * Render an invoice (or, once paid, a receipt) as a PDF.
+ * @param {Object} invoice - Invoice row
+ * @param {Array} [items] - Line items; loaded when omitted
+ * @returns {Promise<Buffer>}
+ */
+async function renderInvoicePdf(invoice, items) {
+  const lineItems = items || (await getLineItems(invoice.id));
+  const paid = !!invoice.paid_at;
+
+  const doc = new PDFDocument({ size: "LETTER", margin: 54 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+
+  // Header
+  doc.font("Helvetica-Bold").fontSize(22).fillColor(NAVY).text("Genius", left, 54, { continued: true });
+  doc.fillColor(GOLD).text("TestBoost");
+  doc.font("Helvetica").fontSize(9).fillColor(GREY).text("classroom@geniustestboost.com | 240.346.8306");
+
+  doc.font("Helvetica-Bold").fontSize(18).fillColor(NAVY)
+    .text(paid ? "RECEIPT" : "INVOICE", left, 54, { width, align: "right" });
+  doc.font("Helvetica").fontSize(10).fillColor(GREY).text(invoiceLabel(invoice), { width, align: "right" });
+
+  doc.moveTo(left, 110).lineTo(right, 110).lineWidth(1).strokeColor("#eeeeee").stroke();
+
+  // Bill to and dates
+  const metaTop = 128;
+  doc.font("Helvetica-Bold").fontSize(8).fillColor(GREY).text("BILL TO", left, metaTop);
+  doc.font("Helvetica-Bold").fontSize(11).fillColor(NAVY).text(invoice.customer_name || invoice.customer_email, left, metaTop + 14);
+  doc.font("Helvetica").fontSize(10).fillColor("#555555").text(invoice.customer_email, left, metaTop + 30);
+  if (invoice.class_name) doc.text(invoice.class_name, left, metaTop + 44);
+
+  const dates = [["Invoice Date", formatDate(invoice.created_at)], ["Due Date", formatDate(invoice.due_date)]];
+  if (paid) dates.push(["Paid On", formatDate(invoice.paid_at)]);
+  dates.forEach(([label, value], i) => {
+    const y = metaTop + i * 16;
+    doc.font("Helvetica-Bold").fontSize(8).fillColor(GREY).text(label.toUpperCase(), left + width / 2, y + 2, { width: 110 });
+    doc.font("Helvetica").fontSize(10).fillColor(NAVY).text(value, left + width / 2 + 110, y, { width: width / 2 - 110, align: "right" });
+  });
+
+  // Line items table
+  const cols = [
+    { key: "description", x: left, w: width * 0.52, align: "left" },
+    { key: "quantity", x: left + width * 0.52, w: width * 0.12, align: "right" },
+    { key: "rate", x: left + width * 0.64, w: width * 0.18, align: "right" },
+    { key: "amount", x: left + width * 0.82, w: width * 0.18, align: "right" },
+  ];
+  let y = 220;
+  doc.rect(left, y, width, 22).fill("#f8f9fa");
+  ["DESCRIPTION", "QTY", "RATE", "AMOUNT"].forEach((title, i) => {
+    doc.font("Helvetica-Bold").fontSize(8).fillColor(GREY)
+      .text(title, cols[i].x + 6, y + 7, { width: cols[i].w - 12, align: cols[i].align });
+  });
+  y += 28;
+
+  invoiceRows(invoice, lineItems).forEach((row) => {
+    const height = Math.max(doc.font("Helvetica").fontSize(10).heightOfString(row.description || "", { width: cols[0].w - 12 }), 12);
+    if (y + height > doc.page.height - 160) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    cols.forEach((col) => {
+      doc.font("Helvetica").fontSize(10).fillColor(NAVY)
+        .text(row[col.key] || "", col.x + 6, y, { width: col.w - 12, align: col.align });
+    });
+    y += height + 10;
+    doc.moveTo(left, y - 5).lineTo(right, y - 5).lineWidth(0.5).strokeColor("#f0f0f0").stroke();
+  });
+
+  // Totals
+  y += 8;
+  const labelX = left + width * 0.5;
+  const totalsWidth = width * 0.5;
+  totalLines(invoice).forEach(([label, value]) => {
+    doc.font("Helvetica").fontSize(10).fillColor("#555555").text(label, labelX, y, { width: totalsWidth * 0.6 });
+    doc.fillColor(NAVY).text(value, labelX + totalsWidth * 0.6, y, { width: totalsWidth * 0.4 - 6, align: "right" });
+    y += 18;
+  });
+  doc.moveTo(labelX, y).lineTo(right, y).lineWidth(1).strokeColor(NAVY).stroke();
+  y += 8;
+  doc.font("Helvetica-Bold").fontSize(13).fillColor(NAVY).text(paid ? "Total Paid" : "Total Due", labelX, y, { width: totalsWidth * 0.6 });
+  doc.text(money(paid ? amountPaid(invoice) : invoice.total), labelX + totalsWidth * 0.6, y, { width: totalsWidth * 0.4 - 6, align: "right" });
+  y += 22;
+  if (invoice.refunded_amount > 0) {
+    doc.font("Helvetica").fontSize(10).fillColor("#555555").text("Refunded", labelX, y, { width: totalsWidth * 0.6 });
+    doc.text(money(-invoice.refunded_amount), labelX + totalsWidth * 0.6, y, { width: totalsWidth * 0.4 - 6, align: "right" });
+    y += 18;
+  }
+
+  // PAID stamp
+  if (paid) {
+    doc.save();
+    doc.rotate(-18, { origin: [left + 90, y + 20] });
+    doc.roundedRect(left + 20, y, 150, 46, 6).lineWidth(3).strokeColor("#27ae60").stroke();
+    doc.font("Helvetica-Bold").fontSize(28).fillColor("#27ae60").text("PAID", left + 20, y + 10, { width: 150, align: "center" });
+    doc.restore();
+  } else if (invoice.status === "void") {
+    doc.font("Helvetica-Bold").fontSize(14).fillColor("#dc2626").text("VOID", left, y);
+  }
+
+  // Footer
+  doc.font("Helvetica").fontSize(8).fillColor(GREY).text(
+    paid ? "Thank you for your payment." : "Thank you for choosing GeniusTestBoost.",
+    left,
+    doc.page.height - doc.page.margins.bottom - 20,
+    { width, align: "center" }
+  );
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Email the owner that an invoice was paid, with the receipt attached.
+ * @param {Object} invoice - Paid invoice row
+ */
+async function notifyInvoicePaid(invoice) {
+  let attachments;
+  try {
+    attachments = [{ filename: pdfFilename(invoice), content: await renderInvoicePdf(invoice) }];
+  } catch (err) {
+    console.error("Receipt PDF error:", invoice.id, err.message);
+  }
+
+  return sendInvoicePaidToOwner({
+    invoiceNumber: invoice.invoice_number,
+    studentName: invoice.customer_name,
+    studentEmail: invoice.customer_email,
+    amount: amountPaid(invoice),
+    writtenOff: invoice.written_off_amount || 0,
+    description: invoice.class_name || invoice.description,
+    attachments,
+  });
+}
+
+export { pdfFilename, renderInvoicePdf, notifyInvoicePaid };
@@ -0,0 +1,257 @@
+import supabase from "../database.js";
+import { sendInvoiceCreatedToStudent, sendInvoiceCreatedToOwner } from "./email.js";
+import { lineItemLabel, quoteInvoice, quoteItems } from "./pricing.js";
+import { resolvePackageItems, applyInvoiceCredit, recordCreditUsage } from "./credits.js";
+import { resolveTaxProfile } from "./tax.js";
+import { resolveTeacher } from "./teacher-accounts.js";
+import { resolveBillingContact } from "./billing-contacts.js";
+import { provider } from "./payment-provider.js";
+import { invoiceLink } from "./invoice-links.js";
+import { tagProviderInvoice } from "./invoice-numbers.js";
+import { checkPromoCode, applyPromoCode, claimRedemption, completeRedemption, releaseRedemption } from "./promos.js";
+import { invalidRequest } from "./errors.js";
+
+// Shared invoice operations — used by routes/invoices.js and the
+// recurring invoice scheduler so both go through the same payment flow.
+
+// Load line items for an invoice, in display order
+async function getLineItems(invoiceId) {
+  const { data } = await supabase
+    .from("invoice_items")
+    .select("id, description, quantity, unit_price, amount, taxable, kind, package_id, package_hours, tax_amount, student_email, student_name, position")
+    .eq("invoice_id", invoiceId)
+    .order("position", { ascending: true });
+  return data || [];
+}
+
+// Replace all line items for an invoice
+async function saveLineItems(invoiceId, items) {
+  const { error: delErr } = await supabase
+    .from("invoice_items")
+    .delete()
+    .eq("invoice_id", invoiceId);
+  if (delErr) throw delErr;
+
+  if (items.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("invoice_items")
+    .insert(items.map((item, i) => ({ ...item, invoice_id: invoiceId, position: i })))
+    .select();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Create and finalize an invoice with the payment provider.
+ * Pushes one invoice item per line item, then discount, tax and
+ * processing fee lines from the pricing breakdown. Inclusive tax is
+ * already in the line amounts, so it gets no line of its own.
+ * @param {Object} opts
+ * @param {string} opts.email - Customer email
+ * @param {string} [opts.name] - Customer name
+ * @param {Object} opts.pricing - Result of quoteInvoice()
+ * @param {string} [opts.discountLabel]
+ * @param {number} opts.dueTimestamp - Unix seconds
+ * @param {string} [opts.account] - Teacher's connected account; the studio's when empty
+ * @returns {Promise<Object>} The finalized provider invoice
+ */
+async function createProviderInvoice({ email, name, pricing, discountLabel, dueTimestamp, account }) {
+  // 1. Find or create the customer on the account being billed
+  const customer = await provider.findOrCreateCustomer({ email, name }, account);
+
+  // 2. Create invoice items
+  const lines = pricing.items.map((item) => ({
+    amount: item.amount,
+    description: lineItemLabel(item),
+  }));
+  if (pricing.discount > 0) {
+    lines.push({ amount: -pricing.discount, description: discountLabel || "Discount" });
+  }
+  if (pricing.tax_amount > 0 && !pricing.tax_inclusive) {
+    lines.push({ amount: pricing.tax_amount, description: `${pricing.tax_name} (${pricing.tax_rate}%)` });
+  }
+  if (pricing.merchant_fee > 0) {
+    lines.push({ amount: pricing.merchant_fee, description: "Processing Fee" });
+  }
+
+  for (const line of lines) {
+    await provider.createInvoiceItem({ customer: customer.id, ...line }, account);
+  }
+
+  // 3. Create the invoice
+  const providerInvoice = await provider.createInvoice({
+    customer: customer.id,
+    dueTimestamp,
+    applicationFee: pricing.application_fee,
+  }, account);
+
+  // 3b. Finalize the invoice so hosted_invoice_url is generated
+  return provider.finalizeInvoice(providerInvoice.id, account);
+}
+
+async function createInvoice(requestBody, { createdBy, recurringInvoiceId = null }) {
+  let body = await resolveTeacher(await resolveTaxProfile(
+    await resolveBillingContact(await resolvePackageItems(requestBody))
+  ));
+
+  let promo = null;
+  if (body.promo_code) {
+    const check = await checkPromoCode(body.promo_code, {
+      email: body.customer_email,
+      className: body.class_name,
+    });
+    if (check.error) throw invalidRequest(check.error);
+    promo = check.promo;
+    body = applyPromoCode(body, promo);
+  }
+  const {
+    customer_email,
+    customer_name,
+    description,
+    hours,
+    rate_per_hour,
+    class_name,
+    discount_label,
+    pass_merchant_fee,
+    due_date,
+  } = body;
+
+  let pricing = quoteInvoice(body);
+  if (!customer_email || pricing.items.length === 0) {
+    throw invalidRequest("Student and at least one line item are required");
+  }
+
+  const credit = body.apply_credit === false
+    ? { hours: 0 }
+    : await applyInvoiceCredit(pricing.items, customer_email);
+  if (credit.hours > 0) pricing = quoteItems(credit.items, body);
+
+  const dueTimestamp = due_date
+    ? Math.floor(new Date(due_date).getTime() / 1000)
+    : Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
+
+  // Hold a use of the promo code; it's given back if the invoice isn't saved
+  let redemption = null;
+  if (promo) {
+    const claim = await claimRedemption(promo, { email: customer_email, createdBy });
+    if (claim.error) throw invalidRequest(claim.error);
+    redemption = claim.redemption;
+  }
+  const releaseClaim = async (err) => {
+    if (redemption) await releaseRedemption({ redemptionId: redemption.id });
+    throw err;
+  };
+
+  const finalizedInvoice = await createProviderInvoice({
+    email: customer_email,
+    name: customer_name,
+    pricing,
+    discountLabel: discount_label,
+    dueTimestamp,
+    account: body.stripe_account_id,
+  }).catch(releaseClaim);
+
+  // 4. Save to our database
+  const { data: invoice, error } = await supabase
+    .from("invoices")
+    .insert({
+      stripe_invoice_id: finalizedInvoice.id,
+      stripe_hosted_url: finalizedInvoice.hosted_invoice_url,
+      stripe_account_id: body.stripe_account_id,
+      teacher_id: body.teacher_id,
+      billing_contact_id: body.billing_contact_id,
+      customer_email,
+      customer_name: customer_name || "",
+      class_name: class_name || "",
+      description: description || "",
+      hours: body.items ? null : parseFloat(hours) || null,
+      rate_per_hour: body.items ? null : parseFloat(rate_per_hour) || null,
+      subtotal: pricing.subtotal,
+      extra_fee: 0,
+      extra_fee_label: "",
+      discount: pricing.discount,
+      discount_label: discount_label || "",
+      promo_code: promo ? promo.code : null,
+      tax_profile_id: pricing.tax_profile_id,
+      tax_name: pricing.tax_name,
+      tax_rate: pricing.tax_rate,
+      tax_inclusive: pricing.tax_inclusive,
+      tax_amount: pricing.tax_amount,
+      merchant_fee: pricing.merchant_fee,
+      pass_merchant_fee: !!pass_merchant_fee,
+      application_fee: pricing.application_fee,
+      total: pricing.total,
+      credit_hours: credit.hours,
+      status: "draft",
+      due_date: due_date || new Date(dueTimestamp * 1000).toISOString(),
+      created_by: createdBy,
+      recurring_invoice_id: recurringInvoiceId,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Don't leave an open, payable invoice on the provider with no row here
+    await provider.voidInvoice(finalizedInvoice.id, body.stripe_account_id).catch((voidErr) => {
+      console.error("Void unsaved provider invoice error:", finalizedInvoice.id, voidErr.message);
+    });
+    await releaseClaim(error);
+  }
+  if (redemption) await completeRedemption(redemption.id, invoice);
+  await tagProviderInvoice(invoice);
+
+  invoice.items = await saveLineItems(invoice.id, pricing.items);
+
+  if (credit.hours > 0) await recordCreditUsage(invoice, credit.by_student, createdBy);
+
+  // Send email notifications (fire and forget)
+  const desc = (class_name || "") + (description ? ` — ${description}` : "") || "Tutoring Services";
+  sendInvoiceCreatedToOwner({
+    invoiceNumber: invoice.invoice_number,
+    studentName: customer_name,
+    studentEmail: customer_email,
+    amount: pricing.total,
+    description: desc,
+  }).catch(() => {});
+
+  return invoice;
+}
+
+/**
+ * Send a finalized invoice through the provider, mark it sent and email the student.
+ * @param {Object} invoice - Invoice row
+ */
+async function sendInvoice(invoice) {
+  // Stripe emails the invoice too; the fake provider only checks it's open
+  await provider.sendInvoice(invoice.stripe_invoice_id, invoice.stripe_account_id);
+
+  const { error } = await supabase
+    .from("invoices")
+    .update({
+      status: "sent",
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", invoice.id);
+
+  if (error) throw error;
+
+  // Email the student a signed link to the invoice page (which has the pay button)
+  sendInvoiceCreatedToStudent({
+    email: invoice.customer_email,
+    name: invoice.customer_name,
+    invoiceNumber: invoice.invoice_number,
+    invoiceUrl: invoiceLink(invoice).url,
+    amount: invoice.total,
+    description: invoice.class_name || invoice.description || "Tutoring Services",
+    dueDate: invoice.due_date,
+  }).catch(() => {});
+}
+
+export {
+  getLineItems,
+  saveLineItems,
+  createProviderInvoice,
+  createInvoice,
+  sendInvoice,
+};
@@ -0,0 +1,139 @@
+import supabase from "../database.js";
+import { ROLES } from "./auth.js";
+
+// Parent/guardian accounts. A parent is linked to students through
+// parent_links; a link counts once the student or an admin confirms it.
+// Confirmed parents get a read-only view of their children's courses,
+// grades and invoices, and can message their children's teachers.
+
+function displayName(user) {
+  return [user.firstName, user.lastName].filter(Boolean).join(" ") || user.name || user.email;
+}
+
+/**
+ * Ids of a parent's confirmed children.
+ * @param {string} parentId
+ * @returns {Promise<string[]>}
+ */
+async function childIds(parentId) {
+  const { data, error } = await supabase
+    .from("parent_links")
+    .select("student_id")
+    .eq("parent_id", parentId)
+    .eq("status", "confirmed");
+  if (error) throw error;
+  return (data || []).map((link) => link.student_id);
+}
+
+/**
+ * Which of a parent's children a request is about: the one named by
+ * ?student_id= (if it's theirs), or all of them.
+ * @param {Object} user - req.user, a parent
+ * @param {string} [studentId]
+ * @returns {Promise<string[]|null>} null if studentId isn't their child
+ */
+async function childrenInScope(user, studentId) {
+  const ids = await childIds(user.id);
+  if (!studentId) return ids;
+  return ids.includes(studentId) ? [studentId] : null;
+}
+
+/**
+ * Emails of a parent's confirmed children, for invoice access.
+ * @param {string} parentId
+ */
+async function childEmails(parentId) {
+  const ids = await childIds(parentId);
+  if (ids.length === 0) return [];
+
+  const { data } = await supabase
+    .from("user")
+    .select("email")
+    .in("id", ids);
+  return (data || []).map((u) => u.email);
+}
+
+/**
+ * Links with the parent's and student's names filled in.
+ * @param {Array<Object>} links - parent_links rows
+ */
+async function withNames(links) {
+  const ids = [...new Set(links.flatMap((link) => [link.parent_id, link.student_id]))];
+  const users = {};
+  if (ids.length) {
+    const { data } = await supabase
+      .from("user")
+      .select("id, email, name, firstName, lastName")
+      .in("id", ids);
+    (data || []).forEach((u) => { users[u.id] = { id: u.id, email: u.email, name: displayName(u) }; });
+  }
+  return links.map((link) => ({
+    ...link,
+    parent: users[link.parent_id] || null,
+    student: users[link.student_id] || null,
+  }));
+}
+
+/**
+ * Link a parent to a student account by the student's email.
+ * @param {string} parentId
+ * @param {string} studentEmail
+ * @param {Object} [opts]
+ * @param {Object} [opts.confirmedBy] - Admin creating the link already confirmed
+ * @returns {Promise<{error: string}|{link: Object}>}
+ */
+async function createLink(parentId, studentEmail, { confirmedBy = null } = {}) {
+  const { data: student } = await supabase
+    .from("user")
+    .select("id, role")
+    .eq("email", String(studentEmail || "").trim())
+    .single();
+  if (!student || student.role !== ROLES.STUDENT) return { error: "No student account with that email" };
+
+  const { data: link, error } = await supabase
+    .from("parent_links")
+    .insert({
+      parent_id: parentId,
+      student_id: student.id,
+      status: confirmedBy ? "confirmed" : "pending",
+      confirmed_by: confirmedBy ? confirmedBy.id : null,
+      confirmed_at: confirmedBy ? new Date().toISOString() : null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === "23505") return { error: "That student is already linked or has a request waiting" };
+    throw error;
+  }
+  return { link };
+}
+
+/**
+ * Confirm a pending link. Only the student it names or an owner/admin may.
+ * @param {string} linkId
+ * @param {Object} user - req.user
+ * @returns {Promise<{error: string, status: number}|{link: Object}>}
+ */
+async function confirmLink(linkId, user) {
+  const { data: link } = await supabase
+    .from("parent_links")
+    .select("*")
+    .eq("id", linkId)
+    .single();
+
+  const isAdmin = user.role === ROLES.OWNER || user.role === ROLES.ADMIN;
+  if (!link || (!isAdmin && link.student_id !== user.id)) return { error: "Link request not found", status: 404 };
+  if (link.status === "confirmed") return { link };
+
+  const { data: confirmed, error } = await supabase
+    .from("parent_links")
+    .update({ status: "confirmed", confirmed_by: user.id, confirmed_at: new Date().toISOString() })
+    .eq("id", link.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return { link: confirmed };
+}
+
+export { childIds, childrenInScope, childEmails, withNames, createLink, confirmLink };
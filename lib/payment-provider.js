@@ -0,0 +1,37 @@
+import * as stripeProvider from "./stripe-provider.js";
+import * as fakeProvider from "./fake-provider.js";
+
+// The payment provider behind invoices, picked by PAYMENT_PROVIDER
+// ("stripe" by default, or "fake" to run without network access or keys).
+//
+// Every provider exports the same functions and returns Stripe-shaped
+// objects — ids, `status` ("draft" | "open" | "paid" | "void"),
+// `hosted_invoice_url`, `status_transitions` — and its webhook events use
+// Stripe's event types, so lib/stripe-events.js handles them all:
+//
+//   findOrCreateCustomer({ email, name }, account)   -> customer
+//   createInvoiceItem({ customer, amount, description }, account)
+//   createInvoice({ customer, dueTimestamp, applicationFee }, account) -> invoice (draft, with pending items)
+//   finalizeInvoice(id, account) / retrieveInvoice(id, account) / sendInvoice(id, account) -> invoice
+//   updateInvoiceMetadata(id, metadata, account)     -> invoice
+//   voidInvoice(id, account) / deleteInvoice(id, account) / payInvoiceOutOfBand(id, account)
+//   createCreditNote({ invoice, amount, refund_amount, reason, memo, metadata }, account) -> credit note
+//   invoiceIdForPayment(paymentIntent, account)      -> provider invoice id, for charge.refunded
+//   createConnectAccount({ email })                  -> account (charges_enabled, payouts_enabled, details_submitted)
+//   retrieveAccount(account) -> account / createAccountLink(account, { refreshUrl, returnUrl }) -> { url }
+//   listPayouts(account, { limit })                  -> payouts, newest first
+//   constructWebhookEvent(rawBody, headers)          -> event; throws if it can't be verified
+//
+// `account` is the connected account an invoice lives on (invoices.stripe_account_id);
+// when it's empty the provider uses the studio's default account.
+
+const PROVIDERS = { stripe: stripeProvider, fake: fakeProvider };
+const PROVIDER_NAME = process.env.PAYMENT_PROVIDER || "stripe";
+
+if (!PROVIDERS[PROVIDER_NAME]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${PROVIDER_NAME}" (expected ${Object.keys(PROVIDERS).join(" or ")})`);
+}
+
+const provider = PROVIDERS[PROVIDER_NAME];
+
+export { PROVIDER_NAME, provider };
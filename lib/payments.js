@@ -0,0 +1,212 @@
+import supabase from "../database.js";
+import { provider } from "./payment-provider.js";
+import { notifyInvoicePaid } from "./invoice-pdf.js";
+import { creditPackagesForInvoice } from "./credits.js";
+
+// Invoice payments — Stripe and offline (check, cash, Zelle, ...).
+// invoices.amount_paid is the running total; offline payments are rows
+// in invoice_payments. Each partial payment reduces the open Stripe
+// invoice with a credit note so the hosted page only asks for the rest.
+// Once the balance is settled the Stripe invoice is either marked paid
+// out of band or voided so the hosted page can't collect again.
+
+const PAYMENT_METHODS = ["check", "cash", "zelle", "venmo", "bank_transfer", "other"];
+const PAYABLE_STATUSES = ["draft", "sent", "overdue", "partially_paid"];
+
+/**
+ * What's still owed on an invoice, in cents.
+ * @param {Object} invoice - Invoice row
+ */
+function balanceDue(invoice) {
+  if (invoice.paid_at || invoice.status === "void") return 0;
+  return Math.max(0, invoice.total - (invoice.amount_paid || 0));
+}
+
+/**
+ * Mark an invoice paid, credit any lesson packages on it and email the
+ * owner. Only the first call for an invoice changes anything, so the
+ * webhook, reconciliation and offline payments can all use it safely.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} [opts]
+ * @param {string} [opts.paidAt] - ISO timestamp; defaults to now
+ * @param {number} [opts.amountPaid] - Cents; defaults to the invoice total
+ * @returns {Promise<Object|null>} The updated invoice, or null if it was already paid
+ */
+async function markInvoicePaid(invoice, { paidAt, amountPaid } = {}) {
+  const { data: updated, error } = await supabase
+    .from("invoices")
+    .update({
+      status: "paid",
+      paid_at: paidAt || new Date().toISOString(),
+      amount_paid: amountPaid ?? invoice.total,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", invoice.id)
+    .is("paid_at", null)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+
+  // Crediting is idempotent, so a replayed event still finishes the job
+  await creditPackagesForInvoice(updated || invoice);
+
+  if (updated) notifyInvoicePaid(updated).catch(() => {});
+  return updated || null;
+}
+
+// Payment rows and their total for an invoice
+async function getPayments(invoiceId) {
+  const { data, error } = await supabase
+    .from("invoice_payments")
+    .select("*")
+    .eq("invoice_id", invoiceId)
+    .order("paid_on", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Record an offline payment. When it covers the balance the Stripe
+ * invoice is marked paid out of band and the invoice becomes paid;
+ * otherwise the invoice is partially_paid.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} payment
+ * @param {number} payment.amount - Cents
+ * @param {string} payment.method - One of PAYMENT_METHODS
+ * @param {string} payment.paidOn - YYYY-MM-DD
+ * @param {string} [payment.reference]
+ * @param {string} [payment.memo]
+ * @param {string} [payment.createdBy] - User id
+ * @returns {Promise<{invoice: Object, payment: Object, stripe_error: ?string}>}
+ */
+async function recordPayment(invoice, { amount, method, paidOn, reference, memo, createdBy }) {
+  const { data: payment, error } = await supabase
+    .from("invoice_payments")
+    .insert({
+      invoice_id: invoice.id,
+      amount,
+      method,
+      paid_on: paidOn,
+      reference: reference || "",
+      memo: memo || "",
+      created_by: createdBy || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const amountPaid = (await getPayments(invoice.id)).reduce((sum, p) => sum + p.amount, 0);
+
+  if (amountPaid >= invoice.total) {
+    // Our record first, so the invoice.paid webhook that follows is a no-op
+    const paid = await markInvoicePaid(invoice, {
+      paidAt: new Date(paidOn + "T12:00:00Z").toISOString(),
+      amountPaid,
+    });
+    const stripeError = await settleStripeInvoice(invoice, "paid_out_of_band");
+    return { invoice: paid || { ...invoice, amount_paid: amountPaid }, payment, stripe_error: stripeError };
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from("invoices")
+    .update({
+      status: "partially_paid",
+      amount_paid: amountPaid,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", invoice.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  const stripeError = await reduceStripeInvoice(invoice, amount);
+  return { invoice: updated, payment, stripe_error: stripeError };
+}
+
+/**
+ * Take an offline payment off the open Stripe invoice with a credit note,
+ * so the hosted page asks for the remaining balance only.
+ * @param {Object} invoice - Invoice row
+ * @param {number} amount - Cents
+ * @returns {Promise<string|null>} Error message, if Stripe couldn't be updated
+ */
+async function reduceStripeInvoice(invoice, amount) {
+  if (!invoice.stripe_invoice_id) return null;
+
+  try {
+    await provider.createCreditNote({
+      invoice: invoice.stripe_invoice_id,
+      amount,
+      memo: "Payment received offline",
+      // Not a refund — the credit_note.created webhook skips these
+      metadata: { source: "app", invoice_id: String(invoice.id), type: "offline_payment" },
+    }, invoice.stripe_account_id);
+    return null;
+  } catch (err) {
+    console.error("Reduce Stripe invoice error:", invoice.id, err.message);
+    return err.message;
+  }
+}
+
+/**
+ * Close the Stripe side of an invoice settled outside Stripe. Failures are
+ * logged and returned rather than thrown — our record is already correct,
+ * and the admin can close the Stripe invoice from the dashboard instead.
+ * @param {Object} invoice - Invoice row
+ * @param {string} action - "paid_out_of_band" or "void"
+ * @returns {Promise<string|null>} Error message, if Stripe couldn't be updated
+ */
+async function settleStripeInvoice(invoice, action) {
+  if (!invoice.stripe_invoice_id) return null;
+
+  try {
+    const stripeInvoice = await provider.retrieveInvoice(invoice.stripe_invoice_id, invoice.stripe_account_id);
+    if (stripeInvoice.status !== "open") return null;
+
+    if (action === "void") {
+      await provider.voidInvoice(invoice.stripe_invoice_id, invoice.stripe_account_id);
+    } else {
+      await provider.payInvoiceOutOfBand(invoice.stripe_invoice_id, invoice.stripe_account_id);
+    }
+    return null;
+  } catch (err) {
+    console.error("Settle Stripe invoice error:", invoice.id, err.message);
+    return err.message;
+  }
+}
+
+/**
+ * Settle a partially paid invoice without collecting the rest: the unpaid
+ * remainder is written off, the invoice counts as paid for what was
+ * received and the Stripe invoice is voided.
+ * @param {Object} invoice - partially_paid invoice row
+ * @returns {Promise<{invoice: Object, stripe_error: ?string}>}
+ */
+async function voidRemainder(invoice) {
+  const { data: updated, error } = await supabase
+    .from("invoices")
+    .update({ written_off_amount: balanceDue(invoice) })
+    .eq("id", invoice.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const paid = await markInvoicePaid(updated, { amountPaid: invoice.amount_paid });
+  const stripeError = await settleStripeInvoice(invoice, "void");
+  return { invoice: paid || updated, stripe_error: stripeError };
+}
+
+export {
+  PAYMENT_METHODS,
+  PAYABLE_STATUSES,
+  balanceDue,
+  markInvoicePaid,
+  getPayments,
+  recordPayment,
+  settleStripeInvoice,
+  voidRemainder,
+};
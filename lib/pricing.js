@@ -0,0 +1,199 @@
+// Invoice pricing engine — the one place invoice totals are calculated.
+// Used by invoice create/update and the quote endpoint. All money is in cents.
+
+const STRIPE_PROCESSING_RATE = 0.029; // 2.9%
+const STRIPE_PROCESSING_FIXED = 30; // 30 cents
+const FEE_PERCENT = parseFloat(process.env.STRIPE_APPLICATION_FEE_PERCENT || "0.2");
+
+// Line item kinds: lessons draw down prepaid credit, packages sell it.
+// "credit" lines are generated when credit is applied and never parsed from requests.
+const ITEM_KINDS = ["lesson", "package", "other"];
+
+/**
+ * Normalize invoice line items from a request body.
+ * Prices come in as dollars and are returned in cents. When no `items`
+ * array is sent, the legacy hours × rate_per_hour and extra_fee fields
+ * are turned into line items so older clients keep working.
+ * @param {Object} body - Request body
+ * @param {Object} [fallback] - Existing invoice to take hours/rate from
+ * @returns {Array<{description: string, quantity: number, unit_price: number, amount: number, taxable: boolean, kind: string, package_id: ?string, package_hours: ?number, student_email: ?string, student_name: ?string}>}
+ */
+function parseLineItems(body, fallback = {}) {
+  let raw = Array.isArray(body.items) ? body.items : null;
+
+  if (!raw) {
+    raw = [];
+    const hoursNum = parseFloat(body.hours || fallback.hours);
+    const rateNum = parseFloat(body.rate_per_hour || fallback.rate_per_hour);
+    if (hoursNum > 0 && rateNum > 0) {
+      raw.push({
+        description:
+          (body.class_name || "Tutoring Session") +
+          (body.description ? ` — ${body.description}` : ""),
+        quantity: hoursNum,
+        unit_price: rateNum,
+        taxable: true,
+        kind: "lesson",
+      });
+    }
+    const extraFee = parseFloat(body.extra_fee || 0);
+    if (extraFee > 0) {
+      raw.push({
+        description: body.extra_fee_label || "Additional Fee",
+        quantity: 1,
+        unit_price: extraFee,
+        taxable: true,
+      });
+    }
+  }
+
+  return raw
+    .map((item) => {
+      const quantity = parseFloat(item.quantity ?? 1);
+      const unitPriceCents = Math.round(parseFloat(item.unit_price || 0) * 100);
+      return {
+        description: String(item.description || "").trim(),
+        quantity,
+        unit_price: unitPriceCents,
+        amount: Math.round(quantity * unitPriceCents),
+        taxable: item.taxable !== false,
+        kind: ITEM_KINDS.includes(item.kind) ? item.kind : "other",
+        package_id: item.package_id || null,
+        package_hours: item.package_hours ? parseFloat(item.package_hours) : null,
+        student_email: item.student_email || null,
+        student_name: item.student_name || null,
+      };
+    })
+    .filter((item) => item.description && item.quantity > 0 && item.unit_price >= 0);
+}
+
+// Stripe line description, e.g. "SAT Math (5 x $75.00)", or "Ava: SAT Math (5 x $75.00)"
+// on a payer's invoice
+function lineItemLabel(item) {
+  const description = item.student_name ? `${item.student_name}: ${item.description}` : item.description;
+  if (item.quantity === 1) return description;
+  return `${description} (${item.quantity} x $${(item.unit_price / 100).toFixed(2)})`;
+}
+
+// Whether a tax profile taxes a line. Credit lines offset lessons, so they
+// follow the lesson setting.
+function isTaxedBy(profile, item) {
+  if (!item.taxable) return false;
+  if (!profile) return true;
+  return profile.taxable_kinds.includes(item.kind === "credit" ? "lesson" : item.kind || "other");
+}
+
+/**
+ * Calculate the full price breakdown for an invoice.
+ * @param {Object} opts
+ * @param {Array} opts.items - Line items from parseLineItems (cents)
+ * @param {number|string} [opts.discountValue] - Dollars, or percent when discountType is "percent"
+ * @param {string} [opts.discountType] - "percent" or "flat"
+ * @param {Object} [opts.taxProfile] - tax_profiles row; decides the rate, taxed kinds and inclusive mode
+ * @param {number|string} [opts.taxRate] - Percent, exclusive, when there's no profile
+ * @param {boolean} [opts.passMerchantFee] - Add Stripe's 2.9% + 30c on top
+ * @param {number} [opts.applicationFeePercent] - Platform fee, percent of total
+ * @returns {{items: Array, subtotal: number, taxable_subtotal: number, discount: number, tax_profile_id: ?string, tax_name: string, tax_rate: number, tax_inclusive: boolean, tax_amount: number, merchant_fee: number, total: number, application_fee: number}}
+ */
+function calculateInvoice({
+  items,
+  discountValue,
+  discountType,
+  taxProfile,
+  taxRate,
+  passMerchantFee,
+  applicationFeePercent = FEE_PERCENT,
+}) {
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const taxableSubtotal = items
+    .filter((item) => isTaxedBy(taxProfile, item))
+    .reduce((sum, item) => sum + item.amount, 0);
+
+  // Discount: percentage or flat, never more than the subtotal
+  let discount = 0;
+  const discountVal = parseFloat(discountValue || 0);
+  if (discountType === "percent" && discountVal > 0) {
+    discount = Math.round(subtotal * (discountVal / 100));
+  } else if (discountVal > 0) {
+    discount = Math.round(discountVal * 100);
+  }
+  discount = Math.min(discount, subtotal);
+
+  // Tax is worked out per taxable line, after the line's share of the discount.
+  // Inclusive tax is the part of the price that's tax, so it isn't added on.
+  const taxRateNum = parseFloat((taxProfile ? taxProfile.rate : taxRate) || 0);
+  const inclusive = !!taxProfile?.inclusive;
+  const taxedItems = items.map((item) => {
+    if (!isTaxedBy(taxProfile, item) || taxRateNum <= 0 || subtotal <= 0) return { ...item, tax_amount: 0 };
+    const base = item.amount - Math.round(discount * (item.amount / subtotal));
+    const lineTax = inclusive
+      ? Math.round(base - base / (1 + taxRateNum / 100))
+      : Math.round(base * (taxRateNum / 100));
+    return { ...item, tax_amount: lineTax };
+  });
+  const taxAmount = taxedItems.reduce((sum, item) => sum + item.tax_amount, 0);
+  const preTotal = subtotal - discount + (inclusive ? 0 : taxAmount);
+
+  // Processing fee passed through to the student
+  const merchantFee = passMerchantFee && preTotal > 0
+    ? Math.round(preTotal * STRIPE_PROCESSING_RATE + STRIPE_PROCESSING_FIXED)
+    : 0;
+
+  const total = preTotal + merchantFee;
+  const applicationFee = Math.round(total * (applicationFeePercent / 100));
+
+  return {
+    items: taxedItems,
+    subtotal,
+    taxable_subtotal: taxableSubtotal,
+    discount,
+    tax_profile_id: taxProfile ? taxProfile.id : null,
+    tax_name: taxProfile ? taxProfile.name : "Sales Tax",
+    tax_rate: taxRateNum,
+    tax_inclusive: inclusive,
+    tax_amount: taxAmount,
+    merchant_fee: merchantFee,
+    total,
+    application_fee: applicationFee,
+  };
+}
+
+/**
+ * Price an invoice straight from a create/update/quote request body.
+ * @param {Object} body - Request body
+ * @param {Object} [fallback] - Existing invoice (for legacy hours/rate)
+ */
+function quoteInvoice(body, fallback) {
+  return quoteItems(parseLineItems(body, fallback), body);
+}
+
+/**
+ * Price already-parsed line items with the adjustments from a request body.
+ * @param {Array} items - Line items (cents)
+ * @param {Object} body - Request body (discount, tax, merchant fee); `tax_profile`
+ *   is the resolved profile from resolveTaxProfile() and `application_fee_percent`
+ *   the teacher's fee from resolveTeacher()
+ */
+function quoteItems(items, body) {
+  return calculateInvoice({
+    items,
+    discountValue: body.discount_value,
+    discountType: body.discount_type,
+    taxProfile: body.tax_profile,
+    taxRate: body.tax_rate,
+    passMerchantFee: !!body.pass_merchant_fee,
+    applicationFeePercent: body.application_fee_percent,
+  });
+}
+
+export {
+  STRIPE_PROCESSING_RATE,
+  STRIPE_PROCESSING_FIXED,
+  FEE_PERCENT,
+  ITEM_KINDS,
+  parseLineItems,
+  lineItemLabel,
+  calculateInvoice,
+  quoteInvoice,
+  quoteItems,
+};
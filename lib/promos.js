@@ -0,0 +1,156 @@
+import supabase from "../database.js";
+
+// Promo codes: a catalog of reusable discounts applied to invoices by name.
+// Each invoice using a code has a promo_redemptions row; voided invoices keep
+// theirs for reporting but stop counting toward usage limits.
+
+const DISCOUNT_TYPES = ["percent", "flat"];
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+// Live redemptions of a code, optionally for one student
+async function countRedemptions(promoId, { email, excludeInvoiceId } = {}) {
+  let query = supabase
+    .from("promo_redemptions")
+    .select("id, invoice_id")
+    .eq("promo_code_id", promoId)
+    .is("voided_at", null);
+  if (email) query = query.eq("student_email", email);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).filter((r) => !excludeInvoiceId || r.invoice_id !== excludeInvoiceId).length;
+}
+
+/**
+ * Look up a code and check it can be used on this invoice.
+ * @param {string} code - Promo code, any case
+ * @param {Object} opts
+ * @param {string} opts.email - Student email
+ * @param {string} [opts.className] - Invoice class_name
+ * @param {string} [opts.invoiceId] - Invoice being edited; its own redemption doesn't count
+ * @returns {Promise<{promo: ?Object, error: ?string}>}
+ */
+async function checkPromoCode(code, { email, className, invoiceId } = {}) {
+  const normalized = normalizeCode(code);
+  const { data: promo } = await supabase
+    .from("promo_codes")
+    .select("*")
+    .eq("code", normalized)
+    .single();
+
+  if (!promo || !promo.active) return { promo: null, error: `Promo code ${normalized} is not valid` };
+  if (promo.expires_at && new Date(promo.expires_at) <= new Date()) {
+    return { promo: null, error: `Promo code ${normalized} has expired` };
+  }
+  if (promo.class_names.length && !promo.class_names.includes(className || "")) {
+    return { promo: null, error: `Promo code ${normalized} only applies to ${promo.class_names.join(", ")}` };
+  }
+  if (promo.max_redemptions &&
+      (await countRedemptions(promo.id, { excludeInvoiceId: invoiceId })) >= promo.max_redemptions) {
+    return { promo: null, error: `Promo code ${normalized} has been fully redeemed` };
+  }
+  if (promo.max_per_student &&
+      (await countRedemptions(promo.id, { email, excludeInvoiceId: invoiceId })) >= promo.max_per_student) {
+    return { promo: null, error: `This student has already used promo code ${normalized}` };
+  }
+
+  return { promo, error: null };
+}
+
+/**
+ * Fill in the discount fields of an invoice request body from a promo code.
+ * Any discount typed in by hand is replaced.
+ * @param {Object} body - Invoice request body
+ * @param {Object} promo - promo_codes row
+ * @returns {Object} A copy of the body with the discount set
+ */
+function applyPromoCode(body, promo) {
+  const flat = promo.discount_type === "flat";
+  const value = parseFloat(promo.discount_value);
+  return {
+    ...body,
+    promo_code: promo.code,
+    discount_type: promo.discount_type,
+    discount_value: flat ? value / 100 : value,
+    discount_label: `Promo ${promo.code}` + (flat ? "" : ` (${value}% off)`),
+  };
+}
+
+/**
+ * Reserve a use of a code before the invoice is saved. The limits are
+ * checked again after the insert so two requests can't both take the last use.
+ * @param {Object} promo - promo_codes row
+ * @param {Object} opts
+ * @param {string} opts.email - Student email
+ * @param {string} [opts.invoiceId] - Invoice being edited; its current
+ *   redemption doesn't count, as it's released once the edit is saved
+ * @param {string} [opts.createdBy] - User id
+ * @returns {Promise<{redemption: ?Object, error: ?string}>}
+ */
+async function claimRedemption(promo, { email, invoiceId, createdBy }) {
+  const { data: redemption, error } = await supabase
+    .from("promo_redemptions")
+    .insert({
+      promo_code_id: promo.id,
+      student_email: email,
+      created_by: createdBy || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const overLimit =
+    (promo.max_redemptions &&
+      (await countRedemptions(promo.id, { excludeInvoiceId: invoiceId })) > promo.max_redemptions) ||
+    (promo.max_per_student &&
+      (await countRedemptions(promo.id, { email, excludeInvoiceId: invoiceId })) > promo.max_per_student);
+
+  if (overLimit) {
+    await supabase.from("promo_redemptions").delete().eq("id", redemption.id);
+    return { redemption: null, error: `Promo code ${promo.code} has been fully redeemed` };
+  }
+  return { redemption, error: null };
+}
+
+// Attach a claimed redemption to its invoice and record the discount given
+async function completeRedemption(redemptionId, invoice) {
+  const { error } = await supabase
+    .from("promo_redemptions")
+    .update({ invoice_id: invoice.id, discount: invoice.discount })
+    .eq("id", redemptionId);
+  if (error) throw error;
+}
+
+// Drop a claim, or an invoice's redemption when the code is removed or replaced
+async function releaseRedemption({ redemptionId, invoiceId }) {
+  const query = supabase.from("promo_redemptions").delete();
+  const { error } = redemptionId
+    ? await query.eq("id", redemptionId)
+    : await query.eq("invoice_id", invoiceId);
+  if (error) throw error;
+}
+
+// A voided invoice keeps its redemption for the report but frees the use
+async function voidRedemption(invoiceId) {
+  const { error } = await supabase
+    .from("promo_redemptions")
+    .update({ voided_at: new Date().toISOString() })
+    .eq("invoice_id", invoiceId)
+    .is("voided_at", null);
+  if (error) throw error;
+}
+
+export {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  checkPromoCode,
+  applyPromoCode,
+  claimRedemption,
+  completeRedemption,
+  releaseRedemption,
+  voidRedemption,
+};
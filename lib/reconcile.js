@@ -0,0 +1,99 @@
+import supabase from "../database.js";
+import { provider } from "./payment-provider.js";
+import { releaseInvoiceCredit } from "./credits.js";
+import { markInvoicePaid } from "./payments.js";
+import { voidRedemption } from "./promos.js";
+
+// Reconciliation against Stripe, for invoices whose webhooks never arrived.
+// Only open invoices are checked; Stripe is treated as the source of truth.
+
+const OPEN_STATUSES = ["draft", "sent", "overdue", "partially_paid"];
+
+// Our status for a Stripe invoice, or null when Stripe has nothing newer
+function statusFromStripe(stripeInvoice) {
+  if (stripeInvoice.status === "paid") return "paid";
+  if (stripeInvoice.status === "void") return "void";
+  if (stripeInvoice.status === "uncollectible") return "overdue";
+  return null;
+}
+
+function stripeTimestamp(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Compare every open invoice with its Stripe invoice and correct any that
+ * Stripe shows as paid, void or uncollectible.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dryRun] - Only report the differences
+ * @returns {Promise<{dry_run: boolean, checked: number, mismatches: Array, errors: Array}>}
+ */
+async function reconcileInvoices({ dryRun = false } = {}) {
+  const { data: invoices, error } = await supabase
+    .from("invoices")
+    .select("*")
+    .in("status", OPEN_STATUSES)
+    .not("stripe_invoice_id", "is", null);
+
+  if (error) throw error;
+
+  const mismatches = [];
+  const errors = [];
+
+  for (const invoice of invoices || []) {
+    try {
+      const stripeInvoice = await provider.retrieveInvoice(invoice.stripe_invoice_id, invoice.stripe_account_id);
+
+      const status = statusFromStripe(stripeInvoice);
+      if (!status || status === invoice.status) continue;
+
+      const paidAt =
+        status === "paid"
+          ? stripeTimestamp(stripeInvoice.status_transitions?.paid_at) || new Date().toISOString()
+          : null;
+
+      const mismatch = {
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        customer_name: invoice.customer_name,
+        stripe_invoice_id: invoice.stripe_invoice_id,
+        stripe_status: stripeInvoice.status,
+        from: invoice.status,
+        to: status,
+        paid_at: paidAt,
+        corrected: false,
+      };
+      mismatches.push(mismatch);
+
+      if (dryRun) continue;
+
+      if (status === "paid") {
+        mismatch.corrected = !!(await markInvoicePaid(invoice, { paidAt }));
+        continue;
+      }
+
+      // Conditional on the status we read, so a webhook landing meanwhile wins
+      const { data: updated } = await supabase
+        .from("invoices")
+        .update({ status, updated_at: new Date().toISOString() })
+        .eq("id", invoice.id)
+        .eq("status", invoice.status)
+        .select()
+        .single();
+
+      mismatch.corrected = !!updated;
+
+      if (updated && status === "void") {
+        await releaseInvoiceCredit(updated, { memo: "Invoice voided" });
+        await voidRedemption(updated.id);
+      }
+    } catch (err) {
+      console.error("Reconcile invoice error:", invoice.id, err.message);
+      errors.push({ invoice_id: invoice.id, error: err.message });
+    }
+  }
+
+  return { dry_run: dryRun, checked: (invoices || []).length, mismatches, errors };
+}
+
+export { OPEN_STATUSES, reconcileInvoices };
@@ -0,0 +1,213 @@
+import supabase from "../database.js";
+import { createInvoice, sendInvoice } from "./invoices.js";
+
+// Recurring invoice scheduling. Dates are plain "YYYY-MM-DD" strings in UTC.
+
+const FREQUENCIES = ["weekly", "biweekly", "monthly"];
+
+function toDateString(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function today() {
+  return toDateString(new Date());
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateString(d);
+}
+
+/**
+ * Date of the cycle after `dateStr`.
+ * Monthly schedules stay on the start date's day of month, clamped to
+ * the last day for short months (Jan 31 → Feb 28 → Mar 31).
+ * @param {string} dateStr - Current cycle date
+ * @param {string} frequency - weekly | biweekly | monthly
+ * @param {string} startDate - Schedule start date (anchor for monthly)
+ */
+function nextCycleDate(dateStr, frequency, startDate) {
+  if (frequency === "weekly") return addDays(dateStr, 7);
+  if (frequency === "biweekly") return addDays(dateStr, 14);
+
+  const d = new Date(dateStr + "T00:00:00Z");
+  const anchorDay = new Date(startDate + "T00:00:00Z").getUTCDate();
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth() + 1;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay))));
+}
+
+/**
+ * Upcoming run dates for a schedule, starting at next_run_date.
+ * @param {Object} schedule - recurring_invoices row
+ * @param {string} until - Last date to include
+ * @returns {string[]}
+ */
+function upcomingRunDates(schedule, until) {
+  const dates = [];
+  if (schedule.status !== "active" || !schedule.next_run_date) return dates;
+
+  let date = schedule.next_run_date;
+  while (date <= until && (!schedule.end_date || date <= schedule.end_date)) {
+    dates.push(date);
+    date = nextCycleDate(date, schedule.frequency, schedule.start_date);
+  }
+  return dates;
+}
+
+// Invoice body (same shape as POST /api/invoices) for one cycle of a schedule
+function invoiceBodyFor(schedule, runDate) {
+  return {
+    customer_email: schedule.customer_email,
+    customer_name: schedule.customer_name,
+    class_name: schedule.class_name,
+    description: schedule.description,
+    items: schedule.items,
+    discount_value: schedule.discount_value,
+    discount_type: schedule.discount_type,
+    discount_label: schedule.discount_label,
+    tax_profile_id: schedule.tax_profile_id,
+    teacher_id: schedule.teacher_id,
+    billing_contact_id: schedule.billing_contact_id,
+    tax_rate: schedule.tax_rate,
+    pass_merchant_fee: schedule.pass_merchant_fee,
+    due_date: addDays(runDate, schedule.due_days || 0),
+  };
+}
+
+/**
+ * Generate the invoice for one due cycle of a schedule.
+ * The cycle is claimed by moving next_run_date forward first, so two
+ * overlapping runs can never bill the same cycle twice.
+ * @param {Object} schedule - recurring_invoices row
+ * @returns {Promise<Object|null>} The new invoice, or null if another run claimed the cycle
+ */
+async function runSchedule(schedule) {
+  const runDate = schedule.next_run_date;
+  const nextDate = nextCycleDate(runDate, schedule.frequency, schedule.start_date);
+  const ended = schedule.end_date && nextDate > schedule.end_date;
+
+  const { data: claimed } = await supabase
+    .from("recurring_invoices")
+    .update({
+      next_run_date: ended ? null : nextDate,
+      status: ended ? "ended" : schedule.status,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", schedule.id)
+    .eq("next_run_date", runDate)
+    .select()
+    .single();
+
+  if (!claimed) return null;
+
+  const startedAt = new Date().toISOString();
+  let invoice = null;
+  try {
+    invoice = await createInvoice(invoiceBodyFor(schedule, runDate), {
+      createdBy: schedule.created_by,
+      recurringInvoiceId: schedule.id,
+    });
+
+    if (schedule.auto_send) {
+      await sendInvoice(invoice);
+      invoice.status = "sent";
+    }
+
+    await supabase
+      .from("recurring_invoices")
+      .update({
+        last_run_at: new Date().toISOString(),
+        last_invoice_id: invoice.id,
+        last_error: null,
+      })
+      .eq("id", schedule.id);
+
+    return invoice;
+  } catch (err) {
+    // Once this cycle's invoice is saved (only sending it failed, say) the
+    // cycle is done; giving it back would bill the student twice
+    if (!invoice) {
+      const { data: saved } = await supabase
+        .from("invoices")
+        .select("*")
+        .eq("recurring_invoice_id", schedule.id)
+        .gte("created_at", startedAt)
+        .limit(1);
+      invoice = saved?.[0] || null;
+    }
+    if (invoice) {
+      await supabase
+        .from("recurring_invoices")
+        .update({
+          last_run_at: new Date().toISOString(),
+          last_invoice_id: invoice.id,
+          last_error: err.message,
+        })
+        .eq("id", schedule.id);
+      throw err;
+    }
+
+    // Nothing was saved: give the cycle back so the next run retries it
+    await supabase
+      .from("recurring_invoices")
+      .update({
+        next_run_date: runDate,
+        status: schedule.status,
+        last_error: err.message,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", schedule.id);
+    throw err;
+  }
+}
+
+/**
+ * Generate invoices for every active schedule that is due.
+ * @param {Object} [opts]
+ * @param {string} [opts.asOf] - Treat this date as today
+ * @returns {Promise<{generated: Array, failed: Array}>}
+ */
+async function runDueRecurringInvoices({ asOf = today() } = {}) {
+  const { data: schedules, error } = await supabase
+    .from("recurring_invoices")
+    .select("*")
+    .eq("status", "active")
+    .lte("next_run_date", asOf);
+
+  if (error) throw error;
+
+  const generated = [];
+  const failed = [];
+
+  for (const schedule of schedules || []) {
+    try {
+      const invoice = await runSchedule(schedule);
+      if (invoice) {
+        generated.push({
+          schedule_id: schedule.id,
+          invoice_id: invoice.id,
+          run_date: schedule.next_run_date,
+          status: invoice.status,
+          total: invoice.total,
+        });
+      }
+    } catch (err) {
+      console.error("Recurring invoice error:", schedule.id, err.message);
+      failed.push({ schedule_id: schedule.id, run_date: schedule.next_run_date, error: err.message });
+    }
+  }
+
+  return { generated, failed };
+}
+
+export {
+  FREQUENCIES,
+  today,
+  addDays,
+  nextCycleDate,
+  upcomingRunDates,
+  runDueRecurringInvoices,
+};
@@ -0,0 +1,199 @@
+import supabase from "../database.js";
+import { provider } from "./payment-provider.js";
+import { sendRefundToStudent, sendRefundToOwner } from "./email.js";
+
+// Refunds and credit notes against paid invoices. Each refund is a row in
+// invoice_refunds; invoices.refunded_amount and status follow from them.
+
+const REFUNDABLE_STATUSES = ["paid", "partially_refunded"];
+const STRIPE_REASONS = ["duplicate", "fraudulent", "order_change", "product_unsatisfactory"];
+
+// Status for an invoice given how much of what was paid has been refunded
+function refundStatus(invoice, refundedAmount) {
+  if (refundedAmount <= 0) return invoice.status;
+  return refundedAmount >= (invoice.amount_paid || 0) ? "refunded" : "partially_refunded";
+}
+
+/**
+ * What can still be refunded on an invoice, in cents: what was collected
+ * less earlier refunds. An invoice closed with void-remainder collected
+ * less than its total.
+ * @param {Object} invoice - Invoice row
+ */
+function refundableAmount(invoice) {
+  return Math.max(0, (invoice.amount_paid || 0) - (invoice.refunded_amount || 0));
+}
+
+// What Stripe can still refund: what it collected (the paid amount less
+// offline payments) less what has already gone back through it
+async function stripeRefundable(invoice) {
+  const { data: payments, error } = await supabase
+    .from("invoice_payments")
+    .select("amount")
+    .eq("invoice_id", invoice.id);
+  if (error) throw error;
+
+  const { data: refunds, error: refundsError } = await supabase
+    .from("invoice_refunds")
+    .select("amount, out_of_band_amount")
+    .eq("invoice_id", invoice.id);
+  if (refundsError) throw refundsError;
+
+  const offline = (payments || []).reduce((sum, p) => sum + p.amount, 0);
+  const refunded = (refunds || []).reduce((sum, r) => sum + r.amount - (r.out_of_band_amount || 0), 0);
+  return Math.max(0, (invoice.amount_paid || 0) - offline - refunded);
+}
+
+/**
+ * Bring an invoice's refunded_amount/status up to at least `refundedAmount`.
+ * Never lowers the figure, so webhooks arriving out of order are harmless.
+ * @returns {Promise<Object>} The updated invoice
+ */
+async function syncRefundedAmount(invoice, refundedAmount) {
+  const amount = Math.max(invoice.refunded_amount || 0, refundedAmount);
+  if (amount === (invoice.refunded_amount || 0)) return invoice;
+
+  const { data, error } = await supabase
+    .from("invoices")
+    .update({
+      refunded_amount: amount,
+      refunded_at: new Date().toISOString(),
+      status: refundStatus(invoice, amount),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", invoice.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record a refund, update the invoice and email the student and owner.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} refund
+ * @param {number} refund.amount - Cents
+ * @param {string} [refund.reason]
+ * @param {string} [refund.memo]
+ * @param {string} [refund.creditNoteId]
+ * @param {string} [refund.refundId]
+ * @param {number} [refund.outOfBandAmount] - Cents of `amount` paid back outside Stripe
+ * @param {string} [refund.source] - "app" or "stripe"
+ * @param {string} [refund.createdBy] - User id
+ * @returns {Promise<{invoice: Object, refund: Object}>}
+ */
+async function recordRefund(invoice, { amount, reason, memo, creditNoteId, refundId, outOfBandAmount = 0, source = "app", createdBy }) {
+  const { data: refund, error } = await supabase
+    .from("invoice_refunds")
+    .insert({
+      invoice_id: invoice.id,
+      amount,
+      reason: reason || null,
+      memo: memo || "",
+      stripe_credit_note_id: creditNoteId || null,
+      stripe_refund_id: refundId || null,
+      out_of_band_amount: outOfBandAmount,
+      source,
+      created_by: createdBy || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { data: refunds, error: refundsError } = await supabase
+    .from("invoice_refunds")
+    .select("amount")
+    .eq("invoice_id", invoice.id);
+  if (refundsError) throw refundsError;
+  const rowsRefunded = (refunds || []).reduce((sum, r) => sum + r.amount, 0);
+
+  // Refunds made in the Stripe dashboard reach refunded_amount through
+  // charge.refunded without a row here, so the rows alone can come up short.
+  // A credit note from Stripe may already be counted by that event.
+  const stored = invoice.refunded_amount || 0;
+  const totalRefunded = Math.max(source === "stripe" ? stored : stored + amount, rowsRefunded);
+
+  const updated = await syncRefundedAmount(invoice, totalRefunded);
+
+  // Notify student and owner (fire and forget)
+  const description = invoice.class_name || invoice.description || "Tutoring Services";
+  sendRefundToStudent({
+    invoiceNumber: invoice.invoice_number,
+    email: invoice.customer_email,
+    name: invoice.customer_name,
+    amount,
+    description,
+    fullRefund: updated.status === "refunded",
+  }).catch(() => {});
+  sendRefundToOwner({
+    invoiceNumber: invoice.invoice_number,
+    studentName: invoice.customer_name,
+    studentEmail: invoice.customer_email,
+    amount,
+    description,
+    reason: memo || reason,
+  }).catch(() => {});
+
+  return { invoice: updated, refund };
+}
+
+/**
+ * Refund a paid invoice, in full or in part. What Stripe collected goes
+ * back to the card through a credit note on the connected account; the
+ * rest (offline payments) is noted on it as paid back out of band. An
+ * invoice Stripe collected nothing for is only recorded here.
+ * @param {Object} invoice - Invoice row
+ * @param {Object} opts
+ * @param {number} [opts.amount] - Cents; defaults to everything not yet refunded
+ * @param {string} [opts.reason] - One of Stripe's credit note reasons
+ * @param {string} [opts.memo] - Note shown on the credit note
+ * @param {string} opts.createdBy - User id
+ */
+async function refundInvoice(invoice, { amount, reason, memo, createdBy }) {
+  const refundable = refundableAmount(invoice);
+  const refundAmount = amount || refundable;
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw new Error(`Refund must be between $0.01 and $${(refundable / 100).toFixed(2)}`);
+  }
+
+  const viaStripe = Math.min(refundAmount, await stripeRefundable(invoice));
+  const outOfBand = refundAmount - viaStripe;
+
+  let creditNote = null;
+  if (viaStripe > 0) {
+    creditNote = await provider.createCreditNote({
+      invoice: invoice.stripe_invoice_id,
+      amount: refundAmount,
+      refund_amount: viaStripe,
+      out_of_band_amount: outOfBand || undefined,
+      reason: STRIPE_REASONS.includes(reason) ? reason : undefined,
+      memo: memo || undefined,
+      // Recorded below — the credit_note.created webhook skips these
+      metadata: { source: "app", invoice_id: String(invoice.id) },
+    }, invoice.stripe_account_id);
+  }
+
+  const stripeRefund = creditNote?.refunds?.[0]?.refund || creditNote?.refund || null;
+
+  return recordRefund(invoice, {
+    amount: refundAmount,
+    reason,
+    memo,
+    creditNoteId: creditNote?.id,
+    refundId: typeof stripeRefund === "string" ? stripeRefund : stripeRefund?.id,
+    outOfBandAmount: outOfBand,
+    source: "app",
+    createdBy,
+  });
+}
+
+export {
+  REFUNDABLE_STATUSES,
+  STRIPE_REASONS,
+  refundableAmount,
+  syncRefundedAmount,
+  recordRefund,
+  refundInvoice,
+};
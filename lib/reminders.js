@@ -0,0 +1,111 @@
+import supabase from "../database.js";
+import { sendPaymentReminderToStudent } from "./email.js";
+import { today, addDays } from "./recurring.js";
+import { balanceDue } from "./payments.js";
+
+// Overdue detection and payment reminders. The sequence is a list of day
+// offsets from due_date, e.g. INVOICE_REMINDER_DAYS="-3,0,7,14".
+
+const REMINDER_DAYS = (process.env.INVOICE_REMINDER_DAYS || "-3,0,7,14")
+  .split(",")
+  .map((d) => parseInt(d.trim()))
+  .filter((d) => !isNaN(d))
+  .sort((a, b) => a - b);
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to + "T00:00:00Z") - new Date(from + "T00:00:00Z")) / 86400000);
+}
+
+/**
+ * Flag sent invoices whose due date has passed as overdue.
+ * @param {string} [asOf] - Treat this date as today
+ * @returns {Promise<Array>} The invoices that were flagged
+ */
+async function markOverdueInvoices(asOf = today()) {
+  const { data, error } = await supabase
+    .from("invoices")
+    .update({ status: "overdue", updated_at: new Date().toISOString() })
+    .eq("status", "sent")
+    .lt("due_date", asOf)
+    .select("id, customer_name, due_date");
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Send the reminder each unpaid invoice is due for today.
+ * Only the latest step that has been reached is sent, so a missed run
+ * doesn't produce a burst of catch-up emails. Each step is claimed by
+ * inserting its invoice_reminders row first — the unique key means a
+ * student never gets the same reminder twice.
+ * @param {string} [asOf] - Treat this date as today
+ * @returns {Promise<{sent: Array, failed: Array}>}
+ */
+async function sendDueReminders(asOf = today()) {
+  const sent = [];
+  const failed = [];
+  if (REMINDER_DAYS.length === 0) return { sent, failed };
+
+  // Only invoices within the sequence window can be due a reminder
+  const { data: invoices, error } = await supabase
+    .from("invoices")
+    .select("*")
+    .in("status", ["sent", "overdue", "partially_paid"])
+    .gte("due_date", addDays(asOf, -REMINDER_DAYS[REMINDER_DAYS.length - 1]))
+    .lte("due_date", addDays(asOf, -REMINDER_DAYS[0]));
+
+  if (error) throw error;
+  if (!invoices || invoices.length === 0) return { sent, failed };
+
+  const { data: logged } = await supabase
+    .from("invoice_reminders")
+    .select("invoice_id, offset_days")
+    .in("invoice_id", invoices.map((inv) => inv.id));
+  const alreadySent = new Set((logged || []).map((r) => `${r.invoice_id}:${r.offset_days}`));
+
+  for (const invoice of invoices) {
+    const dueDate = String(invoice.due_date).split("T")[0];
+    const daysFromDue = daysBetween(dueDate, asOf);
+    const step = REMINDER_DAYS.filter((d) => d <= daysFromDue).pop();
+    if (step === undefined || alreadySent.has(`${invoice.id}:${step}`)) continue;
+
+    const { error: claimError } = await supabase
+      .from("invoice_reminders")
+      .insert({ invoice_id: invoice.id, offset_days: step, email: invoice.customer_email });
+    if (claimError) continue; // another run already sent it
+
+    const result = await sendPaymentReminderToStudent({
+      email: invoice.customer_email,
+      name: invoice.customer_name,
+      invoiceNumber: invoice.invoice_number,
+      invoiceUrl: invoice.stripe_hosted_url,
+      amount: balanceDue(invoice),
+      description: invoice.class_name || invoice.description || "Tutoring Services",
+      dueDate,
+      daysFromDue,
+    });
+
+    if (!result.success) {
+      // Release the step so the next run retries it
+      await supabase
+        .from("invoice_reminders")
+        .delete()
+        .eq("invoice_id", invoice.id)
+        .eq("offset_days", step);
+      failed.push({ invoice_id: invoice.id, offset_days: step, error: String(result.error?.message || result.error) });
+      continue;
+    }
+
+    await supabase
+      .from("invoices")
+      .update({ last_reminder_at: new Date().toISOString() })
+      .eq("id", invoice.id);
+
+    sent.push({ invoice_id: invoice.id, email: invoice.customer_email, offset_days: step });
+  }
+
+  return { sent, failed };
+}
+
+export { REMINDER_DAYS, markOverdueInvoices, sendDueReminders };
@@ -0,0 +1,159 @@
+import { processingCost } from "./export.js";
+
+// Revenue reporting from the invoices table. All money is in cents.
+//   invoiced    — non-draft, non-void invoices, by the month they were created
+//   collected   — payments net of refunds, by the month they were paid; offline
+//                 payments count in their own month, the Stripe payment in paid_at's
+//   outstanding — balances still awaiting payment, by the month the invoice was created
+
+const UNPAID_STATUSES = ["sent", "overdue", "partially_paid"];
+const AGING_BUCKETS = [
+  { key: "0_30", label: "0–30 days", max: 30 },
+  { key: "31_60", label: "31–60 days", max: 60 },
+  { key: "60_plus", label: "60+ days", max: Infinity },
+];
+
+function monthOf(value) {
+  return String(value).slice(0, 7);
+}
+
+/**
+ * "YYYY-MM" keys from `from` through `to`, inclusive.
+ * @param {string} from - YYYY-MM
+ * @param {string} to - YYYY-MM
+ */
+function monthRange(from, to) {
+  const months = [];
+  let [year, month] = from.split("-").map(Number);
+  while (`${year}-${String(month).padStart(2, "0")}` <= to) {
+    months.push(`${year}-${String(month).padStart(2, "0")}`);
+    month += 1;
+    if (month > 12) { month = 1; year += 1; }
+  }
+  return months;
+}
+
+function emptyFigures() {
+  return { invoiced: 0, collected: 0, outstanding: 0 };
+}
+
+// Running totals for one dimension value, overall and per month
+function bucket(map, key, months) {
+  if (!map.has(key)) {
+    map.set(key, {
+      ...emptyFigures(),
+      months: Object.fromEntries(months.map((m) => [m, emptyFigures()])),
+    });
+  }
+  return map.get(key);
+}
+
+function add(target, month, field, amount) {
+  target[field] += amount;
+  if (target.months[month]) target.months[month][field] += amount;
+}
+
+/**
+ * Build the revenue report.
+ * @param {Array} invoices - Invoice rows (drafts and voids are ignored)
+ * @param {Object} opts
+ * @param {Array} [opts.payments] - Offline invoice_payments rows for these invoices
+ * @param {string} opts.from - First month, YYYY-MM
+ * @param {string} opts.to - Last month, YYYY-MM
+ * @param {Object<string, string>} [opts.adminNames] - Display names by user id
+ * @param {Date} [opts.asOf] - Date aging is measured from
+ */
+function buildRevenueReport(invoices, { from, to, payments = [], adminNames = {}, asOf = new Date() }) {
+  const months = monthRange(from, to);
+  const inRange = (month) => month >= from && month <= to;
+
+  const overall = bucket(new Map(), "all", months);
+  const byClass = new Map();
+  const byAdmin = new Map();
+  const totals = { tax: 0, processing_fees: 0, application_fees: 0, refunded: 0 };
+  const aging = Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, { label: b.label, count: 0, amount: 0 }]));
+
+  const paymentsByInvoice = new Map();
+  payments.forEach((p) => {
+    if (!paymentsByInvoice.has(p.invoice_id)) paymentsByInvoice.set(p.invoice_id, []);
+    paymentsByInvoice.get(p.invoice_id).push(p);
+  });
+
+  invoices.forEach((invoice) => {
+    if (invoice.status === "draft" || invoice.status === "void") return;
+
+    const targets = [
+      overall,
+      bucket(byClass, invoice.class_name || "", months),
+      bucket(byAdmin, invoice.created_by || "", months),
+    ];
+
+    const balance = UNPAID_STATUSES.includes(invoice.status)
+      ? invoice.total - (invoice.amount_paid || 0)
+      : 0;
+
+    const createdMonth = monthOf(invoice.created_at);
+    if (inRange(createdMonth)) {
+      targets.forEach((t) => add(t, createdMonth, "invoiced", invoice.total));
+      totals.tax += invoice.tax_amount || 0;
+      if (balance > 0) {
+        targets.forEach((t) => add(t, createdMonth, "outstanding", balance));
+      }
+    }
+
+    const offline = paymentsByInvoice.get(invoice.id) || [];
+    offline.forEach((p) => {
+      const paidMonth = monthOf(p.paid_on);
+      if (inRange(paidMonth)) targets.forEach((t) => add(t, paidMonth, "collected", p.amount));
+    });
+
+    if (invoice.paid_at && inRange(monthOf(invoice.paid_at))) {
+      const paidMonth = monthOf(invoice.paid_at);
+      // Whatever offline payments didn't cover came through Stripe
+      const offlineTotal = offline.reduce((sum, p) => sum + p.amount, 0);
+      const viaStripe = (invoice.amount_paid ?? invoice.total) - offlineTotal;
+      const net = viaStripe - (invoice.refunded_amount || 0);
+      targets.forEach((t) => add(t, paidMonth, "collected", net));
+      totals.refunded += invoice.refunded_amount || 0;
+      totals.processing_fees += processingCost(invoice, { offline: offlineTotal });
+      totals.application_fees += invoice.application_fee || 0;
+    }
+
+    // Aging covers every unpaid balance, whatever its month
+    if (balance > 0) {
+      const age = Math.floor((asOf - new Date(invoice.created_at)) / 86400000);
+      const agingBucket = AGING_BUCKETS.find((b) => age <= b.max);
+      aging[agingBucket.key].count += 1;
+      aging[agingBucket.key].amount += balance;
+    }
+  });
+
+  const monthList = (b) => months.map((month) => ({ month, ...b.months[month] }));
+  const summarize = (key, b) => ({ ...key, invoiced: b.invoiced, collected: b.collected, outstanding: b.outstanding, months: monthList(b) });
+  const byInvoiced = (a, b) => b.invoiced - a.invoiced;
+  const hasActivity = (row) => row.invoiced || row.collected || row.outstanding;
+
+  return {
+    from,
+    to,
+    totals: {
+      invoiced: overall.invoiced,
+      collected: overall.collected,
+      outstanding: overall.outstanding,
+      ...totals,
+      net_payout: overall.collected - totals.processing_fees - totals.application_fees,
+    },
+    months: monthList(overall),
+    by_class: [...byClass]
+      .map(([className, b]) => summarize({ class_name: className || "Unassigned" }, b))
+      .filter(hasActivity)
+      .sort(byInvoiced),
+    by_admin: [...byAdmin]
+      .map(([adminId, b]) => summarize({ admin_id: adminId || null, admin_name: adminNames[adminId] || "Unknown" }, b))
+      .filter(hasActivity)
+      .sort(byInvoiced),
+    aging,
+  };
+}
+
+export { UNPAID_STATUSES, AGING_BUCKETS, monthRange, buildRevenueReport };
@@ -0,0 +1,256 @@
+import supabase from "../database.js";
+import { provider } from "./payment-provider.js";
+import { markInvoicePaid } from "./payments.js";
+import { recordRefund, syncRefundedAmount } from "./refunds.js";
+import { releaseInvoiceCredit } from "./credits.js";
+import { voidRedemption } from "./promos.js";
+import { syncAccountStatus } from "./teacher-accounts.js";
+import { activateEnrollment } from "./enrollments.js";
+
+// Stripe webhook processing. Every event is logged in stripe_events so
+// retries from Stripe are skipped once handled, and failures can be replayed.
+
+// How long a claim holds before the event counts as stuck
+const CLAIM_TIMEOUT_MINUTES = parseInt(process.env.STRIPE_EVENT_CLAIM_TIMEOUT_MINUTES, 10) || 5;
+
+/**
+ * When a "processing" event claimed before now counts as stuck.
+ * @returns {string} ISO timestamp
+ */
+function staleClaimCutoff() {
+  return new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+}
+
+// Whether a "processing" row's claim has run out
+function isStaleClaim(row) {
+  return !row.claimed_at || new Date(row.claimed_at) < new Date(staleClaimCutoff());
+}
+
+// The invoice a Stripe invoice id belongs to, or null
+async function findInvoice(stripeInvoiceId) {
+  const { data, error } = await supabase
+    .from("invoices")
+    .select("*")
+    .eq("stripe_invoice_id", stripeInvoiceId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Apply a Stripe event to our database.
+ * @param {Object} event - Stripe event
+ * @throws On a database error, so the event is logged as failed
+ */
+async function handleStripeEvent(event) {
+  switch (event.type) {
+    case "invoice.paid": {
+      const stripeInvoice = event.data.object;
+      const invoice = await findInvoice(stripeInvoice.id);
+
+      if (invoice) {
+        const paidAt = stripeInvoice.status_transitions?.paid_at;
+        await markInvoicePaid(invoice, {
+          paidAt: paidAt ? new Date(paidAt * 1000).toISOString() : undefined,
+        });
+        await activateEnrollment(invoice);
+      }
+      break;
+    }
+
+    case "invoice.payment_failed": {
+      const stripeInvoice = event.data.object;
+      const { error } = await supabase
+        .from("invoices")
+        .update({
+          status: "overdue",
+          updated_at: new Date().toISOString(),
+        })
+        .eq("stripe_invoice_id", stripeInvoice.id);
+      if (error) throw error;
+      break;
+    }
+
+    case "invoice.voided": {
+      const stripeInvoice = event.data.object;
+      const { data: voidedInvoice, error } = await supabase
+        .from("invoices")
+        .update({
+          status: "void",
+          updated_at: new Date().toISOString(),
+        })
+        .eq("stripe_invoice_id", stripeInvoice.id)
+        .is("paid_at", null) // voiding the remainder of a partly paid invoice keeps it paid
+        .select()
+        .maybeSingle();
+      if (error) throw error;
+
+      if (voidedInvoice) {
+        await releaseInvoiceCredit(voidedInvoice, { memo: "Invoice voided" });
+        await voidRedemption(voidedInvoice.id);
+      }
+      break;
+    }
+
+    case "credit_note.created": {
+      const creditNote = event.data.object;
+
+      // Refunds issued from our app are recorded when they're created
+      if (creditNote.metadata?.source === "app") break;
+
+      const invoice = await findInvoice(creditNote.invoice);
+      if (!invoice) break;
+
+      const { data: existing, error } = await supabase
+        .from("invoice_refunds")
+        .select("id")
+        .eq("stripe_credit_note_id", creditNote.id)
+        .maybeSingle();
+      if (error) throw error;
+      if (existing) break;
+
+      await recordRefund(invoice, {
+        amount: creditNote.amount,
+        reason: creditNote.reason,
+        memo: creditNote.memo,
+        creditNoteId: creditNote.id,
+        outOfBandAmount: creditNote.out_of_band_amount || 0,
+        source: "stripe",
+      });
+      break;
+    }
+
+    case "charge.refunded": {
+      const charge = event.data.object;
+      if (!charge.payment_intent) break;
+
+      const stripeInvoiceId = await provider.invoiceIdForPayment(charge.payment_intent, event.account);
+      if (!stripeInvoiceId) break;
+
+      const invoice = await findInvoice(stripeInvoiceId);
+      if (invoice) await syncRefundedAmount(invoice, charge.amount_refunded);
+      break;
+    }
+
+    // A teacher finished (or lost) Connect onboarding
+    case "account.updated": {
+      await syncAccountStatus(event.data.object);
+      break;
+    }
+  }
+}
+
+/**
+ * Claim an event for processing. Inserts it into the log, or — if it was
+ * seen before — takes it over when the earlier attempt failed, or was
+ * claimed longer than CLAIM_TIMEOUT_MINUTES ago and never finished.
+ * @returns {Promise<"claimed"|"processed"|"in_progress">}
+ */
+async function claimEvent(event) {
+  const { error } = await supabase.from("stripe_events").insert({
+    id: event.id,
+    type: event.type,
+    account: event.account || null,
+    payload: event,
+    status: "processing",
+    attempts: 1,
+    claimed_at: new Date().toISOString(),
+  });
+
+  if (!error) return "claimed";
+  if (error.code !== "23505") throw error;
+
+  const { data: existing, error: lookupError } = await supabase
+    .from("stripe_events")
+    .select("status, attempts, claimed_at")
+    .eq("id", event.id)
+    .single();
+  if (lookupError) throw lookupError;
+
+  if (existing.status === "processed") return "processed";
+  if (existing.status === "processing" && !isStaleClaim(existing)) return "in_progress";
+
+  let query = supabase
+    .from("stripe_events")
+    .update({ status: "processing", attempts: (existing.attempts || 0) + 1, claimed_at: new Date().toISOString() })
+    .eq("id", event.id)
+    .eq("status", existing.status);
+  // Only one redelivery takes over a stuck claim
+  query = existing.claimed_at ? query.eq("claimed_at", existing.claimed_at) : query.is("claimed_at", null);
+  const { data: claimed, error: claimError } = await query.select("id").maybeSingle();
+  if (claimError) throw claimError;
+
+  return claimed ? "claimed" : "in_progress";
+}
+
+/**
+ * Log and handle a Stripe event exactly once.
+ * @param {Object} event - Stripe event
+ * @returns {Promise<{duplicate: boolean}>}
+ * @throws If handling fails — the event is left as "failed" for replay — or
+ *   if another attempt is still handling it, so Stripe delivers it again
+ */
+async function processStripeEvent(event) {
+  const claim = await claimEvent(event);
+  if (claim === "processed") return { duplicate: true };
+  if (claim === "in_progress") {
+    throw Object.assign(new Error(`Event ${event.id} is already being processed`), { inProgress: true });
+  }
+
+  try {
+    await handleStripeEvent(event);
+  } catch (err) {
+    await supabase
+      .from("stripe_events")
+      .update({ status: "failed", error: err.message })
+      .eq("id", event.id);
+    throw err;
+  }
+
+  await supabase
+    .from("stripe_events")
+    .update({ status: "processed", error: null, processed_at: new Date().toISOString() })
+    .eq("id", event.id);
+
+  return { duplicate: false };
+}
+
+/**
+ * Re-run a logged event from its stored payload.
+ * Events that were already processed are left alone, and so are events a
+ * delivery is still handling (`inProgress`).
+ * @param {string} eventId - Stripe event id
+ * @returns {Promise<{event: Object, replayed: boolean, inProgress?: boolean}|null>} null if the event isn't logged
+ */
+async function replayStripeEvent(eventId) {
+  const { data: logged } = await supabase
+    .from("stripe_events")
+    .select("*")
+    .eq("id", eventId)
+    .single();
+
+  if (!logged) return null;
+
+  const summary = ({ payload, ...rest }) => rest;
+  if (logged.status === "processed") return { event: summary(logged), replayed: false };
+  if (logged.status === "processing" && !isStaleClaim(logged)) {
+    return { event: summary(logged), replayed: false, inProgress: true };
+  }
+
+  // Failed and stuck events are taken over by the claim in processStripeEvent
+  try {
+    await processStripeEvent(logged.payload);
+  } catch (err) {
+    if (err.inProgress) return { event: summary(logged), replayed: false, inProgress: true };
+    // Otherwise the error is recorded on the log row
+  }
+
+  const { data: updated } = await supabase
+    .from("stripe_events")
+    .select("*")
+    .eq("id", eventId)
+    .single();
+  return { event: summary(updated), replayed: true };
+}
+
+export { staleClaimCutoff, handleStripeEvent, processStripeEvent, replayStripeEvent };
@@ -0,0 +1,141 @@
+import Stripe from "stripe";
+
+// Stripe implementation of the payment provider. Invoices are direct
+// charges on a connected account: the teacher's own account when they have
+// one, otherwise the studio's STRIPE_CONNECTED_ACCOUNT_ID.
+
+const CONNECTED_ACCOUNT = process.env.STRIPE_CONNECTED_ACCOUNT_ID;
+
+let client;
+function stripeClient() {
+  if (!client) client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  return client;
+}
+
+function onAccount(account) {
+  return { stripeAccount: account || CONNECTED_ACCOUNT };
+}
+
+async function findOrCreateCustomer({ email, name }, account) {
+  const existing = await stripeClient().customers.list({ email, limit: 1 }, onAccount(account));
+  if (existing.data.length > 0) return existing.data[0];
+  return stripeClient().customers.create({ email, name: name || undefined }, onAccount(account));
+}
+
+function createInvoiceItem({ customer, amount, description }, account) {
+  return stripeClient().invoiceItems.create(
+    { customer, amount, currency: "usd", description },
+    onAccount(account)
+  );
+}
+
+function createInvoice({ customer, dueTimestamp, applicationFee }, account) {
+  return stripeClient().invoices.create(
+    {
+      customer,
+      collection_method: "send_invoice",
+      due_date: dueTimestamp,
+      auto_advance: false,
+      application_fee_amount: applicationFee,
+    },
+    onAccount(account)
+  );
+}
+
+function finalizeInvoice(id, account) {
+  return stripeClient().invoices.finalizeInvoice(id, {}, onAccount(account));
+}
+
+function retrieveInvoice(id, account) {
+  return stripeClient().invoices.retrieve(id, onAccount(account));
+}
+
+function updateInvoiceMetadata(id, metadata, account) {
+  return stripeClient().invoices.update(id, { metadata }, onAccount(account));
+}
+
+function sendInvoice(id, account) {
+  return stripeClient().invoices.sendInvoice(id, {}, onAccount(account));
+}
+
+function voidInvoice(id, account) {
+  return stripeClient().invoices.voidInvoice(id, {}, onAccount(account));
+}
+
+function deleteInvoice(id, account) {
+  return stripeClient().invoices.del(id, {}, onAccount(account));
+}
+
+function payInvoiceOutOfBand(id, account) {
+  return stripeClient().invoices.pay(id, { paid_out_of_band: true }, onAccount(account));
+}
+
+function createCreditNote(params, account) {
+  return stripeClient().creditNotes.create(params, onAccount(account));
+}
+
+// Charges don't reference invoices directly — go through the invoice payment
+async function invoiceIdForPayment(paymentIntent, account) {
+  const payments = await stripeClient().invoicePayments.list(
+    { payment: { type: "payment_intent", payment_intent: paymentIntent }, limit: 1 },
+    onAccount(account)
+  );
+  const invoice = payments.data[0]?.invoice;
+  if (!invoice) return null;
+  return typeof invoice === "string" ? invoice : invoice.id;
+}
+
+// Standard accounts, so teachers get their own Stripe dashboard and payouts
+function createConnectAccount({ email }) {
+  return stripeClient().accounts.create({ type: "standard", email });
+}
+
+function retrieveAccount(account) {
+  return stripeClient().accounts.retrieve(account);
+}
+
+function createAccountLink(account, { refreshUrl, returnUrl }) {
+  return stripeClient().accountLinks.create({
+    account,
+    refresh_url: refreshUrl,
+    return_url: returnUrl,
+    type: "account_onboarding",
+  });
+}
+
+async function listPayouts(account, { limit = 20 } = {}) {
+  const payouts = await stripeClient().payouts.list({ limit }, onAccount(account));
+  return payouts.data;
+}
+
+// Verified when STRIPE_WEBHOOK_SECRET is set; throws on a bad signature
+function constructWebhookEvent(rawBody, headers) {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) return JSON.parse(rawBody.toString());
+  return stripeClient().webhooks.constructEvent(
+    rawBody,
+    headers["stripe-signature"],
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+}
+
+export {
+  CONNECTED_ACCOUNT,
+  stripeClient,
+  findOrCreateCustomer,
+  createInvoiceItem,
+  createInvoice,
+  finalizeInvoice,
+  retrieveInvoice,
+  updateInvoiceMetadata,
+  sendInvoice,
+  voidInvoice,
+  deleteInvoice,
+  payInvoiceOutOfBand,
+  createCreditNote,
+  invoiceIdForPayment,
+  createConnectAccount,
+  retrieveAccount,
+  createAccountLink,
+  listPayouts,
+  constructWebhookEvent,
+};
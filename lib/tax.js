@@ -0,0 +1,63 @@
+import supabase from "../database.js";
+import { invalidRequest } from "./errors.js";
+
+// Tax profiles. An invoice uses, in order: the profile picked on the request,
+// a custom tax_rate typed in, the student's default profile, then the class's.
+// The profile's name and rate are copied onto the invoice when it's priced.
+
+const DEFAULT_SCOPES = ["student", "class"];
+
+// Active profile by id, or null
+async function getTaxProfile(id) {
+  const { data } = await supabase
+    .from("tax_profiles")
+    .select("*")
+    .eq("id", id)
+    .single();
+  return data && data.active ? data : null;
+}
+
+/**
+ * The default profile for a student, falling back to their class.
+ * @param {Object} opts
+ * @param {string} [opts.email] - Student email
+ * @param {string} [opts.className]
+ * @returns {Promise<Object|null>}
+ */
+async function defaultTaxProfile({ email, className }) {
+  const keys = [["student", email], ["class", className]].filter(([, key]) => key);
+  for (const [scope, key] of keys) {
+    const { data: row } = await supabase
+      .from("tax_defaults")
+      .select("tax_profile_id")
+      .eq("scope", scope)
+      .eq("key", key)
+      .single();
+    const profile = row && (await getTaxProfile(row.tax_profile_id));
+    if (profile) return profile;
+  }
+  return null;
+}
+
+/**
+ * Work out which tax profile applies to an invoice request.
+ * `tax_profile_id` may be a profile id, or "none" for no tax.
+ * @param {Object} body - Invoice request body
+ * @returns {Promise<Object>} A copy of the body with `tax_profile` set (or null)
+ */
+async function resolveTaxProfile(body) {
+  if (body.tax_profile_id === "none") return { ...body, tax_profile: null, tax_rate: 0 };
+
+  if (body.tax_profile_id) {
+    const profile = await getTaxProfile(body.tax_profile_id);
+    if (!profile) throw invalidRequest("That tax profile is no longer available");
+    return { ...body, tax_profile: profile };
+  }
+
+  if (parseFloat(body.tax_rate) > 0) return { ...body, tax_profile: null };
+
+  const profile = await defaultTaxProfile({ email: body.customer_email, className: body.class_name });
+  return { ...body, tax_profile: profile };
+}
+
+export { DEFAULT_SCOPES, getTaxProfile, defaultTaxProfile, resolveTaxProfile };
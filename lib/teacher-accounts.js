@@ -0,0 +1,225 @@
+import supabase from "../database.js";
+import { provider } from "./payment-provider.js";
+import { FEE_PERCENT } from "./pricing.js";
+import { buildRevenueReport } from "./revenue.js";
+
+// Teachers' connected payout accounts. An invoice is billed to the teacher
+// picked on the request, or else the teacher of the course named in
+// class_name, and lives on that teacher's account once it can take charges
+// — until then it goes to the studio's account. A teacher's own fee_percent
+// replaces STRIPE_APPLICATION_FEE_PERCENT on invoices billed on their account.
+
+async function getTeacherAccount(teacherId) {
+  const { data } = await supabase
+    .from("teacher_accounts")
+    .select("*")
+    .eq("teacher_id", teacherId)
+    .single();
+  return data || null;
+}
+
+// "not_started" | "pending" (onboarding unfinished) | "active"
+function accountStatus(row) {
+  if (!row?.stripe_account_id) return "not_started";
+  return row.charges_enabled ? "active" : "pending";
+}
+
+async function teacherForClass(className) {
+  if (!className) return null;
+  const { data } = await supabase
+    .from("courses")
+    .select("teacher_id")
+    .eq("name", className)
+    .limit(1);
+  return data?.[0]?.teacher_id || null;
+}
+
+/**
+ * Work out which teacher an invoice request bills for, and so which
+ * connected account it goes on and the platform fee it pays.
+ * @param {Object} body - Invoice request body
+ * @returns {Promise<Object>} A copy of the body with `teacher_id`,
+ *   `stripe_account_id` (null = studio account) and `application_fee_percent` set
+ */
+async function resolveTeacher(body) {
+  const teacherId = body.teacher_id || (await teacherForClass(body.class_name));
+  if (!teacherId) {
+    return { ...body, teacher_id: null, stripe_account_id: null, application_fee_percent: FEE_PERCENT };
+  }
+
+  if (body.teacher_id) {
+    const { data: teacher } = await supabase
+      .from("user")
+      .select("id, role")
+      .eq("id", teacherId)
+      .single();
+    if (!teacher || teacher.role !== "teacher") throw new Error("That teacher wasn't found");
+  }
+
+  // The teacher's fee only applies on their own account; on the studio's
+  // account the invoice pays the studio default
+  const account = await getTeacherAccount(teacherId);
+  const onTeacherAccount = !!account?.charges_enabled && !!account.stripe_account_id;
+  return {
+    ...body,
+    teacher_id: teacherId,
+    stripe_account_id: onTeacherAccount ? account.stripe_account_id : null,
+    application_fee_percent: onTeacherAccount && account.fee_percent != null ? parseFloat(account.fee_percent) : FEE_PERCENT,
+  };
+}
+
+/**
+ * Start (or resume) Connect onboarding for a teacher. Creates their
+ * connected account the first time; later calls reuse it.
+ * @param {Object} teacher - User row
+ * @param {Object} urls
+ * @param {string} urls.returnUrl - Where the teacher lands when done
+ * @param {string} urls.refreshUrl - Where an expired link sends them
+ * @returns {Promise<string>} Onboarding URL
+ */
+async function onboardingLink(teacher, { returnUrl, refreshUrl }) {
+  let row = await getTeacherAccount(teacher.id);
+
+  if (!row?.stripe_account_id) {
+    const { error: insertError } = await supabase
+      .from("teacher_accounts")
+      .upsert({ teacher_id: teacher.id }, { onConflict: "teacher_id", ignoreDuplicates: true });
+    if (insertError) throw insertError;
+
+    const account = await provider.createConnectAccount({ email: teacher.email });
+
+    // Only the first request to get here keeps its account
+    const { data: claimed } = await supabase
+      .from("teacher_accounts")
+      .update({ stripe_account_id: account.id, updated_at: new Date().toISOString() })
+      .eq("teacher_id", teacher.id)
+      .is("stripe_account_id", null)
+      .select()
+      .single();
+    row = claimed || (await getTeacherAccount(teacher.id));
+  }
+
+  const link = await provider.createAccountLink(row.stripe_account_id, { returnUrl, refreshUrl });
+  return link.url;
+}
+
+/**
+ * Copy a connected account's capabilities onto its teacher_accounts row.
+ * Called from the account.updated webhook and when a teacher checks in.
+ * @param {Object} account - Provider account object
+ * @returns {Promise<Object|null>} The updated row, or null if it isn't a teacher's
+ */
+async function syncAccountStatus(account) {
+  const { data, error } = await supabase
+    .from("teacher_accounts")
+    .update({
+      charges_enabled: !!account.charges_enabled,
+      payouts_enabled: !!account.payouts_enabled,
+      details_submitted: !!account.details_submitted,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("stripe_account_id", account.id)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Set a teacher's platform fee. null goes back to the default.
+ * @param {string} teacherId
+ * @param {?number} feePercent
+ */
+async function setFeePercent(teacherId, feePercent) {
+  const { data, error } = await supabase
+    .from("teacher_accounts")
+    .upsert(
+      { teacher_id: teacherId, fee_percent: feePercent, updated_at: new Date().toISOString() },
+      { onConflict: "teacher_id" }
+    )
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Earnings for one teacher: the revenue report over their invoices, the
+ * fee they pay and their latest payouts from the provider.
+ * @param {string} teacherId
+ * @param {Object} opts
+ * @param {string} opts.from - First month, YYYY-MM
+ * @param {string} opts.to - Last month, YYYY-MM
+ */
+async function teacherEarnings(teacherId, { from, to }) {
+  const start = `${from}-01`;
+  const { data: invoices, error } = await supabase
+    .from("invoices")
+    .select("id, invoice_number, customer_name, class_name, created_by, status, total, amount_paid, tax_amount, merchant_fee, application_fee, refunded_amount, stripe_account_id, created_at, paid_at")
+    .eq("teacher_id", teacherId)
+    .or(`created_at.gte.${start},paid_at.gte.${start},status.in.(sent,overdue,partially_paid)`);
+
+  if (error) throw error;
+
+  const { data: payments, error: paymentsError } = await supabase
+    .from("invoice_payments")
+    .select("invoice_id, amount, paid_on")
+    .in("invoice_id", (invoices || []).map((inv) => inv.id));
+
+  if (paymentsError) throw paymentsError;
+
+  // Who created each invoice is the studio's business, not the teacher's
+  const report = buildRevenueReport(invoices || [], { from, to, payments: payments || [] });
+  delete report.by_admin;
+
+  const row = await getTeacherAccount(teacherId);
+  let payouts = [];
+  let payoutsError = null;
+  if (row?.stripe_account_id && row.payouts_enabled) {
+    try {
+      payouts = await provider.listPayouts(row.stripe_account_id, { limit: 20 });
+    } catch (err) {
+      payoutsError = err.message;
+    }
+  }
+
+  return {
+    ...report,
+    account_status: accountStatus(row),
+    payouts_enabled: !!row?.payouts_enabled,
+    fee_percent: row?.fee_percent != null ? parseFloat(row.fee_percent) : FEE_PERCENT,
+    invoices: (invoices || [])
+      .filter((inv) => inv.status !== "draft" && inv.status !== "void")
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+      .map((inv) => ({
+        id: inv.id,
+        invoice_number: inv.invoice_number,
+        customer_name: inv.customer_name,
+        class_name: inv.class_name,
+        status: inv.status,
+        total: inv.total,
+        amount_paid: inv.amount_paid || 0,
+        application_fee: inv.application_fee || 0,
+        on_teacher_account: !!inv.stripe_account_id,
+        created_at: inv.created_at,
+        paid_at: inv.paid_at,
+      })),
+    payouts: payouts.map((p) => ({
+      id: p.id,
+      amount: p.amount,
+      status: p.status,
+      arrival_date: p.arrival_date,
+    })),
+    payouts_error: payoutsError,
+  };
+}
+
+export {
+  getTeacherAccount,
+  accountStatus,
+  resolveTeacher,
+  onboardingLink,
+  syncAccountStatus,
+  setFeePercent,
+  teacherEarnings,
+};
@@ -0,0 +1,351 @@
+import crypto from "crypto";
+import supabase from "../database.js";
+import { ROLES } from "./auth.js";
+import { grantEnrollment } from "./enrollments.js";
+import { createInvitation, sendInvitation } from "./invitations.js";
+
+// Bulk import of users and enrollments from CSV. Columns (header row
+// required, any order): name — or first_name and last_name — email, phone,
+// role and courses (ids or names, separated by ";"). Every row is checked
+// before anything is written; a dry run stops there. A real run creates
+// new accounts approved and without a password (an invitation lets them
+// set one), updates existing ones and enrolls students, skipping rows with
+// errors.
+
+const MAX_ROWS = 1000;
+
+const HEADER_ALIASES = {
+  name: "name",
+  full_name: "name",
+  first_name: "first_name",
+  firstname: "first_name",
+  last_name: "last_name",
+  lastname: "last_name",
+  email: "email",
+  email_address: "email",
+  phone: "phone",
+  role: "role",
+  courses: "courses",
+  course: "courses",
+  course_ids: "courses",
+};
+
+// Roles each importer may create or assign
+const IMPORTABLE_ROLES = {
+  [ROLES.OWNER]: [ROLES.ADMIN, ROLES.TEACHER, ROLES.STUDENT, ROLES.PARENT],
+  [ROLES.ADMIN]: [ROLES.TEACHER, ROLES.STUDENT, ROLES.PARENT],
+};
+
+/**
+ * Parse CSV text: comma-separated, double quotes around fields that
+ * contain commas, quotes or line breaks. Blank lines are dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+function splitName(row) {
+  if (row.first_name || row.last_name) return { firstName: row.first_name || "", lastName: row.last_name || "" };
+  const parts = (row.name || "").split(/\s+/).filter(Boolean);
+  return { firstName: parts[0] || "", lastName: parts.slice(1).join(" ") };
+}
+
+// Course lookup by id or (case-insensitive) name
+async function courseIndex() {
+  const { data, error } = await supabase.from("courses").select("id, name");
+  if (error) throw error;
+  const byId = {};
+  const byName = {};
+  (data || []).forEach((course) => {
+    byId[course.id] = course;
+    const key = course.name.trim().toLowerCase();
+    byName[key] = byName[key] ? [...byName[key], course] : [course];
+  });
+  return { byId, byName };
+}
+
+// Matches one email in any case: accounts made on the invoice screen keep
+// the case they were typed in. Quoted, so commas and dots stay literal.
+function emailFilter(email) {
+  const pattern = email.replace(/[%_\\]/g, "\\$&");
+  return `email.ilike."${pattern.replace(/["\\]/g, "\\$&")}"`;
+}
+
+async function existingUsers(emails) {
+  const users = {};
+  for (let i = 0; i < emails.length; i += 100) {
+    const { data, error } = await supabase
+      .from("user")
+      .select("id, email, name, firstName, lastName, phone, role, deactivatedAt")
+      .or(emails.slice(i, i + 100).map(emailFilter).join(","));
+    if (error) throw error;
+    (data || []).forEach((u) => { users[u.email.toLowerCase()] = u; });
+  }
+  return users;
+}
+
+async function activeEnrollments(studentIds) {
+  const enrolled = {};
+  for (let i = 0; i < studentIds.length; i += 200) {
+    const { data, error } = await supabase
+      .from("enrollments")
+      .select("student_id, course_id")
+      .in("student_id", studentIds.slice(i, i + 200))
+      .eq("status", "active");
+    if (error) throw error;
+    (data || []).forEach((e) => { enrolled[`${e.student_id}:${e.course_id}`] = true; });
+  }
+  return enrolled;
+}
+
+/**
+ * Check every row of an import and work out what it would do.
+ * @param {string} csv - CSV text with a header row
+ * @param {Object} importer - req.user
+ * @returns {Promise<{error: string}|{rows: Array<Object>}>} One plan per data row:
+ *   { line, email, name, role, action: create|update|skip, changes, courses, errors }
+ */
+async function planImport(csv, importer) {
+  const [header, ...records] = parseCsv(csv);
+  if (!header) return { error: "The file is empty" };
+  if (records.length > MAX_ROWS) return { error: `Import at most ${MAX_ROWS} rows at a time` };
+
+  const columns = header.map((h) => HEADER_ALIASES[h.trim().toLowerCase().replace(/[\s-]+/g, "_")] || null);
+  if (!columns.includes("email")) return { error: "The header row needs an email column" };
+  if (!columns.includes("name") && !columns.includes("first_name")) {
+    return { error: "The header row needs a name column (or first_name and last_name)" };
+  }
+
+  const rows = records.map((cells, i) => {
+    const row = { line: i + 2 };
+    columns.forEach((col, c) => { if (col) row[col] = (cells[c] || "").trim(); });
+    return row;
+  });
+
+  const emails = [...new Set(rows.map((r) => (r.email || "").toLowerCase()).filter(Boolean))];
+  const users = await existingUsers(emails);
+  const courses = await courseIndex();
+  const enrolled = await activeEnrollments(Object.values(users).map((u) => u.id));
+  const allowedRoles = IMPORTABLE_ROLES[importer.role] || [];
+  const seen = {};
+
+  const plans = rows.map((row) => {
+    const errors = [];
+    const email = (row.email || "").toLowerCase();
+    const existing = users[email] || null;
+    const { firstName, lastName } = splitName(row);
+    const role = (row.role || "").toLowerCase() || existing?.role || ROLES.STUDENT;
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push("Invalid email");
+    else if (seen[email]) errors.push(`Same email as line ${seen[email]}`);
+    else seen[email] = row.line;
+
+    if (!existing && !firstName) errors.push("Name is required for a new user");
+    if (existing?.deactivatedAt) errors.push("This account is deactivated — an owner can restore it");
+    if (!Object.values(ROLES).includes(role)) errors.push(`Unknown role "${row.role}"`);
+    else if (existing?.role !== role && !allowedRoles.includes(role)) errors.push(`You can't import users as ${role}`);
+
+    const courseIds = [];
+    const tokens = (row.courses || "").split(/[;|]/).map((t) => t.trim()).filter(Boolean);
+    if (tokens.length && role !== ROLES.STUDENT) errors.push("Only students can be enrolled in courses");
+    tokens.forEach((token) => {
+      const matches = courses.byId[token] ? [courses.byId[token]] : courses.byName[token.toLowerCase()] || [];
+      if (matches.length === 0) errors.push(`Unknown course "${token}"`);
+      else if (matches.length > 1) errors.push(`More than one course is named "${token}" — use its id`);
+      else if (!courseIds.includes(matches[0].id)) courseIds.push(matches[0].id);
+    });
+
+    // Only the fields the row actually fills in are changed on an existing account
+    const changes = {};
+    if (existing) {
+      if (firstName && firstName !== existing.firstName) changes.firstName = firstName;
+      if (lastName && lastName !== existing.lastName) changes.lastName = lastName;
+      if (row.phone && row.phone !== (existing.phone || "")) changes.phone = row.phone;
+      if (role !== existing.role) changes.role = role;
+    }
+
+    const newCourses = courseIds
+      .filter((id) => !existing || !enrolled[`${existing.id}:${id}`])
+      .map((id) => ({ id, name: courses.byId[id].name }));
+
+    const protectedAccount = existing && [ROLES.OWNER, ROLES.ADMIN].includes(existing.role);
+    if (protectedAccount && importer.role !== ROLES.OWNER && Object.keys(changes).length) {
+      errors.push("Only owners can change admin/owner accounts");
+    }
+
+    let action = "create";
+    if (existing) action = Object.keys(changes).length || newCourses.length ? "update" : "skip";
+
+    return {
+      line: row.line,
+      email,
+      name: [firstName, lastName].filter(Boolean).join(" ") || existing?.name || "",
+      first_name: firstName,
+      last_name: lastName,
+      phone: row.phone || "",
+      role,
+      user_id: existing?.id || null,
+      action: errors.length ? "error" : action,
+      changes,
+      courses: newCourses,
+      errors,
+    };
+  });
+
+  return { rows: plans };
+}
+
+async function applyRow(plan, importer, { sendInvites }) {
+  let user;
+  let before = null;
+  if (plan.action === "create") {
+    const { data, error } = await supabase
+      .from("user")
+      .insert({
+        id: crypto.randomUUID().replace(/-/g, "").slice(0, 32),
+        name: plan.name,
+        email: plan.email,
+        phone: plan.phone,
+        firstName: plan.first_name,
+        lastName: plan.last_name,
+        role: plan.role,
+        isApproved: true,
+        emailVerified: false,
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    user = data;
+  } else {
+    user = { id: plan.user_id, email: plan.email, role: plan.role };
+    if (Object.keys(plan.changes).length) {
+      const { data: current } = await supabase
+        .from("user")
+        .select("firstName, lastName, phone, role")
+        .eq("id", plan.user_id)
+        .single();
+      before = current;
+
+      const updates = { ...plan.changes };
+      if (updates.firstName || updates.lastName) {
+        updates.name = [updates.firstName || current.firstName, updates.lastName || current.lastName]
+          .filter(Boolean)
+          .join(" ");
+      }
+      if (updates.role) updates.isApproved = true;
+      const { error } = await supabase.from("user").update(updates).eq("id", plan.user_id);
+      if (error) throw error;
+    }
+  }
+
+  for (const course of plan.courses) {
+    await grantEnrollment(user.id, course.id);
+  }
+
+  let invited = false;
+  let inviteError = null;
+  if (sendInvites && plan.action === "create") {
+    try {
+      const result = await createInvitation(
+        { email: plan.email, role: plan.role, first_name: plan.first_name, last_name: plan.last_name },
+        importer
+      );
+      if (result.error) inviteError = result.error;
+      else {
+        await sendInvitation(result.invitation);
+        invited = true;
+      }
+    } catch (err) {
+      inviteError = err.message;
+    }
+  }
+
+  return { user, before, invited, inviteError };
+}
+
+/**
+ * Run an import: plan it, then (unless it's a dry run) create and update
+ * the valid rows. Rows with errors are reported and left alone.
+ * @param {string} csv
+ * @param {Object} importer - req.user
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dryRun]
+ * @param {boolean} [opts.sendInvites] - Invite each new user to set a password
+ * @param {Function} [opts.onApplied] - Called with (plan, result) after each row is written
+ * @returns {Promise<{error: string}|{dry_run: boolean, summary: Object, rows: Array<Object>}>}
+ */
+async function runImport(csv, importer, { dryRun = false, sendInvites = false, onApplied } = {}) {
+  const plan = await planImport(csv, importer);
+  if (plan.error) return plan;
+
+  const rows = [];
+  for (const row of plan.rows) {
+    if (dryRun || row.action === "error" || row.action === "skip") {
+      rows.push({ ...row, status: row.action === "error" ? "failed" : row.action === "skip" ? "skipped" : "ok" });
+      continue;
+    }
+    try {
+      const result = await applyRow(row, importer, { sendInvites });
+      if (onApplied) await onApplied(row, result);
+      rows.push({
+        ...row,
+        user_id: result.user.id,
+        status: "ok",
+        invited: result.invited,
+        invite_error: result.inviteError,
+      });
+    } catch (err) {
+      console.error("Import row error:", row.line, err.message);
+      rows.push({ ...row, status: "failed", errors: [err.message] });
+    }
+  }
+
+  const count = (test) => rows.filter(test).length;
+  return {
+    dry_run: dryRun,
+    summary: {
+      total: rows.length,
+      created: count((r) => r.status === "ok" && r.action === "create"),
+      updated: count((r) => r.status === "ok" && r.action === "update"),
+      skipped: count((r) => r.status === "skipped"),
+      failed: count((r) => r.status === "failed"),
+      enrollments: rows.filter((r) => r.status === "ok").reduce((sum, r) => sum + r.courses.length, 0),
+      invited: count((r) => r.invited),
+    },
+    rows,
+  };
+}
+
+export { parseCsv, planImport, runImport };
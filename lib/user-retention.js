@@ -0,0 +1,152 @@
+import supabase from "../database.js";
+import { recordAudit } from "./audit.js";
+
+// Deactivating a user instead of deleting them. A deactivated account is
+// banned (the better-auth admin plugin refuses it new sessions) and its
+// sessions are dropped, but its enrollments, submissions, messages and
+// billing history stay. An owner can restore it until the retention job
+// anonymizes it, USER_RETENTION_DAYS after deactivation. Anonymizing
+// scrubs the account's name, email, phone and sign-in methods; invoices
+// and payments keep what was billed, as financial records must. The audit
+// log is append-only and is left as written.
+
+const RETENTION_DAYS = parseInt(process.env.USER_RETENTION_DAYS, 10) || 365;
+
+const DEACTIVATED_REASON = "Account deactivated";
+
+/**
+ * Deactivate a user: they can't sign in, their records stay.
+ * @param {string} userId
+ * @param {Object} actor - req.user
+ * @returns {Promise<Object|null>} The updated user, or null if already deactivated
+ * @throws On a database error
+ */
+async function deactivateUser(userId, actor) {
+  const { data: updated, error } = await supabase
+    .from("user")
+    .update({
+      banned: true,
+      banReason: DEACTIVATED_REASON,
+      banExpires: null,
+      deactivatedAt: new Date().toISOString(),
+      deactivatedBy: actor.id,
+    })
+    .eq("id", userId)
+    .is("deactivatedAt", null)
+    .select();
+  if (error) throw error;
+  const user = updated?.[0];
+  if (!user) return null;
+
+  // Sign them out everywhere
+  const { error: sessionError } = await supabase.from("session").delete().eq("userId", userId);
+  if (sessionError) throw sessionError;
+
+  // Nobody can take the account over through an old invitation
+  const { error: inviteError } = await supabase
+    .from("invitations")
+    .update({ status: "revoked", revoked_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("email", user.email.toLowerCase())
+    .eq("status", "pending");
+  if (inviteError) throw inviteError;
+
+  return user;
+}
+
+/**
+ * Reactivate a deactivated user, unless they've been anonymized.
+ * @param {string} userId
+ * @returns {Promise<{error: string, status: number}|{user: Object}>}
+ */
+async function restoreUser(userId) {
+  const { data: existing } = await supabase
+    .from("user")
+    .select("id, deactivatedAt, anonymizedAt")
+    .eq("id", userId)
+    .single();
+  if (!existing) return { error: "User not found", status: 404 };
+  if (!existing.deactivatedAt) return { error: "This user is not deactivated", status: 400 };
+  if (existing.anonymizedAt) return { error: "This user's data has been anonymized and can't be restored", status: 400 };
+
+  const { data: user, error } = await supabase
+    .from("user")
+    .update({ banned: false, banReason: null, banExpires: null, deactivatedAt: null, deactivatedBy: null })
+    .eq("id", userId)
+    .select()
+    .single();
+  if (error) throw error;
+  return { user };
+}
+
+async function anonymizeUser(user) {
+  const placeholderEmail = `deleted-${user.id}@deleted.invalid`;
+
+  // Passwords and OAuth tokens go with the identity, as do relationships
+  // that only exist to share their data. These run before the user is
+  // marked anonymized, so a failure leaves them for the next run to retry.
+  const cleanup = [
+    supabase.from("session").delete().eq("userId", user.id),
+    supabase.from("account").delete().eq("userId", user.id),
+    supabase.from("parent_links").delete().or(`parent_id.eq.${user.id},student_id.eq.${user.id}`),
+    supabase.from("invitations").update({ email: placeholderEmail }).eq("email", user.email.toLowerCase()),
+  ];
+  for (const write of cleanup) {
+    const { error } = await write;
+    if (error) throw error;
+  }
+
+  const { error } = await supabase
+    .from("user")
+    .update({
+      name: "Deleted user",
+      firstName: "Deleted",
+      lastName: "user",
+      email: placeholderEmail,
+      phone: "",
+      image: null,
+      emailVerified: false,
+      anonymizedAt: new Date().toISOString(),
+    })
+    .eq("id", user.id)
+    .is("anonymizedAt", null);
+  if (error) throw error;
+}
+
+/**
+ * Anonymize users deactivated more than `days` ago. Each one is handled on
+ * its own, so one failure doesn't stop the run.
+ * @param {Object} [opts]
+ * @param {number} [opts.days] - Default USER_RETENTION_DAYS (365)
+ * @returns {Promise<{anonymized: string[], failed: Array<{id: string, error: string}>}>}
+ */
+async function anonymizeDeactivatedUsers({ days = RETENTION_DAYS } = {}) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const { data: users, error } = await supabase
+    .from("user")
+    .select("id, email, role, deactivatedAt")
+    .lt("deactivatedAt", cutoff)
+    .is("anonymizedAt", null);
+  if (error) throw error;
+
+  const anonymized = [];
+  const failed = [];
+  for (const user of users || []) {
+    try {
+      await anonymizeUser(user);
+      anonymized.push(user.id);
+      await recordAudit({}, {
+        action: "user.anonymize",
+        targetType: "user",
+        targetId: user.id,
+        after: { role: user.role, deactivated_at: user.deactivatedAt, retention_days: days },
+        actor: null,
+      });
+    } catch (err) {
+      console.error("Anonymize user error:", user.id, err.message);
+      failed.push({ id: user.id, error: err.message });
+    }
+  }
+  return { anonymized, failed };
+}
+
+export { RETENTION_DAYS, deactivateUser, restoreUser, anonymizeDeactivatedUsers };
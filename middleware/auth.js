@@ -19,6 +19,14 @@ async function requireAuth(req, res, next) {
       return res.redirect("/login");
     }
 
+    // A session left over from before the account was deactivated
+    if (session.user.banned) {
+      if (req.path.startsWith("/api/")) {
+        return res.status(401).json({ error: "This account has been deactivated" });
+      }
+      return res.redirect("/login");
+    }
+
     // Attach user to request for downstream use
     req.user = session.user;
     next();
@@ -45,15 +53,15 @@ function requireRole(...roles) {
 
 /**
  * Check if teacher is approved.
- * Owners, admins, and students pass through automatically.
+ * Owners, admins, students and parents pass through automatically.
  */
 async function requireApproved(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ error: "Not authenticated" });
   }
 
-  // Owners, admins, and students don't need approval
-  if (["owner", "admin", "student"].includes(req.user.role)) {
+  // Owners, admins, students and parents don't need approval
+  if (["owner", "admin", "student", "parent"].includes(req.user.role)) {
     return next();
   }
 
@@ -79,4 +87,16 @@ async function requireApproved(req, res, next) {
   }
 }
 
-export { requireAuth, requireRole, requireApproved };
+/**
+ * Protect scheduled job endpoints.
+ * Vercel Cron sends `Authorization: Bearer <CRON_SECRET>` on each run.
+ */
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: "Not authorized" });
+  }
+  next();
+}
+
+export { requireAuth, requireRole, requireApproved, requireCronSecret };
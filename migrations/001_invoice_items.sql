@@ -0,0 +1,19 @@
+-- Arbitrary line items per invoice (replaces the single hours x rate line)
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  description TEXT NOT NULL,
+  quantity NUMERIC(10, 2) NOT NULL DEFAULT 1,
+  unit_price INTEGER NOT NULL DEFAULT 0,  -- cents
+  amount INTEGER NOT NULL DEFAULT 0,      -- cents, quantity x unit_price
+  taxable BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS invoice_items_invoice_id_idx ON invoice_items (invoice_id, position);
+
+-- New invoices no longer carry a single hours/rate pair
+ALTER TABLE invoices ALTER COLUMN hours DROP NOT NULL;
+ALTER TABLE invoices ALTER COLUMN rate_per_hour DROP NOT NULL;
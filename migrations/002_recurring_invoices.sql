@@ -0,0 +1,34 @@
+-- Recurring invoice schedules (weekly / biweekly / monthly tutoring plans)
+
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  customer_email TEXT NOT NULL,
+  customer_name TEXT NOT NULL DEFAULT '',
+  class_name TEXT NOT NULL DEFAULT '',
+  description TEXT NOT NULL DEFAULT '',
+  items JSONB NOT NULL DEFAULT '[]',  -- template line items, unit_price in dollars
+  discount_value NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  discount_type TEXT NOT NULL DEFAULT 'flat',
+  discount_label TEXT NOT NULL DEFAULT '',
+  tax_rate NUMERIC(6, 3) NOT NULL DEFAULT 0,
+  pass_merchant_fee BOOLEAN NOT NULL DEFAULT false,
+  frequency TEXT NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  next_run_date DATE,
+  due_days INTEGER NOT NULL DEFAULT 7,
+  auto_send BOOLEAN NOT NULL DEFAULT false,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'ended')),
+  last_run_at TIMESTAMPTZ,
+  last_invoice_id UUID,
+  last_error TEXT,
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS recurring_invoices_due_idx ON recurring_invoices (status, next_run_date);
+
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS recurring_invoice_id UUID REFERENCES recurring_invoices(id) ON DELETE SET NULL;
@@ -0,0 +1,20 @@
+-- Refunds and credit notes against paid invoices
+
+CREATE TABLE IF NOT EXISTS invoice_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL,  -- cents
+  reason TEXT,
+  memo TEXT NOT NULL DEFAULT '',
+  stripe_credit_note_id TEXT UNIQUE,
+  stripe_refund_id TEXT,
+  source TEXT NOT NULL DEFAULT 'app',  -- app | stripe
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS invoice_refunds_invoice_id_idx ON invoice_refunds (invoice_id);
+
+-- status may now also be 'refunded' or 'partially_refunded'
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS refunded_amount INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
@@ -0,0 +1,16 @@
+-- Log of every Stripe webhook event received, for idempotency and replay
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,  -- Stripe event id (evt_...)
+  type TEXT NOT NULL,
+  account TEXT,         -- connected account the event came from
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'processing', 'processed', 'failed')),
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS stripe_events_status_idx ON stripe_events (status, received_at DESC);
@@ -0,0 +1,12 @@
+-- Payment reminders sent for an invoice, one row per step of the sequence
+
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  offset_days INTEGER NOT NULL,  -- days relative to due_date (-3 = three days before)
+  email TEXT NOT NULL,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (invoice_id, offset_days)
+);
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS last_reminder_at TIMESTAMPTZ;
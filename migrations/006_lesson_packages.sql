@@ -0,0 +1,42 @@
+-- Prepaid lesson packages and per-student credit balances (in hours)
+
+CREATE TABLE IF NOT EXISTS lesson_packages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  class_name TEXT NOT NULL DEFAULT '',
+  hours NUMERIC(10, 2) NOT NULL CHECK (hours > 0),
+  price INTEGER NOT NULL CHECK (price >= 0),  -- cents
+  expires_after_days INTEGER,                  -- null = credit never expires
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Append-only ledger; a student's balance is the sum of their rows
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_email TEXT NOT NULL,
+  hours NUMERIC(10, 2) NOT NULL,  -- positive = credit, negative = debit
+  entry_type TEXT NOT NULL CHECK (entry_type IN (
+    'purchase', 'usage', 'release', 'adjustment', 'expiry', 'transfer_in', 'transfer_out'
+  )),
+  invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+  invoice_item_id UUID UNIQUE,    -- purchase rows: one per package line, so crediting is idempotent
+  package_id UUID REFERENCES lesson_packages(id) ON DELETE SET NULL,
+  related_email TEXT,             -- other side of a transfer
+  expires_at TIMESTAMPTZ,
+  memo TEXT NOT NULL DEFAULT '',
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS credit_ledger_student_idx ON credit_ledger (student_email, created_at);
+CREATE INDEX IF NOT EXISTS credit_ledger_invoice_idx ON credit_ledger (invoice_id);
+
+-- lesson = draws down credit, package = sells credit, credit = prepaid hours applied, other
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'other';
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS package_id UUID REFERENCES lesson_packages(id) ON DELETE SET NULL;
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS package_hours NUMERIC(10, 2);
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credit_hours NUMERIC(10, 2) NOT NULL DEFAULT 0;
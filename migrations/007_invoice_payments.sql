@@ -0,0 +1,23 @@
+-- Offline (check, cash, Zelle, ...) and partial payments against invoices
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL CHECK (amount > 0),  -- cents
+  method TEXT NOT NULL,                         -- check | cash | zelle | venmo | bank_transfer | other
+  paid_on DATE NOT NULL,
+  reference TEXT NOT NULL DEFAULT '',           -- check number, confirmation code, ...
+  memo TEXT NOT NULL DEFAULT '',
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS invoice_payments_invoice_id_idx ON invoice_payments (invoice_id);
+
+-- status may now also be 'partially_paid'
+-- amount_paid covers offline payments plus the Stripe payment once paid online
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_paid INTEGER NOT NULL DEFAULT 0;
+-- Unpaid balance forgiven when the remainder is voided
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS written_off_amount INTEGER NOT NULL DEFAULT 0;
+
+UPDATE invoices SET amount_paid = total WHERE paid_at IS NOT NULL AND amount_paid = 0;
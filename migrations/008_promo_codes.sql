@@ -0,0 +1,35 @@
+-- Admin-managed promo codes, applied by name on invoice create/update
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL UNIQUE,                -- stored uppercase
+  description TEXT NOT NULL DEFAULT '',
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+  discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),  -- percent, or cents when flat
+  expires_at TIMESTAMPTZ,                   -- null = never expires
+  max_redemptions INTEGER,                  -- null = unlimited
+  max_per_student INTEGER,                  -- null = unlimited
+  class_names TEXT[] NOT NULL DEFAULT '{}', -- empty = any class
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (discount_type = 'flat' OR discount_value <= 100)
+);
+
+-- One row per invoice using a code. The row is claimed before the invoice
+-- is created so usage limits hold under concurrent requests.
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  invoice_id UUID UNIQUE REFERENCES invoices(id) ON DELETE SET NULL,
+  student_email TEXT NOT NULL,
+  discount INTEGER NOT NULL DEFAULT 0,      -- cents
+  voided_at TIMESTAMPTZ,                    -- invoice voided; no longer counts toward limits
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS promo_redemptions_code_idx ON promo_redemptions (promo_code_id, student_email);
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS promo_code TEXT;
@@ -0,0 +1,31 @@
+-- Admin-defined tax profiles, with defaults per student or per class
+
+CREATE TABLE IF NOT EXISTS tax_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  rate NUMERIC(6, 3) NOT NULL CHECK (rate >= 0 AND rate <= 100),  -- percent
+  taxable_kinds TEXT[] NOT NULL DEFAULT '{lesson,package,other}', -- invoice_items.kind values taxed
+  inclusive BOOLEAN NOT NULL DEFAULT false,  -- true = line prices already include the tax
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A student's default wins over their class's
+CREATE TABLE IF NOT EXISTS tax_defaults (
+  scope TEXT NOT NULL CHECK (scope IN ('student', 'class')),
+  key TEXT NOT NULL,  -- student email or class_name
+  tax_profile_id UUID NOT NULL REFERENCES tax_profiles(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (scope, key)
+);
+
+-- Snapshot of the profile used, so later profile edits don't change past invoices
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_profile_id UUID REFERENCES tax_profiles(id) ON DELETE SET NULL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_name TEXT NOT NULL DEFAULT 'Sales Tax';
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_inclusive BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS tax_amount INTEGER NOT NULL DEFAULT 0;  -- cents
+
+ALTER TABLE recurring_invoices ADD COLUMN IF NOT EXISTS tax_profile_id UUID REFERENCES tax_profiles(id) ON DELETE SET NULL;
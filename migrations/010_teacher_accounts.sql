@@ -0,0 +1,21 @@
+-- Per-teacher Stripe Connect accounts and platform fee
+
+CREATE TABLE IF NOT EXISTS teacher_accounts (
+  teacher_id TEXT PRIMARY KEY REFERENCES "user"(id) ON DELETE CASCADE,
+  stripe_account_id TEXT UNIQUE,
+  charges_enabled BOOLEAN NOT NULL DEFAULT false,
+  payouts_enabled BOOLEAN NOT NULL DEFAULT false,
+  details_submitted BOOLEAN NOT NULL DEFAULT false,
+  fee_percent NUMERIC(5, 2) CHECK (fee_percent >= 0 AND fee_percent <= 100),  -- NULL = STRIPE_APPLICATION_FEE_PERCENT
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The teacher billed for, and the connected account the invoice lives on
+-- (NULL = the studio's STRIPE_CONNECTED_ACCOUNT_ID)
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS teacher_id TEXT REFERENCES "user"(id) ON DELETE SET NULL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS stripe_account_id TEXT;
+
+CREATE INDEX IF NOT EXISTS invoices_teacher_id_idx ON invoices (teacher_id);
+
+ALTER TABLE recurring_invoices ADD COLUMN IF NOT EXISTS teacher_id TEXT REFERENCES "user"(id) ON DELETE SET NULL;
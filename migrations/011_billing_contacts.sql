@@ -0,0 +1,29 @@
+-- Billing contacts: a payer (usually a parent) who pays for several students
+
+CREATE TABLE IF NOT EXISTS billing_contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL UNIQUE,  -- lowercase; the payer logs in with this email
+  name TEXT NOT NULL DEFAULT '',
+  phone TEXT NOT NULL DEFAULT '',
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS billing_contact_students (
+  billing_contact_id UUID NOT NULL REFERENCES billing_contacts(id) ON DELETE CASCADE,
+  student_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (billing_contact_id, student_email)
+);
+
+CREATE INDEX IF NOT EXISTS billing_contact_students_email_idx ON billing_contact_students (student_email);
+
+-- Invoices addressed to a payer keep customer_email = the payer's email;
+-- each line says which child it's for
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS billing_contact_id UUID REFERENCES billing_contacts(id) ON DELETE SET NULL;
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS student_email TEXT;
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS student_name TEXT;
+
+ALTER TABLE recurring_invoices ADD COLUMN IF NOT EXISTS billing_contact_id UUID REFERENCES billing_contacts(id) ON DELETE SET NULL;
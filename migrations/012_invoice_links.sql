@@ -0,0 +1,5 @@
+-- Signed public invoice links. A link's token is only good for the invoice's
+-- current link_version; regenerating bumps it, which kills older links
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS link_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS link_revoked_at TIMESTAMPTZ;
@@ -0,0 +1,76 @@
+-- Human-friendly invoice numbers like GTB-2026-0042. The number is assigned
+-- by a trigger as the invoice row is inserted, so it shares the insert's
+-- transaction: concurrent creates queue on the counter row, and a failed
+-- insert rolls its number back — no duplicates and no gaps.
+
+-- The format, edited through /api/invoices/numbering. A single row.
+CREATE TABLE IF NOT EXISTS invoice_numbering (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  prefix TEXT NOT NULL DEFAULT 'GTB',       -- '' = no prefix
+  include_year BOOLEAN NOT NULL DEFAULT true, -- also restarts the count each year
+  padding INTEGER NOT NULL DEFAULT 4 CHECK (padding BETWEEN 1 AND 10),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO invoice_numbering (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+
+-- Last number handed out per series: the year, or 'all' without years
+CREATE TABLE IF NOT EXISTS invoice_counters (
+  series TEXT PRIMARY KEY,
+  last_seq INTEGER NOT NULL DEFAULT 0
+);
+
+-- Numbers are text now ("GTB-2026-0042"); invoice_seq keeps the bare count
+ALTER TABLE invoices ALTER COLUMN invoice_number DROP DEFAULT;
+ALTER TABLE invoices ALTER COLUMN invoice_number TYPE TEXT USING invoice_number::text;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS invoice_seq INTEGER;
+
+CREATE OR REPLACE FUNCTION next_invoice_number(issued_at TIMESTAMPTZ, OUT seq INTEGER, OUT number TEXT) AS $$
+DECLARE
+  fmt invoice_numbering%ROWTYPE;
+  yr TEXT := to_char(issued_at AT TIME ZONE 'UTC', 'YYYY');
+BEGIN
+  SELECT * INTO fmt FROM invoice_numbering WHERE id;
+
+  -- The upsert locks the series row until the calling transaction ends
+  INSERT INTO invoice_counters (series, last_seq)
+  VALUES (CASE WHEN fmt.include_year THEN yr ELSE 'all' END, 1)
+  ON CONFLICT (series) DO UPDATE SET last_seq = invoice_counters.last_seq + 1
+  RETURNING last_seq INTO seq;
+
+  number := concat_ws('-',
+    NULLIF(fmt.prefix, ''),
+    CASE WHEN fmt.include_year THEN yr END,
+    CASE WHEN length(seq::text) >= fmt.padding THEN seq::text ELSE lpad(seq::text, fmt.padding, '0') END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION assign_invoice_number() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.invoice_number IS NULL THEN
+    SELECT seq, number INTO NEW.invoice_seq, NEW.invoice_number
+    FROM next_invoice_number(COALESCE(NEW.created_at, NOW()));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoices_assign_number ON invoices;
+CREATE TRIGGER invoices_assign_number
+  BEFORE INSERT ON invoices
+  FOR EACH ROW EXECUTE FUNCTION assign_invoice_number();
+
+-- Number the invoices created before this, oldest first
+DO $$
+DECLARE
+  inv RECORD;
+BEGIN
+  FOR inv IN SELECT id, created_at FROM invoices WHERE invoice_number IS NULL ORDER BY created_at, id LOOP
+    UPDATE invoices SET (invoice_seq, invoice_number) = (
+      SELECT seq, number FROM next_invoice_number(inv.created_at)
+    ) WHERE id = inv.id;
+  END LOOP;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_invoice_number_idx ON invoices (invoice_number);
@@ -0,0 +1,16 @@
+-- Paid courses: enrolling creates an invoice, and the enrollment only counts
+-- once the invoice.paid webhook arrives
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS price INTEGER CHECK (price > 0);  -- cents; NULL = free
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS installments INTEGER NOT NULL DEFAULT 1
+  CHECK (installments BETWEEN 1 AND 12);  -- > 1 = monthly payment plan
+
+-- Existing enrollments were all free, so they're active
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active'
+  CHECK (status IN ('pending', 'active', 'expired'));
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;  -- pending only
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS recurring_invoice_id UUID REFERENCES recurring_invoices(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS enrollments_pending_idx ON enrollments (expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS enrollments_invoice_id_idx ON enrollments (invoice_id);
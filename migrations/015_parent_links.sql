@@ -0,0 +1,15 @@
+-- Parents/guardians linked to student accounts. A parent asks for a link;
+-- it only grants access once the student or an admin confirms it.
+
+CREATE TABLE IF NOT EXISTS parent_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  parent_id TEXT NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  student_id TEXT NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed')),
+  confirmed_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (parent_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS parent_links_student_id_idx ON parent_links (student_id);
@@ -0,0 +1,27 @@
+-- Invitations: an admin invites an email address with a role (and, for
+-- students, courses to enroll in). The emailed link is signed over the
+-- invitation's id, version and expiry; resending bumps the version so only
+-- the newest link works. Accepting creates or claims the account, approved.
+
+CREATE TABLE IF NOT EXISTS invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL,  -- lowercase
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'teacher', 'student', 'parent')),
+  first_name TEXT NOT NULL DEFAULT '',
+  last_name TEXT NOT NULL DEFAULT '',
+  course_ids TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+  version INTEGER NOT NULL DEFAULT 1,
+  expires_at TIMESTAMPTZ NOT NULL,
+  invited_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  sent_at TIMESTAMPTZ,
+  send_count INTEGER NOT NULL DEFAULT 0,
+  accepted_at TIMESTAMPTZ,
+  accepted_user_id TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One open invitation per address
+CREATE UNIQUE INDEX IF NOT EXISTS invitations_pending_email_idx ON invitations (email) WHERE status = 'pending';
@@ -0,0 +1,10 @@
+-- Deactivated users: instead of deleting the row (which cascades into
+-- enrollments, submissions, messages and billing), an account is marked
+-- deactivated and banned so it can't sign in. The retention job
+-- anonymizes it once it has been deactivated for USER_RETENTION_DAYS.
+
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS "deactivatedAt" TIMESTAMPTZ;
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS "deactivatedBy" TEXT;
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS "anonymizedAt" TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS user_deactivated_at_idx ON "user" ("deactivatedAt") WHERE "deactivatedAt" IS NOT NULL;
@@ -0,0 +1,7 @@
+-- When an event was last claimed for processing. A "processing" event whose
+-- claim is older than the timeout was dropped mid-handle (the function
+-- crashed or timed out) and is taken over by the next delivery or replay.
+
+ALTER TABLE stripe_events ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+UPDATE stripe_events SET claimed_at = received_at WHERE status = 'processing' AND claimed_at IS NULL;
@@ -0,0 +1,5 @@
+-- The part of a refund paid back outside Stripe (cash, check, ...), for
+-- invoices paid wholly or partly offline. The rest of amount went back to
+-- the customer's card through the credit note.
+
+ALTER TABLE invoice_refunds ADD COLUMN IF NOT EXISTS out_of_band_amount INTEGER NOT NULL DEFAULT 0;
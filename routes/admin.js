@@ -3,18 +3,42 @@ import supabase from "../database.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
 import { ROLES } from "../lib/auth.js";
 import { sendTeacherApprovedEmail } from "../lib/email.js";
+import { replayStripeEvent, staleClaimCutoff } from "../lib/stripe-events.js";
+import { reconcileInvoices } from "../lib/reconcile.js";
+import { buildRevenueReport } from "../lib/revenue.js";
+import { recordAudit, listAudit, auditToCsv } from "../lib/audit.js";
+import { runImport } from "../lib/user-import.js";
+import { deactivateUser, restoreUser } from "../lib/user-retention.js";
+import { addDays } from "../lib/recurring.js";
 
 const router = express.Router();
 
 // All admin routes require owner or admin role
 router.use(requireAuth, requireRole(ROLES.OWNER, ROLES.ADMIN));
 
+// What the audit log keeps of a user account
+const USER_AUDIT_FIELDS = ["id", "email", "name", "firstName", "lastName", "role", "isApproved", "deactivatedAt"];
+
+function auditUser(user) {
+  return user ? Object.fromEntries(USER_AUDIT_FIELDS.map((field) => [field, user[field] ?? null])) : null;
+}
+
+async function userSnapshot(id) {
+  const { data } = await supabase
+    .from("user")
+    .select(USER_AUDIT_FIELDS.join(", "))
+    .eq("id", id)
+    .single();
+  return data || null;
+}
+
 // GET /api/admin/stats — Platform statistics
 router.get("/stats", async (req, res) => {
   try {
     const { data: users } = await supabase
       .from("user")
-      .select("role, isApproved");
+      .select("role, isApproved")
+      .is("deactivatedAt", null);
     const { data: courses } = await supabase.from("courses").select("id");
 
     const stats = {
@@ -36,18 +60,70 @@ router.get("/stats", async (req, res) => {
   }
 });
 
-// GET /api/admin/users — List all users
+// GET /api/admin/revenue?from=YYYY-MM&to=YYYY-MM — Invoiced, collected and outstanding by month
+router.get("/revenue", async (req, res) => {
+  try {
+    const isMonth = (value) => /^\d{4}-\d{2}$/.test(value);
+    const now = new Date();
+    const to = isMonth(req.query.to) ? req.query.to : now.toISOString().slice(0, 7);
+    const from = isMonth(req.query.from)
+      ? req.query.from
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1)).toISOString().slice(0, 7);
+
+    if (from > to) return res.status(400).json({ error: "from must be before to" });
+
+    // Invoices created or paid in the range, plus every unpaid one for aging
+    const start = `${from}-01`;
+    const { data: invoices, error } = await supabase
+      .from("invoices")
+      .select("id, class_name, created_by, status, total, amount_paid, tax_amount, merchant_fee, application_fee, refunded_amount, created_at, paid_at")
+      .or(`created_at.gte.${start},paid_at.gte.${start},status.in.(sent,overdue,partially_paid)`);
+
+    if (error) throw error;
+
+    // Offline payments are counted in the month they were received
+    const { data: payments, error: paymentsError } = await supabase
+      .from("invoice_payments")
+      .select("invoice_id, amount, paid_on")
+      .in("invoice_id", (invoices || []).map((inv) => inv.id));
+
+    if (paymentsError) throw paymentsError;
+
+    const adminIds = [...new Set((invoices || []).map((inv) => inv.created_by).filter(Boolean))];
+    const adminNames = {};
+    if (adminIds.length) {
+      const { data: admins } = await supabase
+        .from("user")
+        .select("id, firstName, lastName, name, email")
+        .in("id", adminIds);
+      (admins || []).forEach((u) => {
+        adminNames[u.id] = [u.firstName, u.lastName].filter(Boolean).join(" ") || u.name || u.email;
+      });
+    }
+
+    res.json(buildRevenueReport(invoices || [], { from, to, payments: payments || [], adminNames }));
+  } catch (err) {
+    console.error("Revenue report error:", err);
+    res.status(500).json({ error: "Failed to load revenue" });
+  }
+});
+
+// GET /api/admin/users?role=&approved=&status=active|deactivated|all — List users
+// (active ones unless status says otherwise)
 router.get("/users", async (req, res) => {
   try {
     const { role, approved } = req.query;
+    const status = req.query.status || "active";
 
     let query = supabase
       .from("user")
       .select(
-        "id, firstName, lastName, name, email, role, isApproved, createdAt, image"
+        "id, firstName, lastName, name, email, role, isApproved, createdAt, image, deactivatedAt, anonymizedAt"
       )
       .order("createdAt", { ascending: false });
 
+    if (status === "active") query = query.is("deactivatedAt", null);
+    else if (status === "deactivated") query = query.not("deactivatedAt", "is", null);
     if (role) query = query.eq("role", role);
     if (approved !== undefined)
       query = query.eq("isApproved", approved === "true");
@@ -68,7 +144,7 @@ router.get("/users/:id", async (req, res) => {
     const { data: user, error } = await supabase
       .from("user")
       .select(
-        "id, firstName, lastName, name, email, role, isApproved, createdAt, image"
+        "id, firstName, lastName, name, email, role, isApproved, createdAt, image, deactivatedAt, anonymizedAt"
       )
       .eq("id", req.params.id)
       .single();
@@ -87,11 +163,7 @@ router.put("/users/:id", async (req, res) => {
     const { firstName, lastName, email, role } = req.body;
 
     // Get target user to check their role
-    const { data: targetUser } = await supabase
-      .from("user")
-      .select("role")
-      .eq("id", targetId)
-      .single();
+    const targetUser = await userSnapshot(targetId);
 
     if (!targetUser) return res.status(404).json({ error: "User not found" });
 
@@ -144,6 +216,7 @@ router.put("/users/:id", async (req, res) => {
       .single();
 
     if (error) throw error;
+    await recordAudit(req, { action: "user.update", targetType: "user", targetId, before: targetUser, after: auditUser(data) });
     res.json({ success: true, user: data });
   } catch (err) {
     console.error("Edit user error:", err);
@@ -151,7 +224,7 @@ router.put("/users/:id", async (req, res) => {
   }
 });
 
-// DELETE /api/admin/users/:id — Delete user
+// DELETE /api/admin/users/:id — Deactivate user: they can't sign in, their records stay
 router.delete("/users/:id", async (req, res) => {
   try {
     const targetId = req.params.id;
@@ -159,19 +232,15 @@ router.delete("/users/:id", async (req, res) => {
     if (targetId === req.user.id) {
       return res
         .status(400)
-        .json({ error: "Cannot delete your own account" });
+        .json({ error: "Cannot deactivate your own account" });
     }
 
     // Get target user
-    const { data: targetUser } = await supabase
-      .from("user")
-      .select("role")
-      .eq("id", targetId)
-      .single();
+    const targetUser = await userSnapshot(targetId);
 
     if (!targetUser) return res.status(404).json({ error: "User not found" });
 
-    // Admins cannot delete owners or other admins
+    // Admins cannot deactivate owners or other admins
     if (req.user.role === ROLES.ADMIN) {
       if (
         targetUser.role === ROLES.OWNER ||
@@ -179,23 +248,44 @@ router.delete("/users/:id", async (req, res) => {
       ) {
         return res
           .status(403)
-          .json({ error: "Only owners can delete admin/owner accounts" });
+          .json({ error: "Only owners can deactivate admin/owner accounts" });
       }
     }
 
-    const { error } = await supabase.from("user").delete().eq("id", targetId);
+    const user = await deactivateUser(targetId, req.user);
+    if (!user) return res.status(400).json({ error: "User is already deactivated" });
 
-    if (error) throw error;
-    res.json({ success: true });
+    await recordAudit(req, { action: "user.deactivate", targetType: "user", targetId, before: targetUser, after: auditUser(user) });
+    res.json({ success: true, user: auditUser(user) });
   } catch (err) {
-    console.error("Delete user error:", err);
-    res.status(500).json({ error: "Failed to delete user" });
+    console.error("Deactivate user error:", err);
+    res.status(500).json({ error: "Failed to deactivate user" });
   }
 });
 
+// POST /api/admin/users/:id/restore — Reactivate a deactivated user (owner only)
+router.post(
+  "/users/:id/restore",
+  requireRole(ROLES.OWNER),
+  async (req, res) => {
+    try {
+      const before = await userSnapshot(req.params.id);
+      const result = await restoreUser(req.params.id);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+
+      await recordAudit(req, { action: "user.restore", targetType: "user", targetId: req.params.id, before, after: auditUser(result.user) });
+      res.json({ success: true, user: auditUser(result.user) });
+    } catch (err) {
+      console.error("Restore user error:", err);
+      res.status(500).json({ error: "Failed to restore user" });
+    }
+  }
+);
+
 // POST /api/admin/users/:id/approve — Approve teacher
 router.post("/users/:id/approve", async (req, res) => {
   try {
+    const before = await userSnapshot(req.params.id);
     const { data, error } = await supabase
       .from("user")
       .update({ isApproved: true })
@@ -205,6 +295,7 @@ router.post("/users/:id/approve", async (req, res) => {
       .single();
 
     if (error) throw error;
+    if (data) await recordAudit(req, { action: "teacher.approve", targetType: "user", targetId: data.id, before, after: auditUser(data) });
 
     // Notify the teacher they've been approved
     if (data) {
@@ -224,6 +315,7 @@ router.post("/users/:id/approve", async (req, res) => {
 // POST /api/admin/users/:id/reject — Reject/unapprove teacher
 router.post("/users/:id/reject", async (req, res) => {
   try {
+    const before = await userSnapshot(req.params.id);
     const { data, error } = await supabase
       .from("user")
       .update({ isApproved: false })
@@ -233,6 +325,7 @@ router.post("/users/:id/reject", async (req, res) => {
       .single();
 
     if (error) throw error;
+    if (data) await recordAudit(req, { action: "teacher.reject", targetType: "user", targetId: data.id, before, after: auditUser(data) });
     res.json({ success: true, user: data });
   } catch (err) {
     console.error("Reject error:", err);
@@ -246,6 +339,7 @@ router.post(
   requireRole(ROLES.OWNER),
   async (req, res) => {
     try {
+      const before = await userSnapshot(req.params.id);
       const { data, error } = await supabase
         .from("user")
         .update({ role: ROLES.ADMIN, isApproved: true })
@@ -254,6 +348,7 @@ router.post(
         .single();
 
       if (error) throw error;
+      await recordAudit(req, { action: "admin.promote", targetType: "user", targetId: data.id, before, after: auditUser(data) });
       res.json({ success: true, user: data });
     } catch (err) {
       console.error("Promote admin error:", err);
@@ -276,6 +371,7 @@ router.post(
           .json({ error: "Cannot demote yourself" });
       }
 
+      const before = await userSnapshot(targetId);
       const { data, error } = await supabase
         .from("user")
         .update({ role: ROLES.TEACHER })
@@ -285,6 +381,7 @@ router.post(
         .single();
 
       if (error) throw error;
+      await recordAudit(req, { action: "admin.demote", targetType: "user", targetId, before, after: auditUser(data) });
       res.json({ success: true, user: data });
     } catch (err) {
       console.error("Demote admin error:", err);
@@ -301,6 +398,7 @@ router.get("/pending-teachers", async (req, res) => {
       .select("id, firstName, lastName, name, email, createdAt")
       .eq("role", ROLES.TEACHER)
       .eq("isApproved", false)
+      .is("deactivatedAt", null)
       .order("createdAt", { ascending: false });
 
     if (error) throw error;
@@ -333,7 +431,8 @@ router.get("/courses", async (req, res) => {
       const { data: enrollments } = await supabase
         .from("enrollments")
         .select("id")
-        .eq("course_id", course.id);
+        .eq("course_id", course.id)
+        .eq("status", "active");
       course.enrollment_count = enrollments ? enrollments.length : 0;
     }
 
@@ -344,4 +443,142 @@ router.get("/courses", async (req, res) => {
   }
 });
 
+// GET /api/admin/webhook-events — Logged Stripe events (failed and stuck by default)
+router.get("/webhook-events", async (req, res) => {
+  try {
+    const status = req.query.status || "failed";
+
+    let query = supabase
+      .from("stripe_events")
+      .select("id, type, account, status, error, attempts, received_at, claimed_at, processed_at")
+      .order("received_at", { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+
+    // "failed" also lists events left in "processing" past the claim timeout
+    if (status === "failed") {
+      query = query.or(`status.eq.failed,and(status.eq.processing,claimed_at.lt.${staleClaimCutoff()})`);
+    } else if (status !== "all") query = query.eq("status", status);
+    if (req.query.type) query = query.eq("type", req.query.type);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (err) {
+    console.error("Webhook events error:", err);
+    res.status(500).json({ error: "Failed to load webhook events" });
+  }
+});
+
+// POST /api/admin/webhook-events/:id/replay — Re-run a failed or stuck event
+router.post("/webhook-events/:id/replay", async (req, res) => {
+  try {
+    const result = await replayStripeEvent(req.params.id);
+    if (!result) return res.status(404).json({ error: "Event not found" });
+    if (result.inProgress) {
+      return res.status(409).json({ error: "Event is still being processed", event: result.event });
+    }
+    if (!result.replayed) {
+      return res.status(400).json({ error: "Event was already processed", event: result.event });
+    }
+    await recordAudit(req, {
+      action: "stripe_event.replay",
+      targetType: "stripe_event",
+      targetId: req.params.id,
+      after: { type: result.event.type, status: result.event.status, error: result.event.error || null },
+    });
+    res.json({ success: result.event.status === "processed", event: result.event });
+  } catch (err) {
+    console.error("Replay webhook event error:", err);
+    res.status(500).json({ error: "Failed to replay event" });
+  }
+});
+
+// POST /api/admin/reconcile — Sync open invoices with Stripe
+// Pass { "dry_run": true } (or ?dry_run=true) to only report differences
+router.post("/reconcile", async (req, res) => {
+  try {
+    const dryRun = req.body.dry_run === true || req.query.dry_run === "true";
+    const result = await reconcileInvoices({ dryRun });
+    if (!dryRun) await recordAudit(req, { action: "invoice.reconcile", targetType: "invoice", after: result });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Reconcile error:", err);
+    res.status(500).json({ error: "Reconciliation failed", details: err.message });
+  }
+});
+
+// POST /api/admin/import — Bulk import users and enrollments from CSV
+// { csv, dry_run, send_invites } — columns: name (or first_name, last_name), email,
+// phone, role, courses (ids or names separated by ";"). A dry run only reports
+// what each row would do.
+router.post("/import", async (req, res) => {
+  try {
+    if (!req.body.csv) return res.status(400).json({ error: "csv is required" });
+
+    const dryRun = req.body.dry_run === true || req.body.dry_run === "true";
+    const result = await runImport(String(req.body.csv), req.user, {
+      dryRun,
+      sendInvites: req.body.send_invites === true || req.body.send_invites === "true",
+      onApplied: (row, applied) => recordAudit(req, {
+        action: row.action === "create" ? "user.create" : "user.update",
+        targetType: "user",
+        targetId: applied.user.id,
+        before: applied.before,
+        after: row.action === "create"
+          ? { email: row.email, name: row.name, role: row.role, course_ids: row.courses.map((c) => c.id) }
+          : { ...row.changes, course_ids: row.courses.map((c) => c.id) },
+      }),
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    if (!dryRun) await recordAudit(req, { action: "user.import", targetType: "user", after: result.summary });
+    res.json(result);
+  } catch (err) {
+    console.error("Import users error:", err);
+    res.status(500).json({ error: "Import failed", details: err.message });
+  }
+});
+
+// GET /api/admin/audit — The audit log (owner only), newest first
+// ?actor=<id or email>&action=<action or prefix.>&target_type=&target_id=&from=YYYY-MM-DD&to=YYYY-MM-DD
+// &limit=&offset=, or ?format=csv for every matching entry
+router.get("/audit", requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const isDate = (value) => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDate(req.query.from) || !isDate(req.query.to)) {
+      return res.status(400).json({ error: "Dates must be YYYY-MM-DD" });
+    }
+
+    const filters = {
+      actor: req.query.actor ? String(req.query.actor).trim() : undefined,
+      action: req.query.action ? String(req.query.action).trim() : undefined,
+      target_type: req.query.target_type,
+      target_id: req.query.target_id,
+      from: req.query.from,
+      to: req.query.to ? addDays(req.query.to, 1) : undefined,
+    };
+
+    if (req.query.format === "csv") {
+      // Page through everything that matches; the API returns 1000 rows at most
+      const entries = [];
+      for (let offset = 0; ; offset += 1000) {
+        const page = await listAudit({ ...filters, offset, limit: 1000 });
+        entries.push(...page);
+        if (page.length < 1000) break;
+      }
+      const filename = `audit-${req.query.from || "all"}-to-${req.query.to || new Date().toISOString().split("T")[0]}.csv`;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.send(auditToCsv(entries));
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    res.json(await listAudit({ ...filters, offset, limit }));
+  } catch (err) {
+    console.error("Audit log error:", err);
+    res.status(500).json({ error: "Failed to load audit log" });
+  }
+});
+
 export default router;
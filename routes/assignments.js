@@ -5,6 +5,8 @@ import {
   requireRole,
   requireApproved,
 } from "../middleware/auth.js";
+import { childIds, childrenInScope } from "../lib/parents.js";
+import { recordAudit } from "../lib/audit.js";
 
 const router = express.Router();
 
@@ -27,17 +29,38 @@ async function verifyEnrolled(courseId, studentId) {
     .select("id")
     .eq("course_id", courseId)
     .eq("student_id", studentId)
+    .eq("status", "active")
     .single();
   return !!enrollment;
 }
 
-// GET /api/assignments/my-submissions — Student sees all their graded work
-router.get("/my-submissions", requireRole("student"), async (req, res) => {
+// Helper: verify one of a parent's children is enrolled
+async function verifyChildEnrolled(courseId, parentId) {
+  const { data: enrollments } = await supabase
+    .from("enrollments")
+    .select("id")
+    .eq("course_id", courseId)
+    .in("student_id", await childIds(parentId))
+    .eq("status", "active")
+    .limit(1);
+  return !!enrollments?.length;
+}
+
+// GET /api/assignments/my-submissions — Student sees all their graded work;
+// a parent sees their children's (?student_id= for one child)
+router.get("/my-submissions", requireRole("student", "parent"), async (req, res) => {
   try {
+    let studentIds = [req.user.id];
+    if (req.user.role === "parent") {
+      studentIds = await childrenInScope(req.user, req.query.student_id);
+      if (!studentIds) return res.status(403).json({ error: "Not your child" });
+      if (studentIds.length === 0) return res.json([]);
+    }
+
     const { data: submissions, error } = await supabase
       .from("submissions")
       .select("*")
-      .eq("student_id", req.user.id)
+      .in("student_id", studentIds)
       .order("submitted_at", { ascending: false });
 
     if (error) throw error;
@@ -142,6 +165,12 @@ router.get("/course/:courseId", async (req, res) => {
       const owns = await verifyTeacherOwns(req.params.courseId, id);
       if (!owns)
         return res.status(403).json({ error: "Not your course" });
+    } else if (role === "parent") {
+      const enrolled = await verifyChildEnrolled(req.params.courseId, id);
+      if (!enrolled)
+        return res
+          .status(403)
+          .json({ error: "None of your children are enrolled in this course" });
     }
 
     const { data: assignments, error } = await supabase
@@ -484,7 +513,7 @@ router.put(
 
       const { data: submission } = await supabase
         .from("submissions")
-        .select("assignment_id")
+        .select("assignment_id, grade, feedback")
         .eq("id", req.params.id)
         .single();
 
@@ -518,6 +547,13 @@ router.put(
         .single();
 
       if (error) throw error;
+      await recordAudit(req, {
+        action: submission.grade === null ? "submission.grade" : "submission.regrade",
+        targetType: "submission",
+        targetId: data.id,
+        before: { grade: submission.grade, feedback: submission.feedback },
+        after: { grade: data.grade, feedback: data.feedback },
+      });
       res.json({ success: true, submission: data });
     } catch (err) {
       console.error("Grade error:", err);
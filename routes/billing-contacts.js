@@ -0,0 +1,183 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+import { normalizeEmail, studentsByContact, getBillingContact } from "../lib/billing-contacts.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole(ROLES.OWNER, ROLES.ADMIN));
+
+// Contact fields shared by create and update
+function contactFields(body) {
+  const fields = {};
+  if (body.email !== undefined) fields.email = normalizeEmail(body.email);
+  if (body.name !== undefined) fields.name = String(body.name || "").trim();
+  if (body.phone !== undefined) fields.phone = String(body.phone || "").trim();
+  if (body.active !== undefined) fields.active = !!body.active;
+  return fields;
+}
+
+function validateContact(fields) {
+  if (fields.email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email))
+    return "A valid email is required";
+  return null;
+}
+
+// Student accounts for some emails, keyed by the email as stored on the account
+async function findStudents(emails) {
+  const wanted = emails.map((email) => String(email || "").trim()).filter(Boolean);
+  if (wanted.length === 0) return { found: [], missing: [] };
+
+  const { data, error } = await supabase
+    .from("user")
+    .select("email, role")
+    .in("email", wanted)
+    .eq("role", ROLES.STUDENT);
+  if (error) throw error;
+
+  const found = (data || []).map((u) => u.email);
+  return { found, missing: wanted.filter((email) => !found.includes(email)) };
+}
+
+// GET /api/billing-contacts — Active payers with their students (?all=true includes inactive)
+router.get("/", async (req, res) => {
+  try {
+    let query = supabase
+      .from("billing_contacts")
+      .select("*")
+      .order("name", { ascending: true });
+    if (req.query.all !== "true") query = query.eq("active", true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const students = await studentsByContact((data || []).map((c) => c.id));
+    res.json((data || []).map((c) => ({ ...c, students: students[c.id] })));
+  } catch (err) {
+    console.error("List billing contacts error:", err);
+    res.status(500).json({ error: "Failed to load billing contacts" });
+  }
+});
+
+// POST /api/billing-contacts — Add a payer, optionally with student_emails to link
+router.post("/", async (req, res) => {
+  try {
+    const fields = contactFields(req.body);
+    const invalid = !fields.email ? "Email is required" : validateContact(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const studentEmails = Array.isArray(req.body.student_emails) ? req.body.student_emails : [];
+    const { found, missing } = await findStudents(studentEmails);
+    if (missing.length) {
+      return res.status(400).json({ error: `No student account for: ${missing.join(", ")}` });
+    }
+
+    const { data: contact, error } = await supabase
+      .from("billing_contacts")
+      .insert({ ...fields, created_by: req.user.id })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return res.status(400).json({ error: "A billing contact with that email already exists" });
+      throw error;
+    }
+
+    if (found.length) {
+      const { error: linkError } = await supabase
+        .from("billing_contact_students")
+        .insert(found.map((email) => ({ billing_contact_id: contact.id, student_email: email })));
+      if (linkError) throw linkError;
+    }
+
+    res.json({ success: true, billing_contact: await getBillingContact(contact.id) });
+  } catch (err) {
+    console.error("Create billing contact error:", err);
+    res.status(500).json({ error: "Failed to create billing contact", details: err.message });
+  }
+});
+
+// PUT /api/billing-contacts/:id — Update a payer (existing invoices keep their address)
+router.put("/:id", async (req, res) => {
+  try {
+    const fields = contactFields(req.body);
+    const invalid = validateContact(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data, error } = await supabase
+      .from("billing_contacts")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .select()
+      .single();
+
+    if (error && error.code === "23505")
+      return res.status(400).json({ error: "A billing contact with that email already exists" });
+    if (error || !data) return res.status(404).json({ error: "Billing contact not found" });
+
+    res.json({ success: true, billing_contact: await getBillingContact(data.id) });
+  } catch (err) {
+    console.error("Update billing contact error:", err);
+    res.status(500).json({ error: "Failed to update billing contact" });
+  }
+});
+
+// POST /api/billing-contacts/:id/students — Link a student account by email
+router.post("/:id/students", async (req, res) => {
+  try {
+    const contact = await getBillingContact(req.params.id);
+    if (!contact) return res.status(404).json({ error: "Billing contact not found" });
+
+    const { found } = await findStudents([req.body.student_email]);
+    if (!found.length) return res.status(400).json({ error: "No student account with that email" });
+
+    const { error } = await supabase
+      .from("billing_contact_students")
+      .upsert(
+        { billing_contact_id: contact.id, student_email: found[0] },
+        { onConflict: "billing_contact_id,student_email", ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+    res.json({ success: true, billing_contact: await getBillingContact(contact.id) });
+  } catch (err) {
+    console.error("Link student error:", err);
+    res.status(500).json({ error: "Failed to link student" });
+  }
+});
+
+// DELETE /api/billing-contacts/:id/students/:email — Unlink a student
+router.delete("/:id/students/:email", async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("billing_contact_students")
+      .delete()
+      .eq("billing_contact_id", req.params.id)
+      .eq("student_email", req.params.email);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Unlink student error:", err);
+    res.status(500).json({ error: "Failed to unlink student" });
+  }
+});
+
+// DELETE /api/billing-contacts/:id — Deactivate a payer (kept for existing invoices)
+router.delete("/:id", async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("billing_contacts")
+      .update({ active: false, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Deactivate billing contact error:", err);
+    res.status(500).json({ error: "Failed to deactivate billing contact" });
+  }
+});
+
+export default router;
@@ -5,12 +5,31 @@ import {
   requireRole,
   requireApproved,
 } from "../middleware/auth.js";
+import { startPaidEnrollment, voidEnrollmentInvoice, endPaymentPlan } from "../lib/enrollments.js";
+import { childIds, childrenInScope } from "../lib/parents.js";
 
 const router = express.Router();
 
 // All routes require auth
 router.use(requireAuth);
 
+// price (dollars; blank = free) and installments (monthly payments) from a
+// create/update body, as columns
+function priceFields(body) {
+  const fields = {};
+  if (body.price !== undefined) {
+    const price = body.price === null || body.price === "" ? null : Math.round(parseFloat(body.price) * 100);
+    if (price !== null && !(price > 0)) return { error: "Price must be a positive amount, or blank for a free course" };
+    fields.price = price;
+  }
+  if (body.installments !== undefined) {
+    const installments = body.installments === null || body.installments === "" ? 1 : parseInt(body.installments, 10);
+    if (!(installments >= 1 && installments <= 12)) return { error: "Installments must be between 1 and 12" };
+    fields.installments = installments;
+  }
+  return { fields };
+}
+
 // GET /api/courses — List courses (role-aware)
 router.get("/", async (req, res) => {
   try {
@@ -21,7 +40,8 @@ router.get("/", async (req, res) => {
       const { data: enrollments, error } = await supabase
         .from("enrollments")
         .select("course_id, enrolled_at")
-        .eq("student_id", id);
+        .eq("student_id", id)
+        .eq("status", "active");
 
       if (error) throw error;
       if (!enrollments || enrollments.length === 0) return res.json([]);
@@ -50,6 +70,42 @@ router.get("/", async (req, res) => {
         course.assignment_count = assignments ? assignments.length : 0;
       }
 
+      return res.json(courses);
+    } else if (role === "parent") {
+      // Parents see their children's courses (?student_id= for one child)
+      const studentIds = await childrenInScope(req.user, req.query.student_id);
+      if (!studentIds) return res.status(403).json({ error: "Not your child" });
+      if (studentIds.length === 0) return res.json([]);
+
+      const { data: enrollments, error } = await supabase
+        .from("enrollments")
+        .select("course_id, student_id")
+        .in("student_id", studentIds)
+        .eq("status", "active");
+
+      if (error) throw error;
+      if (!enrollments || enrollments.length === 0) return res.json([]);
+
+      const { data: courses, error: err2 } = await supabase
+        .from("courses")
+        .select("*")
+        .in("id", [...new Set(enrollments.map((e) => e.course_id))])
+        .eq("is_active", true);
+
+      if (err2) throw err2;
+
+      for (const course of courses) {
+        const { data: teacher } = await supabase
+          .from("user")
+          .select("firstName, lastName, name")
+          .eq("id", course.teacher_id)
+          .single();
+        course.teacher = teacher;
+        course.student_ids = enrollments
+          .filter((e) => e.course_id === course.id)
+          .map((e) => e.student_id);
+      }
+
       return res.json(courses);
     } else if (role === "teacher") {
       // Teachers see their own courses
@@ -65,7 +121,8 @@ router.get("/", async (req, res) => {
         const { data: enrollments } = await supabase
           .from("enrollments")
           .select("id")
-          .eq("course_id", course.id);
+          .eq("course_id", course.id)
+          .eq("status", "active");
         course.enrollment_count = enrollments ? enrollments.length : 0;
 
         const { data: assignments } = await supabase
@@ -96,7 +153,8 @@ router.get("/", async (req, res) => {
         const { data: enrollments } = await supabase
           .from("enrollments")
           .select("id")
-          .eq("course_id", course.id);
+          .eq("course_id", course.id)
+          .eq("status", "active");
         course.enrollment_count = enrollments ? enrollments.length : 0;
       }
 
@@ -121,10 +179,10 @@ router.get("/available", requireRole("student"), async (req, res) => {
 
     const { data: enrollments } = await supabase
       .from("enrollments")
-      .select("course_id")
+      .select("course_id, status")
       .eq("student_id", req.user.id);
 
-    const enrolledIds = new Set((enrollments || []).map((e) => e.course_id));
+    const statusByCourse = new Map((enrollments || []).map((e) => [e.course_id, e.status]));
 
     for (const course of courses) {
       const { data: teacher } = await supabase
@@ -133,12 +191,14 @@ router.get("/available", requireRole("student"), async (req, res) => {
         .eq("id", course.teacher_id)
         .single();
       course.teacher = teacher;
-      course.is_enrolled = enrolledIds.has(course.id);
+      course.is_enrolled = statusByCourse.get(course.id) === "active";
+      course.enrollment_status = statusByCourse.get(course.id) || null;
 
       const { data: enroll } = await supabase
         .from("enrollments")
         .select("id")
-        .eq("course_id", course.id);
+        .eq("course_id", course.id)
+        .eq("status", "active");
       course.enrollment_count = enroll ? enroll.length : 0;
     }
 
@@ -161,6 +221,18 @@ router.get("/:id", async (req, res) => {
     if (error || !course)
       return res.status(404).json({ error: "Course not found" });
 
+    if (req.user.role === "parent") {
+      const { data: childEnrollments } = await supabase
+        .from("enrollments")
+        .select("id")
+        .eq("course_id", course.id)
+        .in("student_id", await childIds(req.user.id))
+        .eq("status", "active");
+      if (!childEnrollments || childEnrollments.length === 0) {
+        return res.status(403).json({ error: "None of your children are enrolled in this course" });
+      }
+    }
+
     const { data: teacher } = await supabase
       .from("user")
       .select("firstName, lastName, name, email")
@@ -178,17 +250,19 @@ router.get("/:id", async (req, res) => {
     const { data: enrollments } = await supabase
       .from("enrollments")
       .select("id")
-      .eq("course_id", course.id);
+      .eq("course_id", course.id)
+      .eq("status", "active");
     course.enrollment_count = enrollments ? enrollments.length : 0;
 
     if (req.user.role === "student") {
       const { data: enrollment } = await supabase
         .from("enrollments")
-        .select("id")
+        .select("id, status")
         .eq("student_id", req.user.id)
         .eq("course_id", course.id)
         .single();
-      course.is_enrolled = !!enrollment;
+      course.is_enrolled = enrollment?.status === "active";
+      course.enrollment_status = enrollment?.status || null;
 
       if (course.assignments.length > 0) {
         const assignmentIds = course.assignments.map((a) => a.id);
@@ -227,6 +301,9 @@ router.post(
       if (!name)
         return res.status(400).json({ error: "Course name is required" });
 
+      const pricing = priceFields(req.body);
+      if (pricing.error) return res.status(400).json({ error: pricing.error });
+
       const { data: course, error } = await supabase
         .from("courses")
         .insert({
@@ -234,6 +311,7 @@ router.post(
           name,
           description: description || "",
           subject: subject || "",
+          ...pricing.fields,
         })
         .select()
         .single();
@@ -271,6 +349,10 @@ router.put(
       if (subject !== undefined) updates.subject = subject;
       if (is_active !== undefined) updates.is_active = is_active;
 
+      const pricing = priceFields(req.body);
+      if (pricing.error) return res.status(400).json({ error: pricing.error });
+      Object.assign(updates, pricing.fields);
+
       const { data, error } = await supabase
         .from("courses")
         .update(updates)
@@ -318,9 +400,25 @@ router.delete(
   }
 );
 
-// POST /api/courses/:id/enroll — Student enrolls
+// POST /api/courses/:id/enroll — Student enrolls. Paid courses answer with a
+// pending enrollment and pay_url; it becomes active when the payment clears.
 router.post("/:id/enroll", requireRole("student"), async (req, res) => {
   try {
+    const { data: course } = await supabase
+      .from("courses")
+      .select("*")
+      .eq("id", req.params.id)
+      .eq("is_active", true)
+      .single();
+
+    if (!course) return res.status(404).json({ error: "Course not found" });
+
+    if (course.price) {
+      const result = await startPaidEnrollment(course, req.user);
+      if (result.error) return res.status(400).json({ error: result.error });
+      return res.json({ success: true, pending: true, ...result });
+    }
+
     const { data, error } = await supabase
       .from("enrollments")
       .insert({
@@ -342,20 +440,26 @@ router.post("/:id/enroll", requireRole("student"), async (req, res) => {
     res.json({ success: true, enrollment: data });
   } catch (err) {
     console.error("Enroll error:", err);
-    res.status(500).json({ error: "Failed to enroll" });
+    res.status(500).json({ error: "Failed to enroll", details: err.message });
   }
 });
 
-// DELETE /api/courses/:id/unenroll — Student unenrolls
+// DELETE /api/courses/:id/unenroll — Student unenrolls (a pending enrollment's invoice is
+// voided; a payment plan stops billing)
 router.delete("/:id/unenroll", requireRole("student"), async (req, res) => {
   try {
-    const { error } = await supabase
+    const { data: removed, error } = await supabase
       .from("enrollments")
       .delete()
       .eq("student_id", req.user.id)
-      .eq("course_id", req.params.id);
+      .eq("course_id", req.params.id)
+      .select();
 
     if (error) throw error;
+    for (const enrollment of removed || []) {
+      if (enrollment.status === "pending") await voidEnrollmentInvoice(enrollment);
+      await endPaymentPlan(enrollment);
+    }
     res.json({ success: true });
   } catch (err) {
     console.error("Unenroll error:", err);
@@ -383,7 +487,8 @@ router.get(
       const { data: enrollments, error } = await supabase
         .from("enrollments")
         .select("student_id, enrolled_at")
-        .eq("course_id", req.params.id);
+        .eq("course_id", req.params.id)
+        .eq("status", "active");
 
       if (error) throw error;
       if (!enrollments || enrollments.length === 0) return res.json([]);
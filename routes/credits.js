@@ -0,0 +1,180 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+import {
+  roundHours,
+  getLedger,
+  getCreditBalance,
+  addLedgerEntry,
+  expiredHours,
+  expireCredit,
+  transferCredit,
+} from "../lib/credits.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function summarize(email, ledger) {
+  return {
+    student_email: email,
+    balance: roundHours(ledger.reduce((sum, row) => sum + parseFloat(row.hours), 0)),
+    expired_unused: expiredHours(ledger),
+    ledger,
+  };
+}
+
+function parseHours(value) {
+  const hours = roundHours(parseFloat(value));
+  return isNaN(hours) ? null : hours;
+}
+
+// GET /api/credits/my — Student's own balance and history
+router.get("/my", async (req, res) => {
+  try {
+    res.json(summarize(req.user.email, await getLedger(req.user.email)));
+  } catch (err) {
+    console.error("My credits error:", err);
+    res.status(500).json({ error: "Failed to load credits" });
+  }
+});
+
+router.use(requireRole(ROLES.OWNER, ROLES.ADMIN));
+
+// GET /api/credits — Balances for every student with ledger history
+router.get("/", async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("credit_ledger")
+      .select("student_email, hours, created_at");
+
+    if (error) throw error;
+
+    const balances = {};
+    (data || []).forEach((row) => {
+      const b = balances[row.student_email] || { student_email: row.student_email, balance: 0, last_activity: null };
+      b.balance = roundHours(b.balance + parseFloat(row.hours));
+      if (!b.last_activity || row.created_at > b.last_activity) b.last_activity = row.created_at;
+      balances[row.student_email] = b;
+    });
+
+    res.json(Object.values(balances).sort((a, b) => b.balance - a.balance));
+  } catch (err) {
+    console.error("List credits error:", err);
+    res.status(500).json({ error: "Failed to load credits" });
+  }
+});
+
+// GET /api/credits/:email — Balance and ledger for one student
+router.get("/:email", async (req, res) => {
+  try {
+    res.json(summarize(req.params.email, await getLedger(req.params.email)));
+  } catch (err) {
+    console.error("Get credits error:", err);
+    res.status(500).json({ error: "Failed to load credits" });
+  }
+});
+
+// POST /api/credits/:email/adjust — Add (positive) or remove (negative) hours
+router.post("/:email/adjust", async (req, res) => {
+  try {
+    const hours = parseHours(req.body.hours);
+    if (!hours) return res.status(400).json({ error: "Hours must be a non-zero number" });
+    if (!req.body.memo) return res.status(400).json({ error: "A reason is required for adjustments" });
+
+    const balance = await getCreditBalance(req.params.email);
+    if (balance + hours < 0) {
+      return res.status(400).json({ error: `Only ${balance} hours available` });
+    }
+
+    const entry = await addLedgerEntry({
+      email: req.params.email,
+      hours,
+      entryType: "adjustment",
+      memo: req.body.memo,
+      createdBy: req.user.id,
+    });
+    res.json({ success: true, entry, balance: roundHours(balance + hours) });
+  } catch (err) {
+    console.error("Adjust credits error:", err);
+    res.status(500).json({ error: "Failed to adjust credits" });
+  }
+});
+
+// POST /api/credits/:email/use — Draw down hours for a session taught outside an invoice
+router.post("/:email/use", async (req, res) => {
+  try {
+    const hours = parseHours(req.body.hours);
+    if (!(hours > 0)) return res.status(400).json({ error: "Hours must be greater than zero" });
+
+    const balance = await getCreditBalance(req.params.email);
+    if (hours > balance) {
+      return res.status(400).json({ error: `Only ${balance} hours available` });
+    }
+
+    const entry = await addLedgerEntry({
+      email: req.params.email,
+      hours: -hours,
+      entryType: "usage",
+      memo: req.body.memo || "Lesson",
+      createdBy: req.user.id,
+    });
+    res.json({ success: true, entry, balance: roundHours(balance - hours) });
+  } catch (err) {
+    console.error("Use credits error:", err);
+    res.status(500).json({ error: "Failed to use credits" });
+  }
+});
+
+// POST /api/credits/:email/expire — Expire hours (default: whatever is past its expiry)
+router.post("/:email/expire", async (req, res) => {
+  try {
+    const hours = req.body.hours !== undefined ? parseHours(req.body.hours) : null;
+    if (hours !== null && !(hours > 0)) {
+      return res.status(400).json({ error: "Hours must be greater than zero" });
+    }
+
+    const entry = await expireCredit(req.params.email, {
+      hours,
+      memo: req.body.memo,
+      createdBy: req.user.id,
+    });
+    if (!entry) return res.status(400).json({ error: "No credit to expire" });
+
+    res.json({ success: true, entry, balance: await getCreditBalance(req.params.email) });
+  } catch (err) {
+    console.error("Expire credits error:", err);
+    res.status(500).json({ error: "Failed to expire credits" });
+  }
+});
+
+// POST /api/credits/:email/transfer — Move hours to another student
+router.post("/:email/transfer", async (req, res) => {
+  try {
+    const hours = parseHours(req.body.hours);
+    const toEmail = req.body.to_email;
+    if (!(hours > 0) || !toEmail) {
+      return res.status(400).json({ error: "Recipient and hours are required" });
+    }
+    if (toEmail === req.params.email) {
+      return res.status(400).json({ error: "Cannot transfer credit to the same student" });
+    }
+
+    const balance = await getCreditBalance(req.params.email);
+    if (hours > balance) {
+      return res.status(400).json({ error: `Only ${balance} hours available` });
+    }
+
+    const result = await transferCredit(req.params.email, toEmail, hours, {
+      memo: req.body.memo,
+      createdBy: req.user.id,
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Transfer credits error:", err);
+    res.status(500).json({ error: "Failed to transfer credits" });
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from "express";
+import { requireCronSecret } from "../middleware/auth.js";
+import { runDueRecurringInvoices } from "../lib/recurring.js";
+import { markOverdueInvoices, sendDueReminders } from "../lib/reminders.js";
+import { expirePendingEnrollments } from "../lib/enrollments.js";
+import { anonymizeDeactivatedUsers } from "../lib/user-retention.js";
+
+const router = express.Router();
+
+// Scheduled jobs — triggered by Vercel Cron (see vercel.json)
+router.use(requireCronSecret);
+
+// GET /api/cron/recurring-invoices — Generate invoices for due schedules
+router.get("/recurring-invoices", async (req, res) => {
+  try {
+    const result = await runDueRecurringInvoices();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Recurring invoices cron error:", err);
+    res.status(500).json({ error: "Recurring invoice run failed" });
+  }
+});
+
+// GET /api/cron/invoice-reminders — Flag overdue invoices and send payment reminders
+router.get("/invoice-reminders", async (req, res) => {
+  try {
+    const overdue = await markOverdueInvoices();
+    const reminders = await sendDueReminders();
+    res.json({ success: true, overdue: overdue.length, ...reminders });
+  } catch (err) {
+    console.error("Invoice reminders cron error:", err);
+    res.status(500).json({ error: "Invoice reminder run failed" });
+  }
+});
+
+// GET /api/cron/expire-enrollments — Drop paid-course enrollments nobody paid for in time
+router.get("/expire-enrollments", async (req, res) => {
+  try {
+    const expired = await expirePendingEnrollments();
+    res.json({ success: true, expired: expired.length });
+  } catch (err) {
+    console.error("Expire enrollments cron error:", err);
+    res.status(500).json({ error: "Enrollment expiry run failed" });
+  }
+});
+
+// GET /api/cron/anonymize-users — Scrub personal data of users deactivated past the retention period
+router.get("/anonymize-users", async (req, res) => {
+  try {
+    const { anonymized, failed } = await anonymizeDeactivatedUsers();
+    res.json({ success: true, anonymized: anonymized.length, failed });
+  } catch (err) {
+    console.error("Anonymize users cron error:", err);
+    res.status(500).json({ error: "User anonymization run failed" });
+  }
+});
+
+export default router;
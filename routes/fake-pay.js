@@ -0,0 +1,60 @@
+import express from "express";
+import {
+  retrieveInvoice,
+  payInvoice,
+  failInvoicePayment,
+} from "../lib/fake-provider.js";
+import { processStripeEvent } from "../lib/stripe-events.js";
+
+// Hosted pay page API for the fake payment provider (PAYMENT_PROVIDER=fake).
+// Only mounted in that mode. Paying sends the event through the same
+// processing as a real Stripe webhook.
+
+const router = express.Router();
+
+// GET /api/fake-pay/:id — The fake invoice as the pay page shows it
+router.get("/:id", async (req, res) => {
+  try {
+    res.json(await retrieveInvoice(req.params.id));
+  } catch (err) {
+    res.status(404).json({ error: "Invoice not found" });
+  }
+});
+
+// POST /api/fake-pay/:id/pay — Pay the invoice and emit invoice.paid
+router.post("/:id/pay", async (req, res) => {
+  let event;
+  try {
+    event = payInvoice(req.params.id);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    await processStripeEvent(event);
+    res.json({ success: true, event_id: event.id });
+  } catch (err) {
+    console.error("Fake payment event error:", err);
+    res.status(500).json({ error: "Payment recorded but the event failed", details: err.message });
+  }
+});
+
+// POST /api/fake-pay/:id/fail — Decline the payment and emit invoice.payment_failed
+router.post("/:id/fail", async (req, res) => {
+  let event;
+  try {
+    event = failInvoicePayment(req.params.id);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    await processStripeEvent(event);
+    res.json({ success: true, event_id: event.id });
+  } catch (err) {
+    console.error("Fake payment event error:", err);
+    res.status(500).json({ error: "Failed to process the event", details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,169 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+import {
+  invitationLink,
+  verifyInvitation,
+  withDetails,
+  createInvitation,
+  sendInvitation,
+  resendInvitation,
+  revokeInvitation,
+  describeInvitation,
+  acceptInvitation,
+} from "../lib/invitations.js";
+import { recordAudit } from "../lib/audit.js";
+
+const router = express.Router();
+
+const INVITE_REJECTED = "This invitation is invalid, expired or has already been used";
+
+async function findInvitation(id) {
+  const { data } = await supabase
+    .from("invitations")
+    .select("*")
+    .eq("id", id)
+    .single();
+  return data || null;
+}
+
+// GET /api/invitations/public/:id?token= — What the invitation is for (no login; the token comes from the email)
+router.get("/public/:id", async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.id);
+    if (!invitation || !verifyInvitation(invitation, req.query.token))
+      return res.status(403).json({ error: INVITE_REJECTED });
+
+    res.json(await describeInvitation(invitation));
+  } catch (err) {
+    console.error("Public invitation error:", err);
+    res.status(500).json({ error: "Failed to load invitation" });
+  }
+});
+
+// POST /api/invitations/public/:id/accept — Create or claim the account { token, password, first_name, last_name }
+router.post("/public/:id/accept", async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.id);
+    if (!invitation || !verifyInvitation(invitation, req.body.token))
+      return res.status(403).json({ error: INVITE_REJECTED });
+
+    const result = await acceptInvitation(invitation, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    await recordAudit(req, {
+      action: "invitation.accept",
+      targetType: "invitation",
+      targetId: invitation.id,
+      after: { user_id: result.user.id, role: result.user.role, course_ids: invitation.course_ids },
+      actor: result.user,
+    });
+    res.json({ success: true, email: result.user.email, password_set: result.password_set });
+  } catch (err) {
+    console.error("Accept invitation error:", err);
+    res.status(500).json({ error: "Failed to accept invitation", details: err.message });
+  }
+});
+
+router.use(requireAuth, requireRole(ROLES.OWNER, ROLES.ADMIN));
+
+// GET /api/invitations?status=pending|accepted|revoked|expired — List invitations
+router.get("/", async (req, res) => {
+  try {
+    let query = supabase
+      .from("invitations")
+      .select("*")
+      .order("created_at", { ascending: false });
+
+    // Expired invitations are still stored as pending
+    const status = req.query.status;
+    const now = new Date().toISOString();
+    if (status === "expired") query = query.eq("status", "pending").lt("expires_at", now);
+    else if (status === "pending") query = query.eq("status", "pending").gte("expires_at", now);
+    else if (status) query = query.eq("status", status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(await withDetails(data || []));
+  } catch (err) {
+    console.error("List invitations error:", err);
+    res.status(500).json({ error: "Failed to load invitations" });
+  }
+});
+
+// POST /api/invitations — Invite someone and email them the link
+// { email, role, first_name, last_name, course_ids, days }
+router.post("/", async (req, res) => {
+  try {
+    const result = await createInvitation(req.body, req.user);
+    if (result.error) return res.status(result.status || 400).json({ error: result.error });
+
+    await recordAudit(req, {
+      action: "invitation.create",
+      targetType: "invitation",
+      targetId: result.invitation.id,
+      after: {
+        email: result.invitation.email,
+        role: result.invitation.role,
+        course_ids: result.invitation.course_ids,
+        expires_at: result.invitation.expires_at,
+      },
+    });
+    const invitation = await sendInvitation(result.invitation);
+    res.json({ success: true, invitation: (await withDetails([invitation]))[0] });
+  } catch (err) {
+    console.error("Create invitation error:", err);
+    res.status(500).json({ error: "Failed to send invitation", details: err.message });
+  }
+});
+
+// POST /api/invitations/:id/resend — Email a fresh link { days } (earlier links stop working)
+router.post("/:id/resend", async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.id);
+    if (!invitation) return res.status(404).json({ error: "Invitation not found" });
+
+    const result = await resendInvitation(invitation, req.body);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ success: true, invitation: (await withDetails([result.invitation]))[0] });
+  } catch (err) {
+    console.error("Resend invitation error:", err);
+    res.status(500).json({ error: "Failed to resend invitation", details: err.message });
+  }
+});
+
+// GET /api/invitations/:id/link — The current link, to share another way
+router.get("/:id/link", async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.id);
+    if (!invitation) return res.status(404).json({ error: "Invitation not found" });
+    if (invitation.status !== "pending")
+      return res.status(400).json({ error: `This invitation has been ${invitation.status}` });
+
+    res.json({ ...invitationLink(invitation), expires_at: invitation.expires_at });
+  } catch (err) {
+    console.error("Invitation link error:", err);
+    res.status(500).json({ error: "Failed to load invitation link" });
+  }
+});
+
+// DELETE /api/invitations/:id — Revoke a pending invitation
+router.delete("/:id", async (req, res) => {
+  try {
+    const revoked = await revokeInvitation(req.params.id);
+    if (!revoked) return res.status(400).json({ error: "Only pending invitations can be revoked" });
+    await recordAudit(req, {
+      action: "invitation.revoke",
+      targetType: "invitation",
+      targetId: revoked.id,
+      before: { status: "pending" },
+      after: { status: "revoked", email: revoked.email },
+    });
+    res.json({ success: true, invitation: revoked });
+  } catch (err) {
+    console.error("Revoke invitation error:", err);
+    res.status(500).json({ error: "Failed to revoke invitation" });
+  }
+});
+
+export default router;
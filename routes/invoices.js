@@ -1,22 +1,69 @@
 import express from "express";
-import Stripe from "stripe";
 import supabase from "../database.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
+import { sendNewStudentToOwner } from "../lib/email.js";
+import { quoteInvoice, quoteItems } from "../lib/pricing.js";
+import { provider } from "../lib/payment-provider.js";
 import {
-  sendInvoiceCreatedToStudent,
-  sendInvoiceCreatedToOwner,
-  sendNewStudentToOwner,
-} from "../lib/email.js";
+  getLineItems,
+  saveLineItems,
+  createProviderInvoice,
+  createInvoice,
+  sendInvoice,
+} from "../lib/invoices.js";
+import { REFUNDABLE_STATUSES, refundableAmount, refundInvoice } from "../lib/refunds.js";
+import { pdfFilename, renderInvoicePdf } from "../lib/invoice-pdf.js";
+import { getNumbering, updateNumbering, tagProviderInvoice } from "../lib/invoice-numbers.js";
+import { invoiceLink, verifyInvoiceLink, regenerateInvoiceLink, revokeInvoiceLink } from "../lib/invoice-links.js";
+import { invoicesToCsv, invoicesToIif } from "../lib/export.js";
+import { createInvitation, sendInvitation } from "../lib/invitations.js";
+import { recordAudit } from "../lib/audit.js";
+import { resolveTaxProfile } from "../lib/tax.js";
+import { resolveTeacher } from "../lib/teacher-accounts.js";
+import { studentsByContact, resolveBillingContact, visibleInvoiceEmails } from "../lib/billing-contacts.js";
+import { today, addDays } from "../lib/recurring.js";
+import {
+  resolvePackageItems,
+  applyInvoiceCredit,
+  recordCreditUsage,
+  releaseInvoiceCredit,
+} from "../lib/credits.js";
+import {
+  PAYMENT_METHODS,
+  PAYABLE_STATUSES,
+  balanceDue,
+  getPayments,
+  recordPayment,
+  voidRemainder,
+} from "../lib/payments.js";
+import {
+  checkPromoCode,
+  applyPromoCode,
+  claimRedemption,
+  completeRedemption,
+  releaseRedemption,
+  voidRedemption,
+} from "../lib/promos.js";
 
 const router = express.Router();
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-const CONNECTED_ACCOUNT = process.env.STRIPE_CONNECTED_ACCOUNT_ID;
-const FEE_PERCENT = parseFloat(process.env.STRIPE_APPLICATION_FEE_PERCENT || "0.2");
-const STRIPE_PROCESSING_RATE = 0.029; // 2.9%
-const STRIPE_PROCESSING_FIXED = 30; // 30 cents
+// Invoices in these states can no longer be sent or voided
+const CLOSED_STATUSES = ["paid", "void", "refunded", "partially_refunded", "partially_paid"];
+
+const LINK_REJECTED = "This invoice link is invalid, expired or has been revoked";
+
+// The invoice fields the audit log keeps
+const AUDIT_FIELDS = [
+  "invoice_number", "status", "customer_email", "customer_name", "class_name", "description",
+  "teacher_id", "billing_contact_id", "subtotal", "discount", "promo_code", "tax_amount",
+  "merchant_fee", "total", "amount_paid", "written_off_amount", "refunded_amount", "credit_hours", "due_date",
+];
 
-// Public endpoint — no auth required (for shared invoice links)
+function auditFields(invoice) {
+  return invoice ? Object.fromEntries(AUDIT_FIELDS.map((field) => [field, invoice[field] ?? null])) : null;
+}
+
+// Public endpoint — no login, but needs the signed ?token= from a shared link
 router.get("/public/:id", async (req, res) => {
   try {
     const { data: invoice, error } = await supabase
@@ -25,8 +72,12 @@ router.get("/public/:id", async (req, res) => {
       .eq("id", req.params.id)
       .single();
 
-    if (error || !invoice)
-      return res.status(404).json({ error: "Invoice not found" });
+    // Same answer for a missing invoice and a bad token, so ids can't be probed
+    if (error || !invoice || !verifyInvoiceLink(invoice, req.query.token))
+      return res.status(403).json({ error: LINK_REJECTED });
+
+    const items = await getLineItems(invoice.id);
+    const payments = await getPayments(invoice.id);
 
     // Only return non-sensitive fields
     res.json({
@@ -38,19 +89,36 @@ router.get("/public/:id", async (req, res) => {
       description: invoice.description,
       hours: invoice.hours,
       rate_per_hour: invoice.rate_per_hour,
+      items: items.map(({ description, quantity, unit_price, amount, taxable, tax_amount, student_name }) => ({
+        student_name,
+        description,
+        quantity,
+        unit_price,
+        amount,
+        taxable,
+        tax_amount,
+      })),
       subtotal: invoice.subtotal,
       extra_fee: invoice.extra_fee,
       extra_fee_label: invoice.extra_fee_label,
       discount: invoice.discount,
       discount_label: invoice.discount_label,
+      tax_name: invoice.tax_name,
       tax_rate: invoice.tax_rate,
+      tax_inclusive: invoice.tax_inclusive,
       tax_amount: invoice.tax_amount,
       merchant_fee: invoice.merchant_fee,
       total: invoice.total,
+      refunded_amount: invoice.refunded_amount || 0,
+      amount_paid: invoice.amount_paid || 0,
+      balance_due: balanceDue(invoice),
+      payments: payments.map(({ amount, method, paid_on }) => ({ amount, method, paid_on })),
       status: invoice.status,
       due_date: invoice.due_date,
       created_at: invoice.created_at,
       stripe_hosted_url: invoice.stripe_hosted_url,
+      paid_at: invoice.paid_at,
+      pdf_url: `/api/invoices/public/${invoice.id}/pdf?token=${encodeURIComponent(req.query.token)}`,
     });
   } catch (err) {
     console.error("Public invoice error:", err);
@@ -58,6 +126,33 @@ router.get("/public/:id", async (req, res) => {
   }
 });
 
+// Send an invoice row as a PDF download
+async function sendPdf(res, invoice) {
+  const pdf = await renderInvoicePdf(invoice);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${pdfFilename(invoice)}"`);
+  res.send(pdf);
+}
+
+// GET /api/invoices/public/:id/pdf?token= — Public PDF (token from the shared link)
+router.get("/public/:id/pdf", async (req, res) => {
+  try {
+    const { data: invoice, error } = await supabase
+      .from("invoices")
+      .select("*")
+      .eq("id", req.params.id)
+      .single();
+
+    if (error || !invoice || !verifyInvoiceLink(invoice, req.query.token))
+      return res.status(403).json({ error: LINK_REJECTED });
+
+    await sendPdf(res, invoice);
+  } catch (err) {
+    console.error("Public invoice PDF error:", err);
+    res.status(500).json({ error: "Failed to generate PDF" });
+  }
+});
+
 router.use(requireAuth);
 
 // GET /api/invoices/search-students?q= — Search students by name/email
@@ -73,10 +168,28 @@ router.get(
         .from("user")
         .select("id, name, email, phone, firstName, lastName")
         .or(`name.ilike.%${q}%,email.ilike.%${q}%,firstName.ilike.%${q}%,lastName.ilike.%${q}%`)
+        .is("deactivatedAt", null)
         .limit(10);
 
       if (error) throw error;
-      res.json(data || []);
+
+      // Payers can be billed too; their invoices have a line per child
+      const { data: contacts, error: contactsError } = await supabase
+        .from("billing_contacts")
+        .select("id, name, email, phone")
+        .eq("active", true)
+        .or(`name.ilike.%${q}%,email.ilike.%${q}%`)
+        .limit(5);
+
+      if (contactsError) throw contactsError;
+      const students = await studentsByContact((contacts || []).map((c) => c.id));
+      const payers = (contacts || []).map((c) => ({
+        ...c,
+        billing_contact_id: c.id,
+        students: students[c.id],
+      }));
+
+      res.json([...payers, ...(data || [])]);
     } catch (err) {
       console.error("Search students error:", err);
       res.status(500).json({ error: "Search failed" });
@@ -85,12 +198,13 @@ router.get(
 );
 
 // POST /api/invoices/create-student — Create a new student on the fly
+// { name, email, phone, invite } — invite emails them a link to claim the account
 router.post(
   "/create-student",
   requireRole("owner", "admin"),
   async (req, res) => {
     try {
-      const { name, email, phone } = req.body;
+      const { name, email, phone, invite } = req.body;
       if (!name || !email) {
         return res.status(400).json({ error: "Name and email are required" });
       }
@@ -128,7 +242,29 @@ router.post(
       // Notify owner about new student (fire and forget)
       sendNewStudentToOwner({ name, email, phone }).catch(() => {});
 
-      res.json({ student, existed: false });
+      // The account has no password until the student accepts an invitation
+      let inviteError = null;
+      if (invite) {
+        try {
+          const result = await createInvitation(
+            { email, role: "student", first_name: firstName, last_name: lastName },
+            req.user
+          );
+          if (result.error) inviteError = result.error;
+          else await sendInvitation(result.invitation);
+        } catch (err) {
+          console.error("Invite new student error:", err);
+          inviteError = err.message;
+        }
+      }
+
+      await recordAudit(req, {
+        action: "user.create",
+        targetType: "user",
+        targetId: student.id,
+        after: { email, name, role: "student", invited: !!invite && !inviteError },
+      });
+      res.json({ student, existed: false, invite_error: inviteError });
     } catch (err) {
       console.error("Create student error:", err);
       res.status(500).json({ error: "Failed to create student" });
@@ -136,13 +272,14 @@ router.post(
   }
 );
 
-// GET /api/invoices/my — Student sees their invoices (matched by email)
+// GET /api/invoices/my — Student sees their invoices (matched by email); a
+// payer also sees every invoice of the students linked to them
 router.get("/my", async (req, res) => {
   try {
     const { data: invoices, error } = await supabase
       .from("invoices")
       .select("*")
-      .eq("customer_email", req.user.email)
+      .in("customer_email", await visibleInvoiceEmails(req.user))
       .order("created_at", { ascending: false });
 
     if (error) throw error;
@@ -153,14 +290,23 @@ router.get("/my", async (req, res) => {
   }
 });
 
-// GET /api/invoices — List all invoices (admin/owner)
+// GET /api/invoices?q= — List all invoices (admin/owner), optionally searching
+// by invoice number, student name or email
 router.get("/", requireRole("owner", "admin"), async (req, res) => {
   try {
-    const { data: invoices, error } = await supabase
+    let query = supabase
       .from("invoices")
       .select("*")
       .order("created_at", { ascending: false });
 
+    // Commas and parentheses would break out of the or() filter
+    const q = String(req.query.q || "").replace(/[,()]/g, " ").trim();
+    if (q) {
+      query = query.or(`invoice_number.ilike.%${q}%,customer_name.ilike.%${q}%,customer_email.ilike.%${q}%`);
+    }
+
+    const { data: invoices, error } = await query;
+
     if (error) throw error;
     res.json(invoices || []);
   } catch (err) {
@@ -169,6 +315,109 @@ router.get("/", requireRole("owner", "admin"), async (req, res) => {
   }
 });
 
+// GET /api/invoices/numbering — The invoice number format and the next number
+router.get("/numbering", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    res.json(await getNumbering());
+  } catch (err) {
+    console.error("Invoice numbering error:", err);
+    res.status(500).json({ error: "Failed to load invoice numbering" });
+  }
+});
+
+// PUT /api/invoices/numbering — Change the format { prefix, include_year, padding } (owner)
+router.put("/numbering", requireRole("owner"), async (req, res) => {
+  try {
+    const before = await getNumbering();
+    const result = await updateNumbering(req.body);
+    if (result.error) return res.status(400).json({ error: result.error });
+    await recordAudit(req, {
+      action: "invoice_numbering.update",
+      targetType: "invoice_numbering",
+      before: { prefix: before.prefix, include_year: before.include_year, padding: before.padding },
+      after: { prefix: result.prefix, include_year: result.include_year, padding: result.padding },
+    });
+    res.json({ success: true, numbering: result });
+  } catch (err) {
+    console.error("Update invoice numbering error:", err);
+    res.status(500).json({ error: "Failed to update invoice numbering", details: err.message });
+  }
+});
+
+// GET /api/invoices/export?format=csv|iif&from=&to=&status=&date_field=created|paid
+router.get("/export", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const format = req.query.format === "iif" ? "iif" : "csv";
+    const dateField = req.query.date_field === "paid" ? "paid_at" : "created_at";
+    const isDate = (value) => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDate(req.query.from) || !isDate(req.query.to)) {
+      return res.status(400).json({ error: "Dates must be YYYY-MM-DD" });
+    }
+
+    let query = supabase
+      .from("invoices")
+      .select("*")
+      .order(dateField, { ascending: true });
+
+    if (req.query.from) query = query.gte(dateField, req.query.from);
+    if (req.query.to) query = query.lt(dateField, addDays(req.query.to, 1));
+    if (req.query.status) query = query.in("status", String(req.query.status).split(","));
+    if (dateField === "paid_at") query = query.not("paid_at", "is", null);
+
+    const { data: invoices, error } = await query;
+    if (error) throw error;
+
+    // Line items for every invoice, fetched in batches to keep URLs short
+    const itemsByInvoice = {};
+    const ids = (invoices || []).map((inv) => inv.id);
+    for (let i = 0; i < ids.length; i += 200) {
+      const { data: items, error: itemsError } = await supabase
+        .from("invoice_items")
+        .select("*")
+        .in("invoice_id", ids.slice(i, i + 200))
+        .order("position", { ascending: true });
+      if (itemsError) throw itemsError;
+      (items || []).forEach((item) => {
+        if (!itemsByInvoice[item.invoice_id]) itemsByInvoice[item.invoice_id] = [];
+        itemsByInvoice[item.invoice_id].push(item);
+      });
+    }
+
+    // Offline payments and refunds, so fees and payouts cover only what went through Stripe
+    const settlements = {};
+    const settlementFor = (id) => settlements[id] || (settlements[id] = { offline: 0, refundedOutOfBand: 0 });
+    for (let i = 0; i < ids.length; i += 200) {
+      const batch = ids.slice(i, i + 200);
+      const { data: payments, error: paymentsError } = await supabase
+        .from("invoice_payments")
+        .select("invoice_id, amount")
+        .in("invoice_id", batch);
+      if (paymentsError) throw paymentsError;
+      (payments || []).forEach((p) => { settlementFor(p.invoice_id).offline += p.amount; });
+
+      const { data: refunds, error: refundsError } = await supabase
+        .from("invoice_refunds")
+        .select("invoice_id, out_of_band_amount")
+        .in("invoice_id", batch)
+        .gt("out_of_band_amount", 0);
+      if (refundsError) throw refundsError;
+      (refunds || []).forEach((r) => { settlementFor(r.invoice_id).refundedOutOfBand += r.out_of_band_amount; });
+    }
+
+    const body = format === "iif"
+      ? invoicesToIif(invoices || [], itemsByInvoice, settlements)
+      : invoicesToCsv(invoices || [], itemsByInvoice, settlements);
+    const filename = `invoices-${req.query.from || "all"}-to-${req.query.to || today()}.${format}`;
+
+    res.setHeader("Content-Type", format === "iif" ? "text/plain; charset=utf-8" : "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (err) {
+    console.error("Export invoices error:", err);
+    res.status(500).json({ error: "Failed to export invoices" });
+  }
+});
+
 // GET /api/invoices/:id — Single invoice
 router.get("/:id", async (req, res) => {
   try {
@@ -182,12 +431,31 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ error: "Invoice not found" });
 
     if (
-      req.user.role === "student" &&
-      invoice.customer_email !== req.user.email
+      ["student", "parent"].includes(req.user.role) &&
+      !(await visibleInvoiceEmails(req.user)).includes(invoice.customer_email)
     ) {
       return res.status(403).json({ error: "Not your invoice" });
     }
 
+    invoice.items = await getLineItems(invoice.id);
+
+    const { data: refunds } = await supabase
+      .from("invoice_refunds")
+      .select("id, amount, reason, memo, source, created_at")
+      .eq("invoice_id", invoice.id)
+      .order("created_at", { ascending: true });
+    invoice.refunds = refunds || [];
+
+    const { data: reminders } = await supabase
+      .from("invoice_reminders")
+      .select("offset_days, email, sent_at")
+      .eq("invoice_id", invoice.id)
+      .order("sent_at", { ascending: true });
+    invoice.reminders = reminders || [];
+
+    invoice.payments = await getPayments(invoice.id);
+    invoice.balance_due = balanceDue(invoice);
+
     res.json(invoice);
   } catch (err) {
     console.error("Get invoice error:", err);
@@ -195,217 +463,40 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// POST /api/invoices — Create invoice (admin/owner)
-router.post("/", requireRole("owner", "admin"), async (req, res) => {
+// GET /api/invoices/:id/pdf — Invoice, or receipt once paid, as a PDF
+router.get("/:id/pdf", async (req, res) => {
   try {
-    const {
-      customer_email,
-      customer_name,
-      description,
-      hours,
-      rate_per_hour,
-      class_name,
-      extra_fee,
-      extra_fee_label,
-      discount_value,
-      discount_type,
-      discount_label,
-      tax_rate,
-      pass_merchant_fee,
-      due_date,
-    } = req.body;
-
-    if (!customer_email || !hours || !rate_per_hour) {
-      return res
-        .status(400)
-        .json({ error: "Student, hours, and rate are required" });
-    }
-
-    const hoursNum = parseFloat(hours);
-    const rateNum = parseFloat(rate_per_hour);
-    const subtotalCents = Math.round(hoursNum * rateNum * 100);
-    const extraFeeCents = Math.round(parseFloat(extra_fee || 0) * 100);
-
-    // Discount: percentage or flat
-    let discountCents = 0;
-    const discountVal = parseFloat(discount_value || 0);
-    if (discount_type === "percent" && discountVal > 0) {
-      discountCents = Math.round((subtotalCents + extraFeeCents) * (discountVal / 100));
-    } else if (discountVal > 0) {
-      discountCents = Math.round(discountVal * 100);
-    }
-
-    const taxRateNum = parseFloat(tax_rate || 0);
-    const preTax = subtotalCents + extraFeeCents - discountCents;
-    const taxAmountCents = Math.round(preTax * (taxRateNum / 100));
-    let preTotal = preTax + taxAmountCents;
-
-    // Calculate merchant fee if passing to customer
-    let merchantFeeCents = 0;
-    if (pass_merchant_fee) {
-      // Stripe charges 2.9% + 30c — calculate what to add so after Stripe takes its cut, the net is correct
-      merchantFeeCents = Math.round(
-        (preTotal * STRIPE_PROCESSING_RATE + STRIPE_PROCESSING_FIXED) /
-          (1 - STRIPE_PROCESSING_RATE)
-      );
-      // Simplified: just add the fee directly
-      merchantFeeCents = Math.round(
-        preTotal * STRIPE_PROCESSING_RATE + STRIPE_PROCESSING_FIXED
-      );
-    }
-
-    const totalCents = preTotal + merchantFeeCents;
-    const applicationFeeCents = Math.round(totalCents * (FEE_PERCENT / 100));
-
-    // 1. Find or create customer on connected account
-    const existingCustomers = await stripe.customers.list(
-      { email: customer_email, limit: 1 },
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
-
-    let customer;
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-    } else {
-      customer = await stripe.customers.create(
-        { email: customer_email, name: customer_name || undefined },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
-
-    // 2. Create invoice items on connected account
-    // Main tutoring line item
-    await stripe.invoiceItems.create(
-      {
-        customer: customer.id,
-        amount: subtotalCents,
-        currency: "usd",
-        description:
-          (class_name || "Tutoring Session") +
-          (description ? ` — ${description}` : "") +
-          ` (${hoursNum} hr${hoursNum !== 1 ? "s" : ""} x $${rateNum.toFixed(2)}/hr)`,
-      },
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
-
-    // Extra fee line item
-    if (extraFeeCents > 0) {
-      await stripe.invoiceItems.create(
-        {
-          customer: customer.id,
-          amount: extraFeeCents,
-          currency: "usd",
-          description: extra_fee_label || "Additional Fee",
-        },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
-
-    // Discount line item (negative amount)
-    if (discountCents > 0) {
-      await stripe.invoiceItems.create(
-        {
-          customer: customer.id,
-          amount: -discountCents,
-          currency: "usd",
-          description: discount_label || "Discount",
-        },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
-
-    // Tax line item
-    if (taxAmountCents > 0) {
-      await stripe.invoiceItems.create(
-        {
-          customer: customer.id,
-          amount: taxAmountCents,
-          currency: "usd",
-          description: `Sales Tax (${taxRateNum}%)`,
-        },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
-
-    // Merchant fee line item
-    if (merchantFeeCents > 0) {
-      await stripe.invoiceItems.create(
-        {
-          customer: customer.id,
-          amount: merchantFeeCents,
-          currency: "usd",
-          description: "Processing Fee",
-        },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
-
-    // 3. Create invoice on connected account
-    const dueTimestamp = due_date
-      ? Math.floor(new Date(due_date).getTime() / 1000)
-      : Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
-
-    const stripeInvoice = await stripe.invoices.create(
-      {
-        customer: customer.id,
-        collection_method: "send_invoice",
-        due_date: dueTimestamp,
-        auto_advance: false,
-        application_fee_amount: applicationFeeCents,
-      },
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
-
-    // 3b. Finalize the invoice so hosted_invoice_url is generated
-    const finalizedInvoice = await stripe.invoices.finalizeInvoice(
-      stripeInvoice.id,
-      {},
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
-
-    // 4. Save to our database
     const { data: invoice, error } = await supabase
       .from("invoices")
-      .insert({
-        stripe_invoice_id: finalizedInvoice.id,
-        stripe_hosted_url: finalizedInvoice.hosted_invoice_url,
-        customer_email,
-        customer_name: customer_name || "",
-        class_name: class_name || "",
-        description: description || "",
-        hours: hoursNum,
-        rate_per_hour: rateNum,
-        subtotal: subtotalCents,
-        extra_fee: extraFeeCents,
-        extra_fee_label: extra_fee_label || "",
-        discount: discountCents,
-        discount_label: discount_label || "",
-        tax_rate: taxRateNum,
-        tax_amount: taxAmountCents,
-        merchant_fee: merchantFeeCents,
-        pass_merchant_fee: !!pass_merchant_fee,
-        application_fee: applicationFeeCents,
-        total: totalCents,
-        status: "draft",
-        due_date: due_date || new Date(dueTimestamp * 1000).toISOString(),
-        created_by: req.user.id,
-      })
-      .select()
+      .select("*")
+      .eq("id", req.params.id)
       .single();
 
-    if (error) throw error;
+    if (error || !invoice)
+      return res.status(404).json({ error: "Invoice not found" });
+
+    if (
+      ["student", "parent"].includes(req.user.role) &&
+      !(await visibleInvoiceEmails(req.user)).includes(invoice.customer_email)
+    ) {
+      return res.status(403).json({ error: "Not your invoice" });
+    }
 
-    // Send email notifications (fire and forget)
-    const desc = (class_name || "") + (description ? ` — ${description}` : "") || "Tutoring Services";
-    sendInvoiceCreatedToOwner({
-      studentName: customer_name,
-      studentEmail: customer_email,
-      amount: totalCents,
-      description: desc,
-    }).catch(() => {});
+    await sendPdf(res, invoice);
+  } catch (err) {
+    console.error("Invoice PDF error:", err);
+    res.status(500).json({ error: "Failed to generate PDF" });
+  }
+});
 
+// POST /api/invoices — Create invoice (admin/owner)
+router.post("/", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const invoice = await createInvoice(req.body, { createdBy: req.user.id });
+    await recordAudit(req, { action: "invoice.create", targetType: "invoice", targetId: invoice.id, after: auditFields(invoice) });
     res.json({ success: true, invoice });
   } catch (err) {
+    if (err.invalid) return res.status(400).json({ error: err.message });
     console.error("Create invoice error:", err);
     res.status(500).json({
       error: "Failed to create invoice",
@@ -414,6 +505,38 @@ router.post("/", requireRole("owner", "admin"), async (req, res) => {
   }
 });
 
+// POST /api/invoices/quote — Price breakdown without touching Stripe or the DB
+router.post("/quote", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    let body = await resolveTeacher(await resolveTaxProfile(
+      await resolveBillingContact(await resolvePackageItems(req.body))
+    ));
+    if (req.body.promo_code) {
+      const { promo, error: promoError } = await checkPromoCode(req.body.promo_code, {
+        email: body.customer_email,
+        className: req.body.class_name,
+        invoiceId: req.body.invoice_id,
+      });
+      if (promoError) return res.status(400).json({ error: promoError });
+      body = applyPromoCode(body, promo);
+    }
+    const quote = quoteInvoice(body);
+
+    // Preview the student's (or each child's) prepaid credit against lesson lines
+    if (body.customer_email && req.body.apply_credit !== false) {
+      const credit = await applyInvoiceCredit(quote.items, body.customer_email);
+      const priced = credit.hours > 0 ? quoteItems(credit.items, body) : quote;
+      return res.json({ ...priced, credit_balance: credit.balance, credit_hours: credit.hours });
+    }
+
+    res.json(quote);
+  } catch (err) {
+    if (err.invalid) return res.status(400).json({ error: err.message });
+    console.error("Quote invoice error:", err);
+    res.status(500).json({ error: "Failed to quote invoice", details: err.message });
+  }
+});
+
 // PUT /api/invoices/:id — Update a draft invoice
 router.put("/:id", requireRole("owner", "admin"), async (req, res) => {
   try {
@@ -431,126 +554,83 @@ router.put("/:id", requireRole("owner", "admin"), async (req, res) => {
       return res.status(400).json({ error: "Only draft invoices can be edited" });
     }
 
-    const {
-      customer_email, customer_name, class_name, description,
-      hours, rate_per_hour, extra_fee, extra_fee_label,
-      discount_value, discount_type, discount_label,
-      tax_rate, pass_merchant_fee, due_date,
-    } = req.body;
-
-    const hoursNum = parseFloat(hours || existing.hours);
-    const rateNum = parseFloat(rate_per_hour || existing.rate_per_hour);
-    const subtotalCents = Math.round(hoursNum * rateNum * 100);
-    const extraFeeCents = Math.round(parseFloat(extra_fee || 0) * 100);
-
-    let discountCents = 0;
-    const discountVal = parseFloat(discount_value || 0);
-    if (discount_type === "percent" && discountVal > 0) {
-      discountCents = Math.round((subtotalCents + extraFeeCents) * (discountVal / 100));
-    } else if (discountVal > 0) {
-      discountCents = Math.round(discountVal * 100);
-    }
-
-    const taxRateNum = parseFloat(tax_rate || 0);
-    const preTax = subtotalCents + extraFeeCents - discountCents;
-    const taxAmountCents = Math.round(preTax * (taxRateNum / 100));
-    let preTotal = preTax + taxAmountCents;
-
-    let merchantFeeCents = 0;
-    if (pass_merchant_fee) {
-      merchantFeeCents = Math.round(preTotal * STRIPE_PROCESSING_RATE + STRIPE_PROCESSING_FIXED);
+    // Keep the saved line items unless new ones (or legacy hours/rate) are sent.
+    // Credit lines are dropped and re-applied against the current balance.
+    let body = await resolveTeacher(await resolveTaxProfile(await resolveBillingContact(
+      await resolvePackageItems({
+        ...req.body,
+        customer_email: req.body.customer_email || existing.customer_email,
+        teacher_id: req.body.teacher_id === undefined ? existing.teacher_id : req.body.teacher_id,
+        billing_contact_id: req.body.billing_contact_id === undefined
+          ? existing.billing_contact_id
+          : req.body.billing_contact_id,
+      })
+    )));
+
+    // The code is checked again on every edit; sending none removes it
+    let promo = null;
+    if (req.body.promo_code) {
+      const check = await checkPromoCode(req.body.promo_code, {
+        email: body.customer_email,
+        className: req.body.class_name,
+        invoiceId: existing.id,
+      });
+      if (check.error) return res.status(400).json({ error: check.error });
+      promo = check.promo;
+      body = applyPromoCode(body, promo);
     }
 
-    const totalCents = preTotal + merchantFeeCents;
-    const applicationFeeCents = Math.round(totalCents * (FEE_PERCENT / 100));
-
-    // Delete old Stripe invoice and create a new one
-    if (existing.stripe_invoice_id) {
-      try {
-        await stripe.invoices.del(existing.stripe_invoice_id, {}, { stripeAccount: CONNECTED_ACCOUNT });
-      } catch (e) {
-        // If delete fails (already voided, etc.), continue
-      }
+    const {
+      customer_email, customer_name, class_name, description,
+      discount_label, pass_merchant_fee, due_date,
+    } = body;
+    const savedItems = (await getLineItems(existing.id)).filter((item) => item.kind !== "credit");
+    const sentItems = body.items || body.hours || body.rate_per_hour;
+    let pricing = sentItems || savedItems.length === 0
+      ? quoteInvoice(body, existing)
+      : quoteInvoice({
+          ...body,
+          items: savedItems.map((item) => ({ ...item, unit_price: item.unit_price / 100 })),
+        });
+
+    if (pricing.items.length === 0) {
+      return res.status(400).json({ error: "At least one line item is required" });
     }
 
-    // Recreate on Stripe
+    // Nothing the invoice holds (credit, its promo use, the provider
+    // invoice) is let go until its replacement is in place
     const email = customer_email || existing.customer_email;
-    const name = customer_name || existing.customer_name;
-
-    const existingCustomers = await stripe.customers.list(
-      { email, limit: 1 },
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
-
-    let customer;
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-    } else {
-      customer = await stripe.customers.create(
-        { email, name: name || undefined },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
+    const credit = body.apply_credit === false
+      ? { hours: 0 }
+      : await applyInvoiceCredit(pricing.items, email, { invoiceId: existing.id });
+    if (credit.hours > 0) pricing = quoteItems(credit.items, body);
+
+    let redemption = null;
+    if (promo) {
+      const claim = await claimRedemption(promo, { email, invoiceId: existing.id, createdBy: req.user.id });
+      if (claim.error) return res.status(400).json({ error: claim.error });
+      redemption = claim.redemption;
     }
+    const releaseClaim = async (err) => {
+      if (redemption) await releaseRedemption({ redemptionId: redemption.id });
+      throw err;
+    };
 
-    await stripe.invoiceItems.create(
-      {
-        customer: customer.id,
-        amount: subtotalCents,
-        currency: "usd",
-        description:
-          (class_name || "Tutoring Session") +
-          (description ? ` — ${description}` : "") +
-          ` (${hoursNum} hr${hoursNum !== 1 ? "s" : ""} x $${rateNum.toFixed(2)}/hr)`,
-      },
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
-
-    if (extraFeeCents > 0) {
-      await stripe.invoiceItems.create(
-        { customer: customer.id, amount: extraFeeCents, currency: "usd", description: extra_fee_label || "Additional Fee" },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
-    if (discountCents > 0) {
-      await stripe.invoiceItems.create(
-        { customer: customer.id, amount: -discountCents, currency: "usd", description: discount_label || "Discount" },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
-    if (taxAmountCents > 0) {
-      await stripe.invoiceItems.create(
-        { customer: customer.id, amount: taxAmountCents, currency: "usd", description: `Sales Tax (${taxRateNum}%)` },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
-    if (merchantFeeCents > 0) {
-      await stripe.invoiceItems.create(
-        { customer: customer.id, amount: merchantFeeCents, currency: "usd", description: "Processing Fee" },
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
-    }
+    const name = customer_name || existing.customer_name;
 
     const dueTimestamp = due_date
       ? Math.floor(new Date(due_date).getTime() / 1000)
       : Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
 
-    const stripeInvoice = await stripe.invoices.create(
-      {
-        customer: customer.id,
-        collection_method: "send_invoice",
-        due_date: dueTimestamp,
-        auto_advance: false,
-        application_fee_amount: applicationFeeCents,
-      },
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
-
-    // Finalize so hosted URL is generated
-    const finalizedEdit = await stripe.invoices.finalizeInvoice(
-      stripeInvoice.id,
-      {},
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
+    // A new provider invoice, on the teacher's account if that has changed
+    const finalizedEdit = await createProviderInvoice({
+      email,
+      name,
+      pricing,
+      discountLabel: discount_label,
+      dueTimestamp,
+      account: body.stripe_account_id,
+    }).catch(releaseClaim);
 
     // Update our DB record
     const { data: updated, error } = await supabase
@@ -558,23 +638,31 @@ router.put("/:id", requireRole("owner", "admin"), async (req, res) => {
       .update({
         stripe_invoice_id: finalizedEdit.id,
         stripe_hosted_url: finalizedEdit.hosted_invoice_url,
+        stripe_account_id: body.stripe_account_id,
+        teacher_id: body.teacher_id,
+        billing_contact_id: body.billing_contact_id,
         customer_email: email,
         customer_name: name,
         class_name: class_name || "",
         description: description || "",
-        hours: hoursNum,
-        rate_per_hour: rateNum,
-        subtotal: subtotalCents,
-        extra_fee: extraFeeCents,
-        extra_fee_label: extra_fee_label || "",
-        discount: discountCents,
+        hours: req.body.items ? null : existing.hours,
+        rate_per_hour: req.body.items ? null : existing.rate_per_hour,
+        subtotal: pricing.subtotal,
+        extra_fee: 0,
+        extra_fee_label: "",
+        discount: pricing.discount,
         discount_label: discount_label || "",
-        tax_rate: taxRateNum,
-        tax_amount: taxAmountCents,
-        merchant_fee: merchantFeeCents,
+        promo_code: promo ? promo.code : null,
+        tax_profile_id: pricing.tax_profile_id,
+        tax_name: pricing.tax_name,
+        tax_rate: pricing.tax_rate,
+        tax_inclusive: pricing.tax_inclusive,
+        tax_amount: pricing.tax_amount,
+        merchant_fee: pricing.merchant_fee,
         pass_merchant_fee: !!pass_merchant_fee,
-        application_fee: applicationFeeCents,
-        total: totalCents,
+        application_fee: pricing.application_fee,
+        total: pricing.total,
+        credit_hours: credit.hours,
         due_date: due_date || new Date(dueTimestamp * 1000).toISOString(),
         updated_at: new Date().toISOString(),
       })
@@ -582,9 +670,41 @@ router.put("/:id", requireRole("owner", "admin"), async (req, res) => {
       .select()
       .single();
 
-    if (error) throw error;
+    if (error) {
+      await provider.voidInvoice(finalizedEdit.id, body.stripe_account_id).catch((voidErr) => {
+        console.error("Void unsaved provider invoice error:", finalizedEdit.id, voidErr.message);
+      });
+      await releaseClaim(error);
+    }
+
+    // The old provider invoice is replaced
+    if (existing.stripe_invoice_id) {
+      try {
+        await provider.deleteInvoice(existing.stripe_invoice_id, existing.stripe_account_id);
+      } catch (e) {
+        // If delete fails (already voided, etc.), continue
+      }
+    }
+
+    await releaseInvoiceCredit(existing, { memo: "Invoice edited", createdBy: req.user.id, keepCreditHours: true });
+    await releaseRedemption({ invoiceId: existing.id });
+    if (redemption) await completeRedemption(redemption.id, updated);
+    await tagProviderInvoice(updated);
+
+    updated.items = await saveLineItems(updated.id, pricing.items);
+
+    if (credit.hours > 0) await recordCreditUsage(updated, credit.by_student, req.user.id);
+
+    await recordAudit(req, {
+      action: "invoice.update",
+      targetType: "invoice",
+      targetId: updated.id,
+      before: auditFields(existing),
+      after: auditFields(updated),
+    });
     res.json({ success: true, invoice: updated });
   } catch (err) {
+    if (err.invalid) return res.status(400).json({ error: err.message });
     console.error("Update invoice error:", err);
     res.status(500).json({ error: "Failed to update invoice", details: err.message });
   }
@@ -602,36 +722,18 @@ router.post("/:id/send", requireRole("owner", "admin"), async (req, res) => {
     if (fetchErr || !invoice)
       return res.status(404).json({ error: "Invoice not found" });
 
-    if (invoice.status === "paid" || invoice.status === "void") {
+    if (CLOSED_STATUSES.includes(invoice.status)) {
       return res.status(400).json({ error: "Cannot send a paid or voided invoice" });
     }
 
-    // Send the invoice email via Stripe
-    await stripe.invoices.sendInvoice(
-      invoice.stripe_invoice_id,
-      {},
-      { stripeAccount: CONNECTED_ACCOUNT }
-    );
-
-    const { error } = await supabase
-      .from("invoices")
-      .update({
-        status: "sent",
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", req.params.id);
-
-    if (error) throw error;
-
-    // Email the student with payment link
-    sendInvoiceCreatedToStudent({
-      email: invoice.customer_email,
-      name: invoice.customer_name,
-      invoiceUrl: invoice.stripe_hosted_url,
-      amount: invoice.total,
-      description: invoice.class_name || invoice.description || "Tutoring Services",
-      dueDate: invoice.due_date,
-    }).catch(() => {});
+    await sendInvoice(invoice);
+    await recordAudit(req, {
+      action: "invoice.send",
+      targetType: "invoice",
+      targetId: invoice.id,
+      before: { status: invoice.status },
+      after: { status: invoice.status === "draft" ? "sent" : invoice.status, sent_to: invoice.customer_email },
+    });
 
     res.json({ success: true, hosted_url: invoice.stripe_hosted_url });
   } catch (err) {
@@ -643,6 +745,72 @@ router.post("/:id/send", requireRole("owner", "admin"), async (req, res) => {
   }
 });
 
+// GET /api/invoices/:id/link — A fresh signed public link (older links keep working)
+router.get("/:id/link", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const { data: invoice, error } = await supabase
+      .from("invoices")
+      .select("id, link_version, link_revoked_at")
+      .eq("id", req.params.id)
+      .single();
+
+    if (error || !invoice)
+      return res.status(404).json({ error: "Invoice not found" });
+
+    if (invoice.link_revoked_at) {
+      return res.json({ revoked: true, revoked_at: invoice.link_revoked_at, url: null });
+    }
+    res.json({ revoked: false, ...invoiceLink(invoice) });
+  } catch (err) {
+    console.error("Invoice link error:", err);
+    res.status(500).json({ error: "Failed to create link" });
+  }
+});
+
+// POST /api/invoices/:id/link — Regenerate: every earlier link stops working ({ days } optional)
+router.post("/:id/link", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const days = req.body.days === undefined || req.body.days === "" ? undefined : parseInt(req.body.days, 10);
+    if (days !== undefined && !(days >= 1 && days <= 365)) {
+      return res.status(400).json({ error: "days must be between 1 and 365" });
+    }
+
+    const { data: invoice, error } = await supabase
+      .from("invoices")
+      .select("id, link_version")
+      .eq("id", req.params.id)
+      .single();
+
+    if (error || !invoice)
+      return res.status(404).json({ error: "Invoice not found" });
+
+    const link = await regenerateInvoiceLink(invoice, { days });
+    await recordAudit(req, {
+      action: "invoice.link_regenerate",
+      targetType: "invoice",
+      targetId: invoice.id,
+      before: { link_version: invoice.link_version || 1 },
+      after: { link_version: (invoice.link_version || 1) + 1, expires_at: link.expires_at },
+    });
+    res.json({ success: true, ...link });
+  } catch (err) {
+    console.error("Regenerate invoice link error:", err);
+    res.status(500).json({ error: "Failed to regenerate link", details: err.message });
+  }
+});
+
+// DELETE /api/invoices/:id/link — Revoke the public link until it's regenerated
+router.delete("/:id/link", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    await revokeInvoiceLink(req.params.id);
+    await recordAudit(req, { action: "invoice.link_revoke", targetType: "invoice", targetId: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Revoke invoice link error:", err);
+    res.status(500).json({ error: "Failed to revoke link" });
+  }
+});
+
 // POST /api/invoices/:id/void — Void an invoice
 router.post("/:id/void", requireRole("owner", "admin"), async (req, res) => {
   try {
@@ -655,18 +823,15 @@ router.post("/:id/void", requireRole("owner", "admin"), async (req, res) => {
     if (fetchErr || !invoice)
       return res.status(404).json({ error: "Invoice not found" });
 
-    if (invoice.status === "paid" || invoice.status === "void") {
+    if (CLOSED_STATUSES.includes(invoice.status)) {
       return res
         .status(400)
         .json({ error: "Cannot void a paid or already voided invoice" });
     }
 
-    if (invoice.status === "sent") {
-      await stripe.invoices.voidInvoice(
-        invoice.stripe_invoice_id,
-        {},
-        { stripeAccount: CONNECTED_ACCOUNT }
-      );
+    // Overdue invoices are still open (and payable) on the provider too
+    if (["sent", "overdue"].includes(invoice.status) && invoice.stripe_invoice_id) {
+      await provider.voidInvoice(invoice.stripe_invoice_id, invoice.stripe_account_id);
     }
 
     const { error } = await supabase
@@ -675,6 +840,16 @@ router.post("/:id/void", requireRole("owner", "admin"), async (req, res) => {
       .eq("id", req.params.id);
 
     if (error) throw error;
+
+    await releaseInvoiceCredit(invoice, { memo: "Invoice voided", createdBy: req.user.id });
+    await voidRedemption(invoice.id);
+    await recordAudit(req, {
+      action: "invoice.void",
+      targetType: "invoice",
+      targetId: invoice.id,
+      before: auditFields(invoice),
+      after: { ...auditFields(invoice), status: "void" },
+    });
     res.json({ success: true });
   } catch (err) {
     console.error("Void invoice error:", err);
@@ -685,4 +860,158 @@ router.post("/:id/void", requireRole("owner", "admin"), async (req, res) => {
   }
 });
 
+// POST /api/invoices/:id/payments — Record an offline payment (check, cash, Zelle, ...)
+router.post("/:id/payments", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const { data: invoice, error: fetchErr } = await supabase
+      .from("invoices")
+      .select("*")
+      .eq("id", req.params.id)
+      .single();
+
+    if (fetchErr || !invoice)
+      return res.status(404).json({ error: "Invoice not found" });
+
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({ error: "Payments can only be recorded on unpaid invoices" });
+    }
+
+    const { method, reference, memo } = req.body;
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `Method must be one of: ${PAYMENT_METHODS.join(", ")}` });
+    }
+
+    const balance = balanceDue(invoice);
+    const amountCents = req.body.amount
+      ? Math.round(parseFloat(req.body.amount) * 100)
+      : balance;
+
+    if (!(amountCents > 0) || amountCents > balance) {
+      return res.status(400).json({
+        error: `Payment must be between $0.01 and $${(balance / 100).toFixed(2)}`,
+      });
+    }
+
+    // A draft has no Stripe invoice to collect the rest, so it must be paid in full
+    if (invoice.status === "draft" && amountCents < balance) {
+      return res.status(400).json({ error: "Send the invoice before recording a partial payment" });
+    }
+
+    const paidOn = req.body.paid_on || today();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(paidOn)) {
+      return res.status(400).json({ error: "paid_on must be YYYY-MM-DD" });
+    }
+
+    const result = await recordPayment(invoice, {
+      amount: amountCents,
+      method,
+      paidOn,
+      reference,
+      memo,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: "invoice.payment",
+      targetType: "invoice",
+      targetId: invoice.id,
+      before: auditFields(invoice),
+      after: { ...auditFields(result.invoice), payment: { amount: amountCents, method, paid_on: paidOn, reference: reference || null } },
+    });
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    console.error("Record payment error:", err);
+    res.status(500).json({
+      error: "Failed to record payment",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/invoices/:id/void-remainder — Close a partially paid invoice, writing off the rest
+router.post("/:id/void-remainder", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const { data: invoice, error: fetchErr } = await supabase
+      .from("invoices")
+      .select("*")
+      .eq("id", req.params.id)
+      .single();
+
+    if (fetchErr || !invoice)
+      return res.status(404).json({ error: "Invoice not found" });
+
+    if (invoice.status !== "partially_paid") {
+      return res.status(400).json({ error: "Only partially paid invoices can have their remainder voided" });
+    }
+
+    const result = await voidRemainder(invoice);
+    await recordAudit(req, {
+      action: "invoice.void_remainder",
+      targetType: "invoice",
+      targetId: invoice.id,
+      before: auditFields(invoice),
+      after: auditFields(result.invoice),
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Void remainder error:", err);
+    res.status(500).json({
+      error: "Failed to void remainder",
+      details: err.message,
+    });
+  }
+});
+
+// POST /api/invoices/:id/refund — Full or partial refund of a paid invoice
+router.post("/:id/refund", requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const { data: invoice, error: fetchErr } = await supabase
+      .from("invoices")
+      .select("*")
+      .eq("id", req.params.id)
+      .single();
+
+    if (fetchErr || !invoice)
+      return res.status(404).json({ error: "Invoice not found" });
+
+    if (!REFUNDABLE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({ error: "Only paid invoices can be refunded" });
+    }
+
+    // Only what was collected can be refunded
+    const refundable = refundableAmount(invoice);
+    const amountCents = req.body.amount
+      ? Math.round(parseFloat(req.body.amount) * 100)
+      : refundable;
+
+    if (!(amountCents > 0) || amountCents > refundable) {
+      return res.status(400).json({
+        error: `Refund must be between $0.01 and $${(refundable / 100).toFixed(2)}`,
+      });
+    }
+
+    const result = await refundInvoice(invoice, {
+      amount: amountCents,
+      reason: req.body.reason,
+      memo: req.body.memo,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: "invoice.refund",
+      targetType: "invoice",
+      targetId: invoice.id,
+      before: auditFields(invoice),
+      after: { ...auditFields(result.invoice), refund: { amount: amountCents, reason: req.body.reason || null } },
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Refund invoice error:", err);
+    res.status(500).json({
+      error: "Failed to refund invoice",
+      details: err.message,
+    });
+  }
+});
+
 export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import supabase from "../database.js";
 import { requireAuth } from "../middleware/auth.js";
+import { childIds } from "../lib/parents.js";
 
 const router = express.Router();
 
@@ -103,11 +104,14 @@ router.get("/contacts", async (req, res) => {
     const { role, id } = req.user;
     let contacts = [];
 
-    if (role === "student") {
+    if (role === "student" || role === "parent") {
+      // Parents reach the teachers of their confirmed children
+      const studentIds = role === "parent" ? await childIds(id) : [id];
       const { data: enrollments } = await supabase
         .from("enrollments")
         .select("course_id")
-        .eq("student_id", id);
+        .in("student_id", studentIds)
+        .eq("status", "active");
 
       if (enrollments && enrollments.length > 0) {
         const courseIds = enrollments.map((e) => e.course_id);
@@ -123,7 +127,8 @@ router.get("/contacts", async (req, res) => {
           const { data: teachers } = await supabase
             .from("user")
             .select("id, firstName, lastName, name, role")
-            .in("id", teacherIds);
+            .in("id", teacherIds)
+            .is("deactivatedAt", null);
           contacts = teachers || [];
         }
       }
@@ -138,7 +143,8 @@ router.get("/contacts", async (req, res) => {
         const { data: enrollments } = await supabase
           .from("enrollments")
           .select("student_id")
-          .in("course_id", courseIds);
+          .in("course_id", courseIds)
+          .eq("status", "active");
 
         const studentIds = [
           ...new Set((enrollments || []).map((e) => e.student_id)),
@@ -147,7 +153,8 @@ router.get("/contacts", async (req, res) => {
           const { data: students } = await supabase
             .from("user")
             .select("id, firstName, lastName, name, role")
-            .in("id", studentIds);
+            .in("id", studentIds)
+            .is("deactivatedAt", null);
           contacts = students || [];
         }
       }
@@ -156,7 +163,8 @@ router.get("/contacts", async (req, res) => {
       const { data: users } = await supabase
         .from("user")
         .select("id, firstName, lastName, name, role")
-        .neq("id", id);
+        .neq("id", id)
+        .is("deactivatedAt", null);
       contacts = users || [];
     }
 
@@ -0,0 +1,111 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Catalog fields shared by create and update (price in dollars)
+function packageFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name || "").trim();
+  if (body.class_name !== undefined) fields.class_name = body.class_name || "";
+  if (body.hours !== undefined) fields.hours = parseFloat(body.hours);
+  if (body.price !== undefined) fields.price = Math.round(parseFloat(body.price) * 100);
+  if (body.expires_after_days !== undefined)
+    fields.expires_after_days = parseInt(body.expires_after_days) || null;
+  if (body.active !== undefined) fields.active = !!body.active;
+  return fields;
+}
+
+function validatePackage(fields) {
+  if (fields.name !== undefined && !fields.name) return "Package name is required";
+  if (fields.hours !== undefined && !(fields.hours > 0)) return "Hours must be greater than zero";
+  if (fields.price !== undefined && !(fields.price >= 0)) return "Price must be zero or more";
+  return null;
+}
+
+// GET /api/packages — Active packages (?all=true for owners/admins includes retired ones)
+router.get("/", async (req, res) => {
+  try {
+    let query = supabase
+      .from("lesson_packages")
+      .select("*")
+      .order("created_at", { ascending: false });
+
+    const isAdmin = req.user.role === ROLES.OWNER || req.user.role === ROLES.ADMIN;
+    if (!(isAdmin && req.query.all === "true")) query = query.eq("active", true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (err) {
+    console.error("List packages error:", err);
+    res.status(500).json({ error: "Failed to load packages" });
+  }
+});
+
+// POST /api/packages — Add a package to the catalog
+router.post("/", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const fields = packageFields(req.body);
+    const invalid = !fields.name || fields.hours === undefined || fields.price === undefined
+      ? "Name, hours and price are required"
+      : validatePackage(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data, error } = await supabase
+      .from("lesson_packages")
+      .insert({ ...fields, created_by: req.user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, package: data });
+  } catch (err) {
+    console.error("Create package error:", err);
+    res.status(500).json({ error: "Failed to create package", details: err.message });
+  }
+});
+
+// PUT /api/packages/:id — Update a package (already-sold credit is unaffected)
+router.put("/:id", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const fields = packageFields(req.body);
+    const invalid = validatePackage(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data, error } = await supabase
+      .from("lesson_packages")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .select()
+      .single();
+
+    if (error || !data) return res.status(404).json({ error: "Package not found" });
+    res.json({ success: true, package: data });
+  } catch (err) {
+    console.error("Update package error:", err);
+    res.status(500).json({ error: "Failed to update package" });
+  }
+});
+
+// DELETE /api/packages/:id — Retire a package (kept for existing invoices and credit)
+router.delete("/:id", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("lesson_packages")
+      .update({ active: false, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Retire package error:", err);
+    res.status(500).json({ error: "Failed to retire package" });
+  }
+});
+
+export default router;
@@ -0,0 +1,170 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+import { withNames, createLink, confirmLink } from "../lib/parents.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// GET /api/parents/children — The parent's links, pending and confirmed
+router.get("/children", requireRole(ROLES.PARENT), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("parent_links")
+      .select("*")
+      .eq("parent_id", req.user.id)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    res.json(await withNames(data || []));
+  } catch (err) {
+    console.error("List children error:", err);
+    res.status(500).json({ error: "Failed to load linked students" });
+  }
+});
+
+// POST /api/parents/children — Ask to be linked to a student { student_email }
+router.post("/children", requireRole(ROLES.PARENT), async (req, res) => {
+  try {
+    const result = await createLink(req.user.id, req.body.student_email);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ success: true, link: (await withNames([result.link]))[0] });
+  } catch (err) {
+    console.error("Request parent link error:", err);
+    res.status(500).json({ error: "Failed to request link", details: err.message });
+  }
+});
+
+// DELETE /api/parents/children/:id — Drop a link or cancel a request
+router.delete("/children/:id", requireRole(ROLES.PARENT), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("parent_links")
+      .delete()
+      .eq("id", req.params.id)
+      .eq("parent_id", req.user.id);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Remove parent link error:", err);
+    res.status(500).json({ error: "Failed to remove link" });
+  }
+});
+
+// GET /api/parents/requests — Parents linked to (or asking for) the student
+router.get("/requests", requireRole(ROLES.STUDENT), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("parent_links")
+      .select("*")
+      .eq("student_id", req.user.id)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    res.json(await withNames(data || []));
+  } catch (err) {
+    console.error("List parent requests error:", err);
+    res.status(500).json({ error: "Failed to load parent requests" });
+  }
+});
+
+// POST /api/parents/requests/:id/confirm — Student confirms a parent
+router.post("/requests/:id/confirm", requireRole(ROLES.STUDENT), async (req, res) => {
+  try {
+    const result = await confirmLink(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, link: result.link });
+  } catch (err) {
+    console.error("Confirm parent link error:", err);
+    res.status(500).json({ error: "Failed to confirm parent" });
+  }
+});
+
+// DELETE /api/parents/requests/:id — Student declines or removes a parent
+router.delete("/requests/:id", requireRole(ROLES.STUDENT), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("parent_links")
+      .delete()
+      .eq("id", req.params.id)
+      .eq("student_id", req.user.id);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Remove parent link error:", err);
+    res.status(500).json({ error: "Failed to remove parent" });
+  }
+});
+
+// GET /api/parents/links?status=pending|confirmed — Every parent link (admin/owner)
+router.get("/links", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    let query = supabase
+      .from("parent_links")
+      .select("*")
+      .order("created_at", { ascending: false });
+    if (req.query.status) query = query.eq("status", req.query.status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(await withNames(data || []));
+  } catch (err) {
+    console.error("List parent links error:", err);
+    res.status(500).json({ error: "Failed to load parent links" });
+  }
+});
+
+// POST /api/parents/links — Link a parent to a student, already confirmed { parent_email, student_email }
+router.post("/links", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { data: parent } = await supabase
+      .from("user")
+      .select("id, role")
+      .eq("email", String(req.body.parent_email || "").trim())
+      .single();
+
+    if (!parent || parent.role !== ROLES.PARENT)
+      return res.status(400).json({ error: "No parent account with that email" });
+
+    const result = await createLink(parent.id, req.body.student_email, { confirmedBy: req.user });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ success: true, link: (await withNames([result.link]))[0] });
+  } catch (err) {
+    console.error("Create parent link error:", err);
+    res.status(500).json({ error: "Failed to link parent", details: err.message });
+  }
+});
+
+// POST /api/parents/links/:id/confirm — Confirm a parent's request (admin/owner)
+router.post("/links/:id/confirm", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await confirmLink(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, link: result.link });
+  } catch (err) {
+    console.error("Confirm parent link error:", err);
+    res.status(500).json({ error: "Failed to confirm parent" });
+  }
+});
+
+// DELETE /api/parents/links/:id — Remove any parent link (admin/owner)
+router.delete("/links/:id", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("parent_links")
+      .delete()
+      .eq("id", req.params.id);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Remove parent link error:", err);
+    res.status(500).json({ error: "Failed to remove link" });
+  }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole, requireApproved } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+import { provider } from "../lib/payment-provider.js";
+import {
+  getTeacherAccount,
+  accountStatus,
+  onboardingLink,
+  syncAccountStatus,
+  setFeePercent,
+  teacherEarnings,
+} from "../lib/teacher-accounts.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const BASE_URL = process.env.BETTER_AUTH_URL || "http://localhost:5432";
+
+// ?from=YYYY-MM&to=YYYY-MM, defaulting to the last 12 months
+function monthWindow(query) {
+  const isMonth = (value) => /^\d{4}-\d{2}$/.test(value);
+  const now = new Date();
+  const to = isMonth(query.to) ? query.to : now.toISOString().slice(0, 7);
+  const from = isMonth(query.from)
+    ? query.from
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1)).toISOString().slice(0, 7);
+  return { from, to };
+}
+
+// GET /api/payouts/me?from=&to= — The teacher's payout account and earnings
+router.get("/me", requireRole(ROLES.TEACHER), async (req, res) => {
+  try {
+    const { from, to } = monthWindow(req.query);
+    if (from > to) return res.status(400).json({ error: "from must be before to" });
+
+    // Pick up onboarding progress even if the account.updated webhook hasn't arrived
+    const row = await getTeacherAccount(req.user.id);
+    if (accountStatus(row) === "pending") {
+      try {
+        await syncAccountStatus(await provider.retrieveAccount(row.stripe_account_id));
+      } catch (err) {
+        console.error("Refresh payout account error:", err.message);
+      }
+    }
+
+    res.json(await teacherEarnings(req.user.id, { from, to }));
+  } catch (err) {
+    console.error("Teacher earnings error:", err);
+    res.status(500).json({ error: "Failed to load earnings" });
+  }
+});
+
+// POST /api/payouts/me/onboard — Link to set up (or finish) the teacher's payout account
+router.post("/me/onboard", requireRole(ROLES.TEACHER), requireApproved, async (req, res) => {
+  try {
+    const url = await onboardingLink(req.user, {
+      returnUrl: `${BASE_URL}/dashboard?payouts=done`,
+      refreshUrl: `${BASE_URL}/dashboard?payouts=retry`,
+    });
+    res.json({ url });
+  } catch (err) {
+    console.error("Payout onboarding error:", err);
+    res.status(500).json({ error: "Failed to start payout setup", details: err.message });
+  }
+});
+
+// GET /api/payouts/teachers — Every teacher's payout account and fee (admin/owner)
+router.get("/teachers", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { data: teachers, error } = await supabase
+      .from("user")
+      .select("id, name, email, firstName, lastName, isApproved")
+      .eq("role", ROLES.TEACHER)
+      .order("name", { ascending: true });
+
+    if (error) throw error;
+
+    const { data: accounts, error: accountsError } = await supabase
+      .from("teacher_accounts")
+      .select("*");
+
+    if (accountsError) throw accountsError;
+
+    const byTeacher = new Map((accounts || []).map((row) => [row.teacher_id, row]));
+    res.json(
+      (teachers || []).map((t) => {
+        const row = byTeacher.get(t.id);
+        return {
+          id: t.id,
+          name: [t.firstName, t.lastName].filter(Boolean).join(" ") || t.name || t.email,
+          email: t.email,
+          isApproved: t.isApproved,
+          account_status: accountStatus(row),
+          stripe_account_id: row?.stripe_account_id || null,
+          payouts_enabled: !!row?.payouts_enabled,
+          fee_percent: row?.fee_percent != null ? parseFloat(row.fee_percent) : null,
+        };
+      })
+    );
+  } catch (err) {
+    console.error("List teacher accounts error:", err);
+    res.status(500).json({ error: "Failed to load teacher accounts" });
+  }
+});
+
+// GET /api/payouts/teachers/:id?from=&to= — One teacher's earnings (admin/owner)
+router.get("/teachers/:id", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { from, to } = monthWindow(req.query);
+    if (from > to) return res.status(400).json({ error: "from must be before to" });
+
+    res.json(await teacherEarnings(req.params.id, { from, to }));
+  } catch (err) {
+    console.error("Teacher earnings error:", err);
+    res.status(500).json({ error: "Failed to load earnings" });
+  }
+});
+
+// PUT /api/payouts/teachers/:id — Set a teacher's platform fee; blank resets to the default
+router.put("/teachers/:id", requireRole(ROLES.OWNER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const raw = req.body.fee_percent;
+    const feePercent = raw === null || raw === undefined || raw === "" ? null : parseFloat(raw);
+    if (feePercent !== null && !(feePercent >= 0 && feePercent <= 100)) {
+      return res.status(400).json({ error: "Fee must be between 0 and 100" });
+    }
+
+    const { data: teacher } = await supabase
+      .from("user")
+      .select("id, role")
+      .eq("id", req.params.id)
+      .single();
+
+    if (!teacher || teacher.role !== ROLES.TEACHER)
+      return res.status(404).json({ error: "Teacher not found" });
+
+    const row = await setFeePercent(teacher.id, feePercent);
+    res.json({ success: true, account: row });
+  } catch (err) {
+    console.error("Update teacher fee error:", err);
+    res.status(500).json({ error: "Failed to update fee", details: err.message });
+  }
+});
+
+export default router;
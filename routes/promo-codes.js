@@ -0,0 +1,230 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+import { DISCOUNT_TYPES, normalizeCode } from "../lib/promos.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole(ROLES.OWNER, ROLES.ADMIN));
+
+// Catalog fields shared by create and update (flat discounts in dollars)
+function promoFields(body, currentType) {
+  const fields = {};
+  if (body.code !== undefined) fields.code = normalizeCode(body.code);
+  if (body.description !== undefined) fields.description = body.description || "";
+  if (body.discount_type !== undefined) fields.discount_type = body.discount_type;
+  if (body.discount_value !== undefined) fields.discount_value = parseFloat(body.discount_value);
+  if (body.expires_at !== undefined) fields.expires_at = body.expires_at || null;
+  if (body.max_redemptions !== undefined) fields.max_redemptions = parseInt(body.max_redemptions) || null;
+  if (body.max_per_student !== undefined) fields.max_per_student = parseInt(body.max_per_student) || null;
+  if (body.class_names !== undefined) {
+    fields.class_names = (Array.isArray(body.class_names) ? body.class_names : String(body.class_names).split(","))
+      .map((name) => String(name).trim())
+      .filter(Boolean);
+  }
+  if (body.active !== undefined) fields.active = !!body.active;
+
+  // Flat amounts are stored in cents
+  if (fields.discount_value !== undefined && (fields.discount_type || currentType) === "flat") {
+    fields.discount_value = Math.round(fields.discount_value * 100);
+  }
+  return fields;
+}
+
+function validatePromo(fields) {
+  if (fields.code !== undefined && !/^[A-Z0-9_-]{3,32}$/.test(fields.code))
+    return "Code must be 3–32 letters, numbers, dashes or underscores";
+  if (fields.discount_type !== undefined && !DISCOUNT_TYPES.includes(fields.discount_type))
+    return "Discount type must be percent or flat";
+  if (fields.discount_value !== undefined && !(fields.discount_value > 0))
+    return "Discount must be greater than zero";
+  if (fields.discount_type === "percent" && fields.discount_value > 100)
+    return "A percent discount can't be more than 100";
+  if (fields.expires_at && isNaN(new Date(fields.expires_at)))
+    return "Expiry must be a valid date";
+  return null;
+}
+
+// GET /api/promo-codes — Catalog with live redemption counts
+router.get("/", async (req, res) => {
+  try {
+    const { data: codes, error } = await supabase
+      .from("promo_codes")
+      .select("*")
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+
+    const { data: redemptions } = await supabase
+      .from("promo_redemptions")
+      .select("promo_code_id")
+      .is("voided_at", null);
+    const counts = {};
+    (redemptions || []).forEach((r) => { counts[r.promo_code_id] = (counts[r.promo_code_id] || 0) + 1; });
+
+    res.json((codes || []).map((code) => ({ ...code, redemptions: counts[code.id] || 0 })));
+  } catch (err) {
+    console.error("List promo codes error:", err);
+    res.status(500).json({ error: "Failed to load promo codes" });
+  }
+});
+
+// GET /api/promo-codes/redemptions?code=&from=&to= — Redemption report
+router.get("/redemptions", async (req, res) => {
+  try {
+    const isDate = (value) => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDate(req.query.from) || !isDate(req.query.to)) {
+      return res.status(400).json({ error: "from and to must be YYYY-MM-DD" });
+    }
+
+    const { data: codes, error: codesError } = await supabase
+      .from("promo_codes")
+      .select("id, code, discount_type, discount_value");
+    if (codesError) throw codesError;
+    const codesById = Object.fromEntries((codes || []).map((c) => [c.id, c]));
+
+    let query = supabase
+      .from("promo_redemptions")
+      .select("*")
+      .order("created_at", { ascending: false });
+    if (req.query.code) {
+      const match = (codes || []).find((c) => c.code === normalizeCode(req.query.code));
+      if (!match) return res.json({ summary: [], redemptions: [] });
+      query = query.eq("promo_code_id", match.id);
+    }
+    if (req.query.from) query = query.gte("created_at", req.query.from);
+    if (req.query.to) query = query.lt("created_at", `${req.query.to}T23:59:59.999Z`);
+
+    const { data: redemptions, error } = await query;
+    if (error) throw error;
+
+    const invoiceIds = (redemptions || []).map((r) => r.invoice_id).filter(Boolean);
+    const invoicesById = {};
+    if (invoiceIds.length) {
+      const { data: invoices } = await supabase
+        .from("invoices")
+        .select("id, invoice_number, customer_name, class_name, status, total")
+        .in("id", invoiceIds);
+      (invoices || []).forEach((inv) => { invoicesById[inv.id] = inv; });
+    }
+
+    const rows = (redemptions || [])
+      .filter((r) => r.invoice_id) // unfinished claims
+      .map((r) => {
+        const invoice = invoicesById[r.invoice_id] || {};
+        return {
+          id: r.id,
+          code: codesById[r.promo_code_id]?.code || "",
+          student_email: r.student_email,
+          customer_name: invoice.customer_name || "",
+          invoice_id: r.invoice_id,
+          invoice_number: invoice.invoice_number,
+          class_name: invoice.class_name || "",
+          invoice_status: invoice.status,
+          invoice_total: invoice.total || 0,
+          discount: r.discount,
+          voided: !!r.voided_at,
+          created_at: r.created_at,
+        };
+      });
+
+    const summary = {};
+    rows.forEach((row) => {
+      if (!summary[row.code]) summary[row.code] = { code: row.code, redemptions: 0, voided: 0, discount: 0, students: new Set() };
+      const s = summary[row.code];
+      if (row.voided) { s.voided += 1; return; }
+      s.redemptions += 1;
+      s.discount += row.discount;
+      s.students.add(row.student_email);
+    });
+
+    res.json({
+      summary: Object.values(summary)
+        .map(({ students, ...s }) => ({ ...s, students: students.size }))
+        .sort((a, b) => b.discount - a.discount),
+      redemptions: rows,
+    });
+  } catch (err) {
+    console.error("Promo redemption report error:", err);
+    res.status(500).json({ error: "Failed to load redemptions" });
+  }
+});
+
+// POST /api/promo-codes — Add a code
+router.post("/", async (req, res) => {
+  try {
+    const fields = promoFields(req.body);
+    const invalid = !fields.code || !fields.discount_type || fields.discount_value === undefined
+      ? "Code, discount type and discount value are required"
+      : validatePromo(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data, error } = await supabase
+      .from("promo_codes")
+      .insert({ ...fields, created_by: req.user.id })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return res.status(400).json({ error: `Promo code ${fields.code} already exists` });
+      throw error;
+    }
+    res.json({ success: true, promo_code: data });
+  } catch (err) {
+    console.error("Create promo code error:", err);
+    res.status(500).json({ error: "Failed to create promo code", details: err.message });
+  }
+});
+
+// PUT /api/promo-codes/:id — Update a code (existing invoices keep their discount)
+router.put("/:id", async (req, res) => {
+  try {
+    const { data: existing } = await supabase
+      .from("promo_codes")
+      .select("discount_type")
+      .eq("id", req.params.id)
+      .single();
+    if (!existing) return res.status(404).json({ error: "Promo code not found" });
+
+    const fields = promoFields(req.body, existing.discount_type);
+    const invalid = fields.discount_type && fields.discount_type !== existing.discount_type &&
+      fields.discount_value === undefined
+      ? "Send a discount value when changing the discount type"
+      : validatePromo({ discount_type: existing.discount_type, ...fields });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data, error } = await supabase
+      .from("promo_codes")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return res.status(400).json({ error: `Promo code ${fields.code} already exists` });
+      throw error;
+    }
+    res.json({ success: true, promo_code: data });
+  } catch (err) {
+    console.error("Update promo code error:", err);
+    res.status(500).json({ error: "Failed to update promo code" });
+  }
+});
+
+// DELETE /api/promo-codes/:id — Deactivate a code (kept for the redemption report)
+router.delete("/:id", async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("promo_codes")
+      .update({ active: false, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Deactivate promo code error:", err);
+    res.status(500).json({ error: "Failed to deactivate promo code" });
+  }
+});
+
+export default router;
@@ -0,0 +1,365 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+import { parseLineItems, quoteInvoice } from "../lib/pricing.js";
+import {
+  FREQUENCIES,
+  today,
+  addDays,
+  nextCycleDate,
+  upcomingRunDates,
+  runDueRecurringInvoices,
+} from "../lib/recurring.js";
+import { resolveTaxProfile } from "../lib/tax.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole(ROLES.OWNER, ROLES.ADMIN));
+
+// Template fields shared by create and update
+function scheduleFields(body) {
+  const fields = {};
+  const copy = [
+    "customer_email", "customer_name", "class_name", "description",
+    "discount_type", "discount_label", "frequency", "start_date", "end_date",
+  ];
+  copy.forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key] || (key === "end_date" ? null : "");
+  });
+  if (body.tax_profile_id !== undefined) fields.tax_profile_id = body.tax_profile_id || null;
+  if (body.teacher_id !== undefined) fields.teacher_id = body.teacher_id || null;
+  if (body.billing_contact_id !== undefined) fields.billing_contact_id = body.billing_contact_id || null;
+  if (body.items !== undefined) {
+    // Store the template in request format (dollars) so it can be re-priced each cycle
+    fields.items = parseLineItems({ items: body.items }).map((item) => ({
+      description: item.description,
+      quantity: item.quantity,
+      unit_price: item.unit_price / 100,
+      taxable: item.taxable,
+      kind: item.kind,
+      package_id: item.package_id,
+      student_email: item.student_email,
+    }));
+  }
+  if (body.discount_value !== undefined) fields.discount_value = parseFloat(body.discount_value || 0);
+  if (body.tax_rate !== undefined) fields.tax_rate = parseFloat(body.tax_rate || 0);
+  if (body.pass_merchant_fee !== undefined) fields.pass_merchant_fee = !!body.pass_merchant_fee;
+  if (body.auto_send !== undefined) fields.auto_send = !!body.auto_send;
+  if (body.due_days !== undefined) fields.due_days = parseInt(body.due_days) || 0;
+  return fields;
+}
+
+// Next cycle's total, with the tax profile the invoice would get
+async function estimateTotal(schedule) {
+  try {
+    return quoteInvoice(await resolveTaxProfile(schedule)).total;
+  } catch (err) {
+    if (!err.invalid) throw err;
+    return quoteInvoice(schedule).total; // profile retired since the schedule was set up
+  }
+}
+
+// GET /api/recurring-invoices — List schedules
+router.get("/", async (req, res) => {
+  try {
+    let query = supabase
+      .from("recurring_invoices")
+      .select("*")
+      .order("created_at", { ascending: false });
+
+    if (req.query.status) query = query.eq("status", req.query.status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    for (const schedule of data || []) {
+      schedule.estimated_total = await estimateTotal(schedule);
+    }
+
+    res.json(data || []);
+  } catch (err) {
+    console.error("List recurring invoices error:", err);
+    res.status(500).json({ error: "Failed to load recurring invoices" });
+  }
+});
+
+// GET /api/recurring-invoices/upcoming?days=30 — Upcoming runs across all active schedules
+router.get("/upcoming", async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 366);
+    const until = addDays(today(), days);
+
+    const { data: schedules, error } = await supabase
+      .from("recurring_invoices")
+      .select("*")
+      .eq("status", "active")
+      .lte("next_run_date", until);
+
+    if (error) throw error;
+
+    const runs = [];
+    for (const schedule of schedules || []) {
+      const total = await estimateTotal(schedule);
+      upcomingRunDates(schedule, until).forEach((runDate) => {
+        runs.push({
+          schedule_id: schedule.id,
+          run_date: runDate,
+          customer_name: schedule.customer_name,
+          customer_email: schedule.customer_email,
+          class_name: schedule.class_name,
+          auto_send: schedule.auto_send,
+          estimated_total: total,
+        });
+      });
+    }
+    runs.sort((a, b) => a.run_date.localeCompare(b.run_date));
+
+    res.json(runs);
+  } catch (err) {
+    console.error("Upcoming recurring invoices error:", err);
+    res.status(500).json({ error: "Failed to load upcoming runs" });
+  }
+});
+
+// POST /api/recurring-invoices/run — Generate every due invoice now
+router.post("/run", async (req, res) => {
+  try {
+    const result = await runDueRecurringInvoices();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Run recurring invoices error:", err);
+    res.status(500).json({ error: "Failed to run recurring invoices", details: err.message });
+  }
+});
+
+// GET /api/recurring-invoices/:id — Schedule with generated invoices and next runs
+router.get("/:id", async (req, res) => {
+  try {
+    const { data: schedule, error } = await supabase
+      .from("recurring_invoices")
+      .select("*")
+      .eq("id", req.params.id)
+      .single();
+
+    if (error || !schedule)
+      return res.status(404).json({ error: "Recurring invoice not found" });
+
+    const { data: invoices } = await supabase
+      .from("invoices")
+      .select("id, invoice_number, total, status, due_date, created_at")
+      .eq("recurring_invoice_id", schedule.id)
+      .order("created_at", { ascending: false });
+
+    schedule.invoices = invoices || [];
+    schedule.estimated_total = await estimateTotal(schedule);
+    schedule.upcoming = upcomingRunDates(schedule, addDays(today(), 90));
+
+    res.json(schedule);
+  } catch (err) {
+    console.error("Get recurring invoice error:", err);
+    res.status(500).json({ error: "Failed to load recurring invoice" });
+  }
+});
+
+// POST /api/recurring-invoices — Create a schedule
+router.post("/", async (req, res) => {
+  try {
+    const fields = scheduleFields(req.body);
+
+    if (!fields.customer_email || !fields.items || fields.items.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Student and at least one line item are required" });
+    }
+    if (!FREQUENCIES.includes(fields.frequency)) {
+      return res
+        .status(400)
+        .json({ error: "Frequency must be weekly, biweekly or monthly" });
+    }
+
+    fields.start_date = fields.start_date || today();
+    if (fields.end_date && fields.end_date < fields.start_date) {
+      return res.status(400).json({ error: "End date must be after start date" });
+    }
+
+    // Link to the student account when one exists
+    const { data: student } = await supabase
+      .from("user")
+      .select("id")
+      .eq("email", fields.customer_email)
+      .single();
+
+    const { data: schedule, error } = await supabase
+      .from("recurring_invoices")
+      .insert({
+        ...fields,
+        student_id: student ? student.id : null,
+        next_run_date: fields.start_date,
+        status: "active",
+        created_by: req.user.id,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, schedule });
+  } catch (err) {
+    console.error("Create recurring invoice error:", err);
+    res.status(500).json({ error: "Failed to create recurring invoice", details: err.message });
+  }
+});
+
+// PUT /api/recurring-invoices/:id — Update the template or schedule
+router.put("/:id", async (req, res) => {
+  try {
+    const { data: existing } = await supabase
+      .from("recurring_invoices")
+      .select("*")
+      .eq("id", req.params.id)
+      .single();
+
+    if (!existing)
+      return res.status(404).json({ error: "Recurring invoice not found" });
+
+    const updates = scheduleFields(req.body);
+
+    if (updates.frequency && !FREQUENCIES.includes(updates.frequency)) {
+      return res
+        .status(400)
+        .json({ error: "Frequency must be weekly, biweekly or monthly" });
+    }
+    if (updates.items && updates.items.length === 0) {
+      return res.status(400).json({ error: "At least one line item is required" });
+    }
+
+    // A new start date restarts the cycle if nothing has been billed yet
+    if (updates.start_date && !existing.last_run_at) {
+      updates.next_run_date = updates.start_date;
+    }
+
+    const { data, error } = await supabase
+      .from("recurring_invoices")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, schedule: data });
+  } catch (err) {
+    console.error("Update recurring invoice error:", err);
+    res.status(500).json({ error: "Failed to update recurring invoice" });
+  }
+});
+
+// POST /api/recurring-invoices/:id/pause — Stop generating invoices
+router.post("/:id/pause", async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("recurring_invoices")
+      .update({ status: "paused", updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .eq("status", "active")
+      .select()
+      .single();
+
+    if (error || !data)
+      return res.status(400).json({ error: "Only active schedules can be paused" });
+    res.json({ success: true, schedule: data });
+  } catch (err) {
+    console.error("Pause recurring invoice error:", err);
+    res.status(500).json({ error: "Failed to pause recurring invoice" });
+  }
+});
+
+// POST /api/recurring-invoices/:id/resume — Resume without back-billing missed cycles
+router.post("/:id/resume", async (req, res) => {
+  try {
+    const { data: schedule } = await supabase
+      .from("recurring_invoices")
+      .select("*")
+      .eq("id", req.params.id)
+      .single();
+
+    if (!schedule || schedule.status !== "paused")
+      return res.status(400).json({ error: "Only paused schedules can be resumed" });
+
+    let nextDate = schedule.next_run_date || schedule.start_date;
+    while (nextDate < today()) {
+      nextDate = nextCycleDate(nextDate, schedule.frequency, schedule.start_date);
+    }
+    const ended = schedule.end_date && nextDate > schedule.end_date;
+
+    const { data, error } = await supabase
+      .from("recurring_invoices")
+      .update({
+        status: ended ? "ended" : "active",
+        next_run_date: ended ? null : nextDate,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, schedule: data });
+  } catch (err) {
+    console.error("Resume recurring invoice error:", err);
+    res.status(500).json({ error: "Failed to resume recurring invoice" });
+  }
+});
+
+// POST /api/recurring-invoices/:id/skip — Skip the next cycle
+router.post("/:id/skip", async (req, res) => {
+  try {
+    const { data: schedule } = await supabase
+      .from("recurring_invoices")
+      .select("*")
+      .eq("id", req.params.id)
+      .single();
+
+    if (!schedule || schedule.status === "ended" || !schedule.next_run_date)
+      return res.status(400).json({ error: "This schedule has no upcoming cycle" });
+
+    const nextDate = nextCycleDate(schedule.next_run_date, schedule.frequency, schedule.start_date);
+    const ended = schedule.end_date && nextDate > schedule.end_date;
+
+    const { data, error } = await supabase
+      .from("recurring_invoices")
+      .update({
+        status: ended ? "ended" : schedule.status,
+        next_run_date: ended ? null : nextDate,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", req.params.id)
+      .eq("next_run_date", schedule.next_run_date)
+      .select()
+      .single();
+
+    if (error || !data)
+      return res.status(409).json({ error: "This cycle was just billed — try again" });
+    res.json({ success: true, skipped: schedule.next_run_date, schedule: data });
+  } catch (err) {
+    console.error("Skip recurring invoice error:", err);
+    res.status(500).json({ error: "Failed to skip cycle" });
+  }
+});
+
+// DELETE /api/recurring-invoices/:id — End a schedule (generated invoices are kept)
+router.delete("/:id", async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("recurring_invoices")
+      .update({ status: "ended", next_run_date: null, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("End recurring invoice error:", err);
+    res.status(500).json({ error: "Failed to end recurring invoice" });
+  }
+});
+
+export default router;
@@ -0,0 +1,176 @@
+import express from "express";
+import supabase from "../database.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { ROLES } from "../lib/auth.js";
+import { ITEM_KINDS } from "../lib/pricing.js";
+import { DEFAULT_SCOPES } from "../lib/tax.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole(ROLES.OWNER, ROLES.ADMIN));
+
+// Profile fields shared by create and update
+function profileFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name || "").trim();
+  if (body.rate !== undefined) fields.rate = parseFloat(body.rate);
+  if (body.taxable_kinds !== undefined) {
+    fields.taxable_kinds = Array.isArray(body.taxable_kinds) ? body.taxable_kinds : [];
+  }
+  if (body.inclusive !== undefined) fields.inclusive = !!body.inclusive;
+  if (body.active !== undefined) fields.active = !!body.active;
+  return fields;
+}
+
+function validateProfile(fields) {
+  if (fields.name !== undefined && !fields.name) return "Profile name is required";
+  if (fields.rate !== undefined && !(fields.rate >= 0 && fields.rate <= 100))
+    return "Rate must be between 0 and 100";
+  if (fields.taxable_kinds !== undefined && !fields.taxable_kinds.every((kind) => ITEM_KINDS.includes(kind)))
+    return `Taxable kinds must be from: ${ITEM_KINDS.join(", ")}`;
+  return null;
+}
+
+// GET /api/tax-profiles — Active profiles (?all=true includes retired ones)
+router.get("/", async (req, res) => {
+  try {
+    let query = supabase
+      .from("tax_profiles")
+      .select("*")
+      .order("name", { ascending: true });
+    if (req.query.all !== "true") query = query.eq("active", true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (err) {
+    console.error("List tax profiles error:", err);
+    res.status(500).json({ error: "Failed to load tax profiles" });
+  }
+});
+
+// GET /api/tax-profiles/defaults — Student and class defaults
+router.get("/defaults", async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("tax_defaults")
+      .select("*")
+      .order("scope", { ascending: true })
+      .order("key", { ascending: true });
+    if (error) throw error;
+    res.json(data || []);
+  } catch (err) {
+    console.error("List tax defaults error:", err);
+    res.status(500).json({ error: "Failed to load tax defaults" });
+  }
+});
+
+// PUT /api/tax-profiles/defaults — Set the default profile for a student (email) or class
+router.put("/defaults", async (req, res) => {
+  try {
+    const { scope, tax_profile_id } = req.body;
+    const key = String(req.body.key || "").trim();
+    if (!DEFAULT_SCOPES.includes(scope) || !key || !tax_profile_id) {
+      return res.status(400).json({ error: "Scope (student or class), key and tax_profile_id are required" });
+    }
+
+    const { data: profile } = await supabase
+      .from("tax_profiles")
+      .select("id, active")
+      .eq("id", tax_profile_id)
+      .single();
+    if (!profile || !profile.active) return res.status(400).json({ error: "Tax profile not found" });
+
+    const { data, error } = await supabase
+      .from("tax_defaults")
+      .upsert({ scope, key, tax_profile_id }, { onConflict: "scope,key" })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, default: data });
+  } catch (err) {
+    console.error("Set tax default error:", err);
+    res.status(500).json({ error: "Failed to set tax default" });
+  }
+});
+
+// DELETE /api/tax-profiles/defaults/:scope/:key — Remove a default
+router.delete("/defaults/:scope/:key", async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("tax_defaults")
+      .delete()
+      .eq("scope", req.params.scope)
+      .eq("key", req.params.key);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Remove tax default error:", err);
+    res.status(500).json({ error: "Failed to remove tax default" });
+  }
+});
+
+// POST /api/tax-profiles — Add a profile
+router.post("/", async (req, res) => {
+  try {
+    const fields = profileFields(req.body);
+    const invalid = !fields.name || fields.rate === undefined
+      ? "Name and rate are required"
+      : validateProfile(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data, error } = await supabase
+      .from("tax_profiles")
+      .insert({ ...fields, created_by: req.user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, tax_profile: data });
+  } catch (err) {
+    console.error("Create tax profile error:", err);
+    res.status(500).json({ error: "Failed to create tax profile", details: err.message });
+  }
+});
+
+// PUT /api/tax-profiles/:id — Update a profile (invoices already priced keep their snapshot)
+router.put("/:id", async (req, res) => {
+  try {
+    const fields = profileFields(req.body);
+    const invalid = validateProfile(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data, error } = await supabase
+      .from("tax_profiles")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .select()
+      .single();
+
+    if (error || !data) return res.status(404).json({ error: "Tax profile not found" });
+    res.json({ success: true, tax_profile: data });
+  } catch (err) {
+    console.error("Update tax profile error:", err);
+    res.status(500).json({ error: "Failed to update tax profile" });
+  }
+});
+
+// DELETE /api/tax-profiles/:id — Retire a profile (kept for existing invoices)
+router.delete("/:id", async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("tax_profiles")
+      .update({ active: false, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Retire tax profile error:", err);
+    res.status(500).json({ error: "Failed to retire tax profile" });
+  }
+});
+
+export default router;
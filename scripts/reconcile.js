@@ -0,0 +1,22 @@
+import "dotenv/config";
+import { reconcileInvoices } from "../lib/reconcile.js";
+
+// Required for Supabase pooler SSL
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
+
+// Usage: npm run reconcile [-- --dry-run]
+
+const dryRun = process.argv.includes("--dry-run");
+const result = await reconcileInvoices({ dryRun });
+
+console.log(`Checked ${result.checked} open invoice(s)${dryRun ? " (dry run)" : ""}`);
+for (const m of result.mismatches) {
+  const action = dryRun ? "would set" : m.corrected ? "set" : "skipped (changed meanwhile)";
+  console.log(`  ${m.invoice_id} ${m.customer_name}: ${m.from} → ${m.to} [Stripe: ${m.stripe_status}] ${action}`);
+}
+for (const e of result.errors) {
+  console.error(`  ${e.invoice_id}: ${e.error}`);
+}
+if (result.mismatches.length === 0) console.log("No mismatches");
+
+process.exit(result.errors.length ? 1 : 0);
@@ -16,6 +16,18 @@ import adminRoutes from "./routes/admin.js";
 import authRoutes from "./routes/auth.js";
 import invoiceRoutes from "./routes/invoices.js";
 import stripeWebhookRoutes from "./routes/stripe-webhook.js";
+import recurringInvoiceRoutes from "./routes/recurring-invoices.js";
+import cronRoutes from "./routes/cron.js";
+import packageRoutes from "./routes/packages.js";
+import creditRoutes from "./routes/credits.js";
+import promoCodeRoutes from "./routes/promo-codes.js";
+import taxProfileRoutes from "./routes/tax-profiles.js";
+import fakePayRoutes from "./routes/fake-pay.js";
+import payoutRoutes from "./routes/payouts.js";
+import billingContactRoutes from "./routes/billing-contacts.js";
+import parentRoutes from "./routes/parents.js";
+import invitationRoutes from "./routes/invitations.js";
+import { PROVIDER_NAME } from "./lib/payment-provider.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -47,6 +59,17 @@ app.use("/api/assignments", assignmentRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/invoices", invoiceRoutes);
+app.use("/api/recurring-invoices", recurringInvoiceRoutes);
+app.use("/api/cron", cronRoutes);
+app.use("/api/packages", packageRoutes);
+app.use("/api/credits", creditRoutes);
+app.use("/api/promo-codes", promoCodeRoutes);
+app.use("/api/tax-profiles", taxProfileRoutes);
+app.use("/api/payouts", payoutRoutes);
+app.use("/api/billing-contacts", billingContactRoutes);
+app.use("/api/parents", parentRoutes);
+app.use("/api/invitations", invitationRoutes);
+if (PROVIDER_NAME === "fake") app.use("/api/fake-pay", fakePayRoutes);
 
 // Page routes
 app.get("/", (req, res) => {
@@ -61,6 +84,11 @@ app.get("/register", (req, res) => {
   res.sendFile(path.join(__dirname, "views", "register.html"));
 });
 
+// Public — the signed link from an invitation email
+app.get("/invite/:id", (req, res) => {
+  res.sendFile(path.join(__dirname, "views", "accept-invite.html"));
+});
+
 // Role-based dashboard routing
 app.get("/dashboard", requireAuth, (req, res) => {
   const role = req.user.role;
@@ -68,6 +96,8 @@ app.get("/dashboard", requireAuth, (req, res) => {
     res.sendFile(path.join(__dirname, "views", "admin-dashboard.html"));
   } else if (role === "teacher") {
     res.sendFile(path.join(__dirname, "views", "teacher-dashboard.html"));
+  } else if (role === "parent") {
+    res.sendFile(path.join(__dirname, "views", "parent-dashboard.html"));
   } else {
     res.sendFile(path.join(__dirname, "views", "student-dashboard.html"));
   }
@@ -87,6 +117,13 @@ app.get("/invoice/:id", (req, res) => {
   res.sendFile(path.join(__dirname, "views", "invoice-detail.html"));
 });
 
+// Hosted pay page for the fake payment provider
+if (PROVIDER_NAME === "fake") {
+  app.get("/pay/fake/:id", (req, res) => {
+    res.sendFile(path.join(__dirname, "views", "fake-pay.html"));
+  });
+}
+
 app.get("/invoices", requireAuth, (req, res) => {
   if (req.user.role !== "owner" && req.user.role !== "admin") {
     return res.redirect("/dashboard");
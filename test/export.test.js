@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/env.js";
+import { stripeCollected, processingCost, netPayout, invoicesToCsv, invoicesToIif, IIF_ACCOUNTS } from "../lib/export.js";
+
+const PAID_AT = "2026-10-02T15:00:00Z";
+
+// Paid in full through Stripe, the processing fee passed on to the student
+const cardInvoice = {
+  id: "inv_card",
+  invoice_number: "GTB-2026-0001",
+  created_at: "2026-10-01T12:00:00Z",
+  due_date: "2026-10-31",
+  paid_at: PAID_AT,
+  status: "paid",
+  customer_name: "Ava Park",
+  customer_email: "ava@example.com",
+  subtotal: 10000,
+  discount: 0,
+  tax_amount: 0,
+  tax_rate: 0,
+  merchant_fee: 320,
+  total: 10320,
+  amount_paid: 10320,
+  application_fee: 21,
+  refunded_amount: 0,
+};
+
+// $40 paid by check, $60 by card; $25 refunded, $5 of it in cash
+const mixedInvoice = {
+  ...cardInvoice,
+  id: "inv_mixed",
+  invoice_number: "GTB-2026-0002",
+  merchant_fee: 0,
+  total: 10000,
+  amount_paid: 10000,
+  application_fee: 20,
+  refunded_amount: 2500,
+  status: "partially_refunded",
+};
+const mixedSettlement = { offline: 4000, refundedOutOfBand: 500 };
+
+test("stripeCollected leaves out offline payments and unpaid invoices", () => {
+  assert.equal(stripeCollected(cardInvoice), 10320);
+  assert.equal(stripeCollected(mixedInvoice, mixedSettlement), 6000);
+  assert.equal(stripeCollected({ ...cardInvoice, paid_at: null }), 0);
+  assert.equal(stripeCollected(mixedInvoice, { offline: 10000 }), 0);
+});
+
+test("processingCost is the passed-on fee only when Stripe collected the whole invoice", () => {
+  assert.equal(processingCost(cardInvoice), 320);
+  assert.equal(processingCost(mixedInvoice, mixedSettlement), Math.round(6000 * 0.029 + 30));
+  // Written off: Stripe collected less than the total
+  const writtenOff = { ...cardInvoice, amount_paid: 5000, written_off_amount: 5320 };
+  assert.equal(processingCost(writtenOff), Math.round(5000 * 0.029 + 30));
+  assert.equal(processingCost(mixedInvoice, { offline: 10000 }), 0);
+});
+
+test("netPayout takes out Stripe refunds, processing and the platform fee", () => {
+  assert.equal(netPayout(cardInvoice), 10320 - 320 - 21);
+  // 6000 collected, 2000 refunded through Stripe
+  assert.equal(netPayout(mixedInvoice, mixedSettlement), 6000 - 2000 - 204 - 20);
+  assert.equal(netPayout({ ...cardInvoice, paid_at: null }), 0);
+});
+
+test("CSV puts invoice figures on the first line item only", () => {
+  const items = {
+    inv_card: [
+      { description: "Lesson", quantity: 2, unit_price: 4000, amount: 8000, taxable: true },
+      { description: "Workbook, 2nd ed.", quantity: 1, unit_price: 2000, amount: 2000, taxable: false },
+    ],
+  };
+  const [header, first, second] = invoicesToCsv([{ ...cardInvoice, customer_name: "Park, Ava" }], items).split("\r\n");
+  const columns = header.split(",");
+  const firstCells = first.replace('"Park, Ava"', "Park Ava").split(",");
+  const secondCells = second.replace('"Park, Ava"', "Park Ava").replace('"Workbook, 2nd ed."', "Workbook").split(",");
+
+  assert.ok(first.includes('"Park, Ava"'));
+  assert.equal(firstCells[columns.indexOf("total")], "103.20");
+  assert.equal(firstCells[columns.indexOf("net_payout")], "99.79");
+  assert.equal(secondCells[columns.indexOf("total")], "");
+  assert.equal(secondCells[columns.indexOf("taxable")], "N");
+  assert.equal(secondCells[columns.indexOf("line_amount")], "20.00");
+});
+
+// Each IIF transaction's amounts, in cents, keyed by account
+function iifTransactions(iif) {
+  const transactions = [];
+  let current = null;
+  iif.split("\r\n").forEach((line) => {
+    const cells = line.split("\t");
+    if (cells[0] === "TRNS") current = { type: cells[1], amounts: [] };
+    if (cells[0] === "TRNS" || cells[0] === "SPL") current.amounts.push([cells[3], Math.round(parseFloat(cells[6]) * 100)]);
+    if (cells[0] === "ENDTRNS" && current) {
+      transactions.push(current);
+      current = null;
+    }
+  });
+  return transactions;
+}
+
+test("IIF transactions balance, payout journal included", () => {
+  const taxed = {
+    ...mixedInvoice,
+    id: "inv_taxed",
+    subtotal: 10000,
+    discount: 1000,
+    tax_rate: 8,
+    tax_amount: 720,
+    merchant_fee: 0,
+    total: 9720,
+    amount_paid: 9720,
+  };
+  const items = {
+    inv_taxed: [
+      { description: "Lesson", quantity: 1, unit_price: 10000, amount: 10000, taxable: true, tax_amount: 720 },
+    ],
+  };
+  const iif = invoicesToIif([cardInvoice, taxed], items, { inv_taxed: mixedSettlement });
+  const transactions = iifTransactions(iif);
+
+  assert.deepEqual(transactions.map((t) => t.type), ["INVOICE", "GENERAL JOURNAL", "INVOICE", "GENERAL JOURNAL"]);
+  transactions.forEach((t) => {
+    assert.equal(t.amounts.reduce((sum, [, amount]) => sum + amount, 0), 0, `${t.type} balances`);
+  });
+
+  const journal = Object.fromEntries(transactions[3].amounts);
+  assert.equal(journal[IIF_ACCOUNTS.receivable], -(9720 - 4000));
+  assert.equal(journal[IIF_ACCOUNTS.refunds], 2000);
+});
+
+test("IIF has no payout journal for an invoice paid entirely offline", () => {
+  const iif = invoicesToIif([mixedInvoice], {}, { inv_mixed: { offline: 10000 } });
+  assert.deepEqual(iifTransactions(iif).map((t) => t.type), ["INVOICE"]);
+});
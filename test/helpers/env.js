@@ -0,0 +1,7 @@
+// Settings lib modules read on import. The database, auth and email
+// clients are created but never called by the unit tests.
+process.env.SUPABASE_URL ||= "http://localhost:54321";
+process.env.SUPABASE_ANON_KEY ||= "test";
+process.env.RESEND_API_KEY ||= "re_test";
+process.env.BETTER_AUTH_SECRET ||= "test-secret";
+process.env.PAYMENT_PROVIDER ||= "fake";
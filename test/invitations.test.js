@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/env.js";
+import { invitationLink, verifyInvitation, invitationStatus } from "../lib/invitations.js";
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+const invitation = { id: "invite_1", version: 1, status: "pending", expires_at: inDays(14) };
+
+test("an invitation's link verifies until it expires", () => {
+  const link = invitationLink(invitation);
+  assert.match(link.url, /\/invite\/invite_1\?token=\d+\.[0-9a-f]{32}$/);
+  assert.equal(verifyInvitation(invitation, link.token), true);
+});
+
+test("the token is tied to the invitation and its version", () => {
+  const { token } = invitationLink(invitation);
+  assert.equal(verifyInvitation({ ...invitation, id: "invite_2" }, token), false);
+  // Resending moves the version on
+  assert.equal(verifyInvitation({ ...invitation, version: 2 }, token), false);
+});
+
+test("a tampered token is rejected", () => {
+  const { token } = invitationLink(invitation);
+  const [expires, signature] = token.split(".");
+  assert.equal(verifyInvitation(invitation, `${Number(expires) + 60}.${signature}`), false);
+  assert.equal(verifyInvitation(invitation, `${expires}.${signature.slice(1)}`), false);
+  assert.equal(verifyInvitation(invitation, "garbage"), false);
+});
+
+test("accepted, revoked and expired invitations don't verify", () => {
+  const { token } = invitationLink(invitation);
+  assert.equal(verifyInvitation({ ...invitation, status: "accepted" }, token), false);
+  assert.equal(verifyInvitation({ ...invitation, status: "revoked" }, token), false);
+
+  const expired = { ...invitation, expires_at: inDays(-1) };
+  assert.equal(verifyInvitation(expired, invitationLink(expired).token), false);
+});
+
+test("a pending invitation past its expiry reads as expired", () => {
+  assert.equal(invitationStatus(invitation), "pending");
+  assert.equal(invitationStatus({ ...invitation, expires_at: inDays(-1) }), "expired");
+  assert.equal(invitationStatus({ ...invitation, status: "accepted", expires_at: inDays(-1) }), "accepted");
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/env.js";
+import { invoiceLink, verifyInvoiceLink } from "../lib/invoice-links.js";
+
+const invoice = { id: "inv_1", link_version: 1, link_revoked_at: null };
+
+test("a fresh link opens its invoice", () => {
+  const link = invoiceLink(invoice);
+  assert.match(link.url, /\/invoice\/inv_1\?token=\d+\.[0-9a-f]{32}$/);
+  assert.equal(verifyInvoiceLink(invoice, link.token), true);
+});
+
+test("a link doesn't open another invoice", () => {
+  const { token } = invoiceLink(invoice);
+  assert.equal(verifyInvoiceLink({ ...invoice, id: "inv_2" }, token), false);
+});
+
+test("a tampered signature or expiry is rejected", () => {
+  const { token } = invoiceLink(invoice);
+  const [expires, signature] = token.split(".");
+  const flipped = (signature[0] === "a" ? "b" : "a") + signature.slice(1);
+  assert.equal(verifyInvoiceLink(invoice, `${expires}.${flipped}`), false);
+  assert.equal(verifyInvoiceLink(invoice, `${Number(expires) + 86400}.${signature}`), false);
+  assert.equal(verifyInvoiceLink(invoice, ""), false);
+  assert.equal(verifyInvoiceLink(invoice, undefined), false);
+});
+
+test("an expired link is rejected", () => {
+  const { token } = invoiceLink(invoice, { days: -1 });
+  assert.equal(verifyInvoiceLink(invoice, token), false);
+});
+
+test("regenerating (a new link_version) retires older links", () => {
+  const { token } = invoiceLink(invoice);
+  assert.equal(verifyInvoiceLink({ ...invoice, link_version: 2 }, token), false);
+});
+
+test("a revoked invoice opens with no link", () => {
+  const { token } = invoiceLink(invoice);
+  assert.equal(verifyInvoiceLink({ ...invoice, link_revoked_at: "2026-10-01T00:00:00Z" }, token), false);
+});
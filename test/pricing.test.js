@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FEE_PERCENT, calculateInvoice, quoteInvoice, quoteItems, parseLineItems, lineItemLabel } from "../lib/pricing.js";
+
+// 2 hours at $50.00 plus a $20.00 materials fee
+const items = parseLineItems({
+  items: [
+    { description: "Lesson", quantity: 2, unit_price: 50, kind: "lesson" },
+    { description: "Materials", quantity: 1, unit_price: 20 },
+  ],
+});
+
+test("parseLineItems converts dollars to cents", () => {
+  assert.deepEqual(items.map((i) => i.amount), [10000, 2000]);
+  assert.equal(items[0].unit_price, 5000);
+  assert.equal(items[1].taxable, true);
+  assert.equal(items[0].kind, "lesson");
+  assert.equal(items[1].kind, "other");
+});
+
+test("parseLineItems turns legacy hours and rate into line items", () => {
+  const legacy = parseLineItems({ class_name: "SAT Math", hours: "1.5", rate_per_hour: "60", extra_fee: "5" });
+  assert.deepEqual(legacy.map((i) => i.description), ["SAT Math", "Additional Fee"]);
+  assert.deepEqual(legacy.map((i) => i.amount), [9000, 500]);
+  assert.deepEqual(legacy.map((i) => i.kind), ["lesson", "other"]);
+});
+
+test("parseLineItems drops blank and zero-quantity lines", () => {
+  const parsed = parseLineItems({
+    items: [
+      { description: "  ", quantity: 1, unit_price: 10 },
+      { description: "Lesson", quantity: 0, unit_price: 10 },
+      { description: "Lesson", unit_price: 10 },
+    ],
+  });
+  assert.equal(parsed.length, 1);
+  assert.equal(parsed[0].quantity, 1);
+});
+
+test("lineItemLabel shows quantity and unit price", () => {
+  assert.equal(lineItemLabel(items[0]), "Lesson (2 x $50.00)");
+  assert.equal(lineItemLabel(items[1]), "Materials");
+});
+
+test("lineItemLabel names the student on a payer's invoice", () => {
+  assert.equal(lineItemLabel({ ...items[0], student_name: "Ava" }), "Ava: Lesson (2 x $50.00)");
+});
+
+test("percent discount takes a share of the subtotal", () => {
+  const quote = calculateInvoice({ items, discountType: "percent", discountValue: 10, applicationFeePercent: 0 });
+  assert.equal(quote.subtotal, 12000);
+  assert.equal(quote.discount, 1200);
+  assert.equal(quote.total, 10800);
+});
+
+test("flat discount is in dollars", () => {
+  const quote = calculateInvoice({ items, discountType: "flat", discountValue: 15, applicationFeePercent: 0 });
+  assert.equal(quote.discount, 1500);
+  assert.equal(quote.total, 10500);
+});
+
+test("discount never exceeds the subtotal", () => {
+  const quote = calculateInvoice({ items, discountType: "flat", discountValue: 500, applicationFeePercent: 0 });
+  assert.equal(quote.discount, 12000);
+  assert.equal(quote.total, 0);
+});
+
+test("exclusive tax is added on top, after the discount", () => {
+  const quote = calculateInvoice({
+    items,
+    discountType: "percent",
+    discountValue: 10,
+    taxRate: 8,
+    applicationFeePercent: 0,
+  });
+  // 10800 discounted, 8% of it
+  assert.equal(quote.tax_amount, 864);
+  assert.equal(quote.tax_inclusive, false);
+  assert.equal(quote.total, 10800 + 864);
+});
+
+test("tax skips lines that aren't taxable", () => {
+  const mixed = parseLineItems({
+    items: [
+      { description: "Lesson", quantity: 2, unit_price: 50 },
+      { description: "Materials", quantity: 1, unit_price: 20, taxable: false },
+    ],
+  });
+  const quote = calculateInvoice({ items: mixed, taxRate: 10, applicationFeePercent: 0 });
+  assert.equal(quote.taxable_subtotal, 10000);
+  assert.equal(quote.tax_amount, 1000);
+  assert.equal(quote.total, 13000);
+});
+
+test("inclusive tax is carved out of the price, not added", () => {
+  const profile = { id: "p1", name: "VAT", rate: 20, inclusive: true, taxable_kinds: ["lesson", "package", "other"] };
+  const quote = calculateInvoice({ items, taxProfile: profile, applicationFeePercent: 0 });
+  // 10000 - 10000/1.2 and 2000 - 2000/1.2
+  assert.equal(quote.tax_amount, 1667 + 333);
+  assert.equal(quote.tax_inclusive, true);
+  assert.equal(quote.tax_name, "VAT");
+  assert.equal(quote.total, 12000);
+});
+
+test("a tax profile only taxes the kinds it lists", () => {
+  const profile = { id: "p2", name: "Sales Tax", rate: 10, inclusive: false, taxable_kinds: ["lesson"] };
+  const quote = calculateInvoice({ items, taxProfile: profile, applicationFeePercent: 0 });
+  assert.equal(quote.taxable_subtotal, 10000);
+  assert.equal(quote.tax_amount, 1000);
+  assert.equal(quote.total, 13000);
+});
+
+test("merchant fee pass-through adds 2.9% + 30c to the total", () => {
+  const quote = calculateInvoice({ items, taxRate: 8, passMerchantFee: true, applicationFeePercent: 0 });
+  // 12000 + 960 tax = 12960; 2.9% of it plus 30c
+  assert.equal(quote.merchant_fee, Math.round(12960 * 0.029 + 30));
+  assert.equal(quote.total, 12960 + quote.merchant_fee);
+});
+
+test("no merchant fee on a zero total", () => {
+  const quote = calculateInvoice({ items, discountType: "percent", discountValue: 100, passMerchantFee: true });
+  assert.equal(quote.merchant_fee, 0);
+  assert.equal(quote.total, 0);
+});
+
+test("application fee is a percent of the total, merchant fee included", () => {
+  const quote = calculateInvoice({ items, passMerchantFee: true, applicationFeePercent: 5 });
+  assert.equal(quote.application_fee, Math.round(quote.total * 0.05));
+});
+
+test("quoteInvoice prices a request body", () => {
+  const quote = quoteInvoice({
+    items: [{ description: "Lesson", quantity: 2, unit_price: 50 }],
+    discount_type: "flat",
+    discount_value: "20",
+    tax_rate: "5",
+    pass_merchant_fee: true,
+  });
+  assert.equal(quote.items.length, 1);
+  assert.equal(quote.discount, 2000);
+  assert.equal(quote.tax_amount, 400);
+  assert.equal(quote.merchant_fee, Math.round(8400 * 0.029 + 30));
+  assert.equal(quote.total, 8400 + quote.merchant_fee);
+  assert.equal(quote.application_fee, Math.round(quote.total * (FEE_PERCENT / 100)));
+});
+
+test("quoteItems reads adjustments from a request body", () => {
+  const quote = quoteItems(items, {
+    discount_type: "flat",
+    discount_value: "20",
+    tax_rate: "5",
+    pass_merchant_fee: true,
+    application_fee_percent: 1,
+  });
+  assert.equal(quote.discount, 2000);
+  assert.equal(quote.tax_amount, 500);
+  assert.equal(quote.merchant_fee, Math.round(10500 * 0.029 + 30));
+  assert.equal(quote.total, 10500 + quote.merchant_fee);
+  assert.equal(quote.application_fee, Math.round(quote.total * 0.01));
+});
+
+test("quoteItems falls back to the default platform fee", () => {
+  const quote = quoteItems(items, {});
+  assert.equal(quote.total, 12000);
+  assert.equal(quote.application_fee, Math.round(12000 * (FEE_PERCENT / 100)));
+});
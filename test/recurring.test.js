@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/env.js";
+import { addDays, nextCycleDate, upcomingRunDates } from "../lib/recurring.js";
+
+test("addDays crosses month and year ends", () => {
+  assert.equal(addDays("2026-01-31", 1), "2026-02-01");
+  assert.equal(addDays("2026-12-28", 7), "2027-01-04");
+  assert.equal(addDays("2026-03-01", -1), "2026-02-28");
+});
+
+test("weekly and biweekly cycles step by 7 and 14 days", () => {
+  assert.equal(nextCycleDate("2026-10-26", "weekly", "2026-10-05"), "2026-11-02");
+  assert.equal(nextCycleDate("2026-10-26", "biweekly", "2026-10-05"), "2026-11-09");
+});
+
+test("monthly cycles keep the start date's day, clamped to short months", () => {
+  assert.equal(nextCycleDate("2026-01-31", "monthly", "2026-01-31"), "2026-02-28");
+  assert.equal(nextCycleDate("2026-02-28", "monthly", "2026-01-31"), "2026-03-31");
+  assert.equal(nextCycleDate("2026-04-30", "monthly", "2026-01-31"), "2026-05-31");
+  assert.equal(nextCycleDate("2028-01-31", "monthly", "2028-01-31"), "2028-02-29");
+  assert.equal(nextCycleDate("2026-12-15", "monthly", "2026-01-15"), "2027-01-15");
+});
+
+test("upcomingRunDates lists cycles up to the window and the end date", () => {
+  const schedule = {
+    status: "active",
+    frequency: "weekly",
+    start_date: "2026-10-05",
+    next_run_date: "2026-10-19",
+    end_date: "2026-11-02",
+  };
+  assert.deepEqual(upcomingRunDates(schedule, "2026-10-31"), ["2026-10-19", "2026-10-26"]);
+  assert.deepEqual(upcomingRunDates(schedule, "2026-12-31"), ["2026-10-19", "2026-10-26", "2026-11-02"]);
+});
+
+test("upcomingRunDates is empty for paused or finished schedules", () => {
+  const schedule = { status: "paused", frequency: "monthly", start_date: "2026-10-01", next_run_date: "2026-11-01" };
+  assert.deepEqual(upcomingRunDates(schedule, "2027-01-01"), []);
+  assert.deepEqual(upcomingRunDates({ ...schedule, status: "active", next_run_date: null }, "2027-01-01"), []);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/env.js";
+import { refundableAmount, refundInvoice } from "../lib/refunds.js";
+
+test("what's refundable is what was collected less earlier refunds", () => {
+  assert.equal(refundableAmount({ total: 10000, amount_paid: 10000, refunded_amount: 0 }), 10000);
+  assert.equal(refundableAmount({ total: 10000, amount_paid: 10000, refunded_amount: 2500 }), 7500);
+});
+
+test("an invoice closed with its remainder written off only refunds what it collected", () => {
+  const invoice = { total: 10000, amount_paid: 6000, written_off_amount: 4000, refunded_amount: 0 };
+  assert.equal(refundableAmount(invoice), 6000);
+});
+
+test("nothing is refundable once everything went back", () => {
+  assert.equal(refundableAmount({ total: 10000, amount_paid: 10000, refunded_amount: 10000 }), 0);
+  // refunded_amount can run ahead of the rows when Stripe reports more
+  assert.equal(refundableAmount({ total: 10000, amount_paid: 10000, refunded_amount: 12000 }), 0);
+  assert.equal(refundableAmount({ total: 10000, amount_paid: null }), 0);
+});
+
+test("refundInvoice refuses more than is refundable", async () => {
+  const invoice = { id: "inv_1", total: 10000, amount_paid: 6000, refunded_amount: 1000 };
+  await assert.rejects(refundInvoice(invoice, { amount: 5001, createdBy: "u1" }), {
+    message: "Refund must be between $0.01 and $50.00",
+  });
+  await assert.rejects(refundInvoice(invoice, { amount: -100, createdBy: "u1" }), /between/);
+});
+
+test("refundInvoice refuses a fully refunded invoice", async () => {
+  const invoice = { id: "inv_1", total: 10000, amount_paid: 10000, refunded_amount: 10000 };
+  await assert.rejects(refundInvoice(invoice, { createdBy: "u1" }), {
+    message: "Refund must be between $0.01 and $0.00",
+  });
+});
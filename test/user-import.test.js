@@ -0,0 +1,103 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/env.js";
+import supabase from "../database.js";
+import { parseCsv, planImport } from "../lib/user-import.js";
+
+const owner = { id: "owner_1", role: "owner" };
+const admin = { id: "admin_1", role: "admin" };
+
+// planImport only reads; every query answers with the whole fixture table
+let tables;
+supabase.from = (table) => {
+  const query = {
+    select: () => query,
+    or: () => query,
+    in: () => query,
+    eq: () => query,
+    then: (resolve) => resolve({ data: tables[table] || [], error: null }),
+  };
+  return query;
+};
+
+beforeEach(() => {
+  tables = {
+    user: [
+      { id: "u_ava", email: "Ava@Example.com", name: "Ava Park", firstName: "Ava", lastName: "Park", phone: "", role: "student" },
+      { id: "u_lee", email: "lee@example.com", name: "Lee Admin", firstName: "Lee", lastName: "Admin", role: "admin" },
+      { id: "u_gone", email: "gone@example.com", name: "Gone", firstName: "Gone", role: "student", deactivatedAt: "2026-09-01" },
+    ],
+    courses: [
+      { id: "c_sat", name: "SAT Math" },
+      { id: "c_act", name: "ACT Prep" },
+      { id: "c_act2", name: "act prep" },
+    ],
+    enrollments: [{ student_id: "u_ava", course_id: "c_sat" }],
+  };
+});
+
+test("parseCsv handles quotes, escaped quotes and line breaks in fields", () => {
+  const rows = parseCsv('name,notes\r\n"Park, Ava","said ""hi""\nthen left"\n');
+  assert.deepEqual(rows, [["name", "notes"], ["Park, Ava", 'said "hi"\nthen left']]);
+});
+
+test("parseCsv drops a byte order mark and blank lines", () => {
+  assert.deepEqual(parseCsv("\uFEFFemail\n\n  \nava@example.com\n"), [["email"], ["ava@example.com"]]);
+  assert.deepEqual(parseCsv(""), []);
+});
+
+test("planImport needs a header with email and name columns", async () => {
+  assert.deepEqual(await planImport("", owner), { error: "The file is empty" });
+  assert.match((await planImport("name,phone\nAva,1", owner)).error, /email column/);
+  assert.match((await planImport("email,phone\na@b.co,1", owner)).error, /name column/);
+});
+
+test("planImport matches existing accounts in any case and only changes what the row fills in", async () => {
+  const { rows } = await planImport("Email Address,First Name,Last Name,Phone,Courses\nava@example.com,Ava,,555-0100,SAT Math;act prep\n", owner);
+  const [ava] = rows;
+  assert.equal(ava.line, 2);
+  assert.equal(ava.user_id, "u_ava");
+  assert.deepEqual(ava.changes, { phone: "555-0100" });
+  // Already enrolled in SAT Math; "act prep" names two courses
+  assert.equal(ava.action, "error");
+  assert.deepEqual(ava.errors, ['More than one course is named "act prep" — use its id']);
+});
+
+test("planImport plans new students with their courses", async () => {
+  const { rows } = await planImport("name,email,courses\nSam Lee,SAM@example.com,c_act|SAT Math\n", owner);
+  const [sam] = rows;
+  assert.equal(sam.action, "create");
+  assert.equal(sam.email, "sam@example.com");
+  assert.equal(sam.role, "student");
+  assert.deepEqual([sam.first_name, sam.last_name], ["Sam", "Lee"]);
+  assert.deepEqual(sam.courses.map((c) => c.id), ["c_act", "c_sat"]);
+});
+
+test("planImport flags bad rows without stopping the rest", async () => {
+  const csv = [
+    "name,email,role,courses",
+    "No Email,not-an-email,,",
+    "Twice,twice@example.com,,",
+    "Twice Again,TWICE@example.com,,",
+    "Teacher,teach@example.com,teacher,SAT Math",
+    "Gone,gone@example.com,,",
+    "Boss,boss@example.com,owner,",
+    "Ava Park,ava@example.com,,",
+  ].join("\n");
+  const { rows } = await planImport(csv, admin);
+  const errors = Object.fromEntries(rows.map((r) => [r.line, r.errors]));
+
+  assert.deepEqual(errors[2], ["Invalid email"]);
+  assert.deepEqual(errors[3], []);
+  assert.deepEqual(errors[4], ["Same email as line 3"]);
+  assert.deepEqual(errors[5], ["Only students can be enrolled in courses"]);
+  assert.deepEqual(errors[6], ["This account is deactivated — an owner can restore it"]);
+  assert.deepEqual(errors[7], ["You can't import users as owner"]);
+  assert.equal(rows.find((r) => r.line === 8).action, "skip");
+});
+
+test("only owners can change admin accounts", async () => {
+  const csv = "name,email,phone\nLee Admin,lee@example.com,555-0199\n";
+  assert.deepEqual((await planImport(csv, admin)).rows[0].errors, ["Only owners can change admin/owner accounts"]);
+  assert.equal((await planImport(csv, owner)).rows[0].action, "update");
+});